@@ -0,0 +1,128 @@
+// api/create-comparison.js
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { validateVin } = require("./services/vinDecoder");
+
+const MIN_VEHICLES = 2;
+const MAX_VEHICLES = 4;
+
+function normalizeStr(v) {
+  if (v === undefined || v === null) return "";
+  return String(v).trim();
+}
+
+function normalizePrice(v) {
+  if (v === undefined || v === null) return "";
+  const s = String(v).trim().replace(/[$,]/g, "");
+  if (!s) return "";
+  const n = Number(s);
+  return Number.isFinite(n) ? String(n) : "";
+}
+
+// Each vehicle travels as one compact JSON metadata value (Stripe caps
+// values at 500 characters), using short keys.
+function normalizeVehicle(v) {
+  if (!v || typeof v !== "object") return null;
+
+  const vin = normalizeStr(v.vin).toUpperCase();
+  const hasVin = validateVin(vin).valid;
+  const hasYMM = !!(normalizeStr(v.year) && normalizeStr(v.make) && normalizeStr(v.model));
+
+  if (!hasVin && !hasYMM) return null;
+
+  const out = {
+    vin: hasVin ? vin : undefined,
+    y: hasVin ? undefined : normalizeStr(v.year).slice(0, 4),
+    mk: hasVin ? undefined : normalizeStr(v.make).slice(0, 40),
+    md: hasVin ? undefined : normalizeStr(v.model).slice(0, 60),
+    tt: normalizeStr(v.trimTier).slice(0, 20) || undefined,
+    mi: normalizePrice(v.mileage) || undefined,
+    p: normalizePrice(v.askingPrice) || undefined,
+    s: normalizeStr(v.sellerName).slice(0, 80) || undefined,
+  };
+
+  return JSON.stringify(out);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { email, vehicles } = req.body || {};
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required." });
+    }
+
+    if (!Array.isArray(vehicles) || vehicles.length < MIN_VEHICLES || vehicles.length > MAX_VEHICLES) {
+      return res.status(400).json({
+        error: `Please provide between ${MIN_VEHICLES} and ${MAX_VEHICLES} vehicles to compare.`,
+      });
+    }
+
+    const normalized = vehicles.map(normalizeVehicle);
+    const invalidIndex = normalized.findIndex((v) => !v);
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        error: `Vehicle ${invalidIndex + 1} needs a valid VIN or Year/Make/Model.`,
+      });
+    }
+
+    const metadata = {
+      mode: "comparison-report",
+      email: normalizeStr(email).toLowerCase(),
+      vehicleCount: String(normalized.length),
+    };
+    normalized.forEach((v, i) => {
+      metadata[`vehicle${i + 1}`] = v;
+    });
+
+    const priceInCents = 2500; // $25.00
+
+    console.log("💳 Creating comparison Checkout Session...");
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      payment_method_types: ["card"],
+      customer_email: metadata.email,
+
+      line_items: [
+        {
+          price_data: {
+            currency: "usd",
+            unit_amount: priceInCents,
+            product_data: {
+              name: "CarSaavy Vehicle Comparison Report",
+              description:
+                "Side-by-side negotiation comparison of up to four vehicles with cross-shopping scripts",
+            },
+          },
+          quantity: 1,
+        },
+      ],
+
+      payment_intent_data: {
+        metadata,
+      },
+
+      metadata,
+
+      success_url: `/manual-success.html`,
+      cancel_url: `/manual-cancel.html`,
+    });
+
+    console.log("✅ Comparison session created:", session.id);
+
+    return res.status(200).json({ url: session.url });
+  } catch (err) {
+    console.error("❌ create-comparison error:", err);
+    return res.status(500).json({
+      error: "Internal server error",
+      details:
+        process.env.NODE_ENV === "development"
+          ? err.message
+          : undefined,
+    });
+  }
+};
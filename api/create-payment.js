@@ -1,11 +1,134 @@
 // api/create-payment.js
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { validateVin } = require("./services/vinDecoder");
+const { getAllVehicleData } = require("./services/vehicleData");
+const { DEFAULT_SEGMENT } = require("./services/segments");
+
+// Same values as the manual intake's purchasePurpose radios
+const PURCHASE_PURPOSES = [
+  "commuter",
+  "replacement",
+  "first_time",
+  "lease_buyout",
+  "family_utility",
+  "fun_weekend",
+  "performance",
+  "ev_transition",
+  "business",
+  "other",
+];
 
 function normalizeStr(v) {
   if (v === undefined || v === null) return "";
   return String(v).trim();
 }
 
+// Stripe metadata values are flat strings, so add-ons travel as
+// "type:price,type:price"
+function normalizeAddOns(v) {
+  const list = Array.isArray(v) ? v : [];
+  return list
+    .map((a) => {
+      const type = normalizeStr(a && a.type).toLowerCase().replace(/[^a-z_]/g, "");
+      const price = normalizePrice(a && a.price);
+      return type && price ? `${type}:${price}` : "";
+    })
+    .filter(Boolean)
+    .join(",")
+    .slice(0, 400);
+}
+
+// Flattened into tradeIn* keys for Stripe metadata; omitted when empty
+function normalizeTradeIn(t) {
+  if (!t || typeof t !== "object") return {};
+
+  const vin = normalizeStr(t.vin).toUpperCase();
+  const condition = normalizeStr(t.condition).toLowerCase();
+
+  const out = {
+    tradeInVin: validateVin(vin).valid ? vin : "",
+    tradeInYear: normalizeStr(t.year),
+    tradeInMake: normalizeStr(t.make),
+    tradeInModel: normalizeStr(t.model),
+    tradeInMileage: normalizePrice(t.mileage),
+    tradeInCondition: ["excellent", "good", "fair", "poor"].includes(condition)
+      ? condition
+      : "",
+    tradeInPayoff: normalizePrice(t.payoff),
+  };
+
+  const hasAny = Object.values(out).some(Boolean);
+  return hasAny ? out : {};
+}
+
+function normalizeRate(v) {
+  const s = normalizeStr(v).replace(/%/g, "");
+  const n = Number(s);
+  return s && Number.isFinite(n) && n >= 0 && n < 40 ? String(n) : "";
+}
+
+function normalizeFinancing(f) {
+  if (!f || typeof f !== "object") return {};
+
+  const term = Number(normalizeStr(f.termMonths));
+  const out = {
+    preApprovedApr: normalizeRate(f.preApprovedApr),
+    dealerApr: normalizeRate(f.dealerApr),
+    loanTermMonths: Number.isInteger(term) && term > 0 && term <= 96 ? String(term) : "",
+    downPayment: normalizePrice(f.downPayment),
+    quotedPayment: normalizePrice(f.quotedPayment),
+  };
+
+  return Object.values(out).some(Boolean) ? out : {};
+}
+
+// Lease buyout is the only non-retail mode; retail sends no extra keys
+function normalizeLease(analysisMode, l) {
+  if (analysisMode !== "lease_buyout") return {};
+  const lease = l && typeof l === "object" ? l : {};
+
+  return {
+    analysisMode: "lease_buyout",
+    leaseResidual: normalizePrice(lease.residualValue),
+    leasePayoffQuote: normalizePrice(lease.payoffQuote),
+    leaseOptionFee: normalizePrice(lease.purchaseOptionFee),
+    leaseMileageAllowance: normalizePrice(lease.mileageAllowance),
+    leaseCurrentMileage: normalizePrice(lease.currentMileage),
+    leaseExcessMileRate: normalizePrice(lease.excessMileRate),
+  };
+}
+
+// Vehicle history report fields, packed as "title:rebuilt,accidents:1,..."
+const TITLE_BRANDS = ["clean", "salvage", "rebuilt", "flood", "lemon"];
+const ACCIDENT_SEVERITIES = ["minor", "moderate", "severe"];
+const VEHICLE_USAGES = ["personal", "lease", "rental", "fleet", "commercial"];
+
+function normalizeHistory(h) {
+  if (!h || typeof h !== "object") return "";
+
+  const pick = (v, allowed) => {
+    const s = normalizeStr(v).toLowerCase();
+    return allowed.includes(s) ? s : "";
+  };
+  const count = (v) => {
+    const n = Number(normalizeStr(v));
+    return normalizeStr(v) && Number.isInteger(n) && n >= 0 && n < 100 ? String(n) : "";
+  };
+
+  const fields = {
+    title: pick(h.titleBrand, TITLE_BRANDS),
+    accidents: count(h.accidents),
+    severity: pick(h.accidentSeverity, ACCIDENT_SEVERITIES),
+    owners: count(h.owners),
+    usage: pick(h.usage, VEHICLE_USAGES),
+  };
+
+  return Object.entries(fields)
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}:${v}`)
+    .join(",");
+}
+
 function normalizePrice(v) {
   if (v === undefined || v === null) return "";
   const s = String(v).trim().replace(/[$,]/g, "");
@@ -14,9 +137,32 @@ function normalizePrice(v) {
   return Number.isFinite(n) ? String(n) : "";
 }
 
+// The free preview (api/preview-vehicle.js) only asks the buyer for what
+// the VIN decode left open: the model when none decoded, and segment / trim
+// tier / powertrain when they'd be defaulted. The VIN is resolved again here
+// and any other `confirmed` field is ignored, so a request can't re-label
+// what the decode says.
+async function acceptedConfirmation(vin, confirmed) {
+  if (!confirmed || typeof confirmed !== "object") return {};
+
+  const vp = vin ? (await getAllVehicleData(vin)).vehicleProfile : null;
+  const assumed = vp ? vp.assumed || [] : [];
+  const open = {
+    model: !!vp && !vp.model,
+    segment: !vp || assumed.includes("segment") || vp.segment === DEFAULT_SEGMENT,
+    trimTier: !vp || assumed.includes("trimTier"),
+    powertrain: !vp || !vp.powertrain,
+  };
+
+  return Object.fromEntries(
+    Object.keys(open)
+      .filter((field) => open[field] && normalizeStr(confirmed[field]))
+      .map((field) => [field, normalizeStr(confirmed[field])])
+  );
+}
+
 module.exports = async (req, res) => {
   try {
-    console.log("📩 Incoming create-payment request:", req.body);
 
     const {
       email,
@@ -24,12 +170,36 @@ module.exports = async (req, res) => {
       year,
       make,
       model,
+      trim,
       segment,
       trimTier,
       mileage,
       askingPrice,
+      sellerType,
+      sellerName,
+      listingUrl,
+      buyerState,
+      buyerZip,
+      docFee,
+      addOns,
+      tradeIn,
+      financing,
+      analysisMode,
+      lease,
+      powertrain,
+      purchasePurpose,
+      history,
+      explain,
+      confirmed,
     } = req.body;
 
+    // No contact, vehicle or money details in the logs
+    console.log("📩 Incoming create-payment request:", {
+      hasVin: typeof vin === "string" && !!vin.trim(),
+      analysisMode: analysisMode || "retail",
+      confirmed: !!confirmed,
+    });
+
     // ----------------------------
     // 1️⃣ Required checks (NIC_v2)
     // ----------------------------
@@ -38,39 +208,74 @@ module.exports = async (req, res) => {
     }
 
     // At minimum, we need vehicle identity (VIN OR Y/M/M)
-    const VIN_REGEX = /^[A-HJ-NPR-Z0-9]{17}$/i;
-    const hasVin = typeof vin === "string" && VIN_REGEX.test(vin.trim());
+    // Checked locally (incl. the check digit) so a mistyped VIN is caught
+    // here rather than decoding to the wrong vehicle after payment
+    const vinCheck = validateVin(typeof vin === "string" ? vin : "");
+    const hasVin = vinCheck.valid;
     const hasYMM =
     typeof year === "string" && year.trim() &&
     typeof make === "string" && make.trim() &&
     typeof model === "string" && model.trim();
 
 
-    if (!hasVin && !hasYMM) {
+    if (vinCheck.reason === "check-digit") {
       return res.status(400).json({
-        error: "Vehicle information is required (VIN or Year/Make/Model).",
+        error: "That VIN doesn’t check out — one of its characters is likely mistyped. Please compare it with the dashboard or title.",
       });
     }
 
-    if (hasVin && hasYMM) {
+    if (!hasVin && !hasYMM) {
       return res.status(400).json({
-        error: "Please provide either a VIN or vehicle details, not both.",
+        error: "Vehicle information is required (VIN or Year/Make/Model).",
       });
     }
-    
+
+    // VIN + Y/M/M together (e.g. copied from a listing) is fine: the VIN is
+    // decoded and the listing details are cross-checked against it
+
+    // Fields the buyer filled in on the free preview override the raw form
+    // selections; see acceptedConfirmation for which ones count
+    const accepted = await acceptedConfirmation(hasVin ? vinCheck.vin : null, confirmed);
+    const pick = (field, raw) => accepted[field] || normalizeStr(raw);
+
     // ----------------------------
     // 2️⃣ Normalize metadata
     // ----------------------------
     const metadata = {
       email: normalizeStr(email).toLowerCase(),
       vin: hasVin ? normalizeStr(vin).toUpperCase() : "",
-      year: hasYMM ? normalizeStr(year) : "",
-      make: hasYMM ? normalizeStr(make) : "",
-      model: hasYMM ? normalizeStr(model) : "",
-      segment: normalizeStr(segment),
-      trimTier: normalizeStr(trimTier),
+      // With a VIN, even partial listing details are worth cross-checking
+      year: hasYMM || hasVin ? normalizeStr(year) : "",
+      make: hasYMM || hasVin ? normalizeStr(make) : "",
+      model: hasYMM || hasVin ? normalizeStr(model) : "",
+      // Trim as listed (e.g. "EX-L"); checked against the VIN decode
+      trim: normalizeStr(trim).slice(0, 60),
+      segment: pick("segment", segment),
+      trimTier: pick("trimTier", trimTier),
+      powertrain: ["ice", "hybrid", "phev", "ev"].includes(pick("powertrain", powertrain).toLowerCase())
+        ? pick("powertrain", powertrain).toLowerCase()
+        : "",
+      // Model the buyer supplied when the VIN decoded without one (offline decode)
+      confirmedModel: (accepted.model || "").slice(0, 60),
+      vehicleConfirmed: confirmed && typeof confirmed === "object" ? "true" : "",
       mileage: normalizeStr(mileage),
       askingPrice: normalizePrice(askingPrice),
+      purchasePurpose: PURCHASE_PURPOSES.includes(normalizeStr(purchasePurpose))
+        ? normalizeStr(purchasePurpose)
+        : "",
+      sellerType: normalizeStr(sellerType).toLowerCase() === "private" ? "private" : "",
+      sellerName: normalizeStr(sellerName).slice(0, 120),
+      listingUrl: normalizeStr(listingUrl).slice(0, 400),
+      buyerState: normalizeStr(buyerState).toUpperCase().slice(0, 2),
+      buyerZip: (normalizeStr(buyerZip).match(/^\d{5}/) || [""])[0],
+      docFee: normalizePrice(docFee),
+      addOns: normalizeAddOns(addOns),
+      history: normalizeHistory(history),
+      ...normalizeTradeIn(tradeIn),
+      ...normalizeFinancing(financing),
+      ...normalizeLease(analysisMode, lease),
+      // Adds the "Why you're seeing this" appendix to the PDF
+      explain: explain === true || explain === "true" ? "true" : "",
     };
     
 
@@ -7,6 +7,33 @@ function normalizeStr(v) {
   return typeof v === "string" ? v.trim() : "";
 }
 
+// Vehicle history report fields, packed as "title:rebuilt,accidents:1,..."
+// (same format as the automated intake in create-payment.js)
+function normalizeHistory(h) {
+  if (!h || typeof h !== "object") return "";
+
+  const pick = (v, allowed) => {
+    const s = normalizeStr(v).toLowerCase();
+    return allowed.includes(s) ? s : "";
+  };
+  const count = (v) => {
+    const s = normalizeStr(String(v ?? ""));
+    return /^\d{1,2}$/.test(s) ? s : "";
+  };
+
+  const fields = {
+    title: pick(h.titleBrand, ["clean", "salvage", "rebuilt", "flood", "lemon"]),
+    accidents: count(h.accidents),
+    owners: count(h.owners),
+    usage: pick(h.usage, ["personal", "lease", "rental", "fleet", "commercial"]),
+  };
+
+  return Object.entries(fields)
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}:${v}`)
+    .join(",");
+}
+
 async function hasMXRecords(email) {
   const domain = email.split("@")[1];
   if (!domain) return false;
@@ -36,6 +63,7 @@ module.exports = async function handler(req, res) {
       // new fields we just added
       purchasePurpose,
       purchasePurposeOther,
+      history,
       // pricing info
       priceId,
       tier,
@@ -88,6 +116,7 @@ module.exports = async function handler(req, res) {
     const timelineNorm = normalizeStr(timelineContext);
     const budgetNorm = normalizeStr(budget).slice(0, 50);
     const additionalNorm = normalizeStr(additionalContext);
+    const historyNorm = normalizeHistory(history);
 
     // 7) Generate server-side order number (for tracking & credits)
     const now = new Date();
@@ -111,6 +140,7 @@ module.exports = async function handler(req, res) {
         timelineContext: timelineNorm,
         budget: budgetNorm,
         additionalContext: additionalNorm,
+        history: historyNorm,
         purchasePurpose: purposeNorm,
         purchasePurposeOther: purposeOtherNorm,
         tier: normalizeStr(tier),           // "essential" | "comprehensive"
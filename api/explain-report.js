@@ -0,0 +1,91 @@
+// api/explain-report.js
+/**
+ * Support view: why does a report say what it says?
+ * ------------------------------------------------------------
+ * GET /api/explain-report?paymentIntent=pi_...   (or ?sessionId=cs_...)
+ * Header: x-admin-key must match ADMIN_KEY (never a query param, so the
+ * key stays out of URLs and access logs).
+ *
+ * Rebuilds the order's analysis from its payment metadata with the
+ * explainability trace attached. If the rule pack has changed since the
+ * report was generated, `packChanged` is true and the trace reflects the
+ * current pack.
+ */
+
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+const { buildMvpAnalysis } = require("./mvpEngine");
+const { buildReportInput, orderAnalysisDate } = require("./services/reportInputs");
+
+function normalizeStr(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+async function resolvePaymentIntent({ paymentIntent, sessionId }) {
+  if (paymentIntent) return stripe.paymentIntents.retrieve(paymentIntent);
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (!session.payment_intent) return null;
+  return stripe.paymentIntents.retrieve(session.payment_intent);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const key = normalizeStr(req.headers["x-admin-key"]);
+  if (!process.env.ADMIN_KEY || key !== process.env.ADMIN_KEY) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const paymentIntent = normalizeStr(req.query.paymentIntent);
+  const sessionId = normalizeStr(req.query.sessionId);
+
+  if (!paymentIntent && !sessionId) {
+    return res.status(400).json({ error: "paymentIntent or sessionId is required." });
+  }
+
+  try {
+    const intent = await resolvePaymentIntent({ paymentIntent, sessionId });
+    if (!intent) {
+      return res.status(404).json({ error: "No payment found for that session." });
+    }
+
+    const metadata = intent.metadata || {};
+    if (metadata.mode && metadata.mode !== "auto-report") {
+      return res.status(400).json({
+        error: `Explanations are only available for automated reports (this order is "${metadata.mode}").`,
+      });
+    }
+
+    const { input } = await buildReportInput({ ...metadata, analysisDate: orderAnalysisDate(intent) });
+    const analysis = buildMvpAnalysis(input, { trace: true });
+
+    const originalModelVersion = metadata.modelVersion || null;
+
+    return res.status(200).json({
+      success: true,
+      paymentIntent: intent.id,
+      email: metadata.email || null,
+      vehicleSummary: analysis.vehicleSummary,
+      analysisDate: analysis.analysisDate,
+      modelVersion: analysis.modelVersion,
+      originalModelVersion,
+      packChanged: !!originalModelVersion && originalModelVersion !== analysis.modelVersion,
+      negotiationStance: analysis.negotiationStance,
+      firedRules: analysis.rulePack.firedRules,
+      trace: analysis.trace,
+    });
+  } catch (err) {
+    console.error("[ExplainReport] Error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to build explanation",
+      details:
+        process.env.NODE_ENV === "development"
+          ? String(err && err.message)
+          : undefined,
+    });
+  }
+};
@@ -1,7 +1,7 @@
 // api/generate-report.js
-const { getAllVehicleData } = require("./services/vehicleData");
-const { generateVehicleReport } = require("./services/reportGenerator");
-const { sendVehicleReportEmail } = require("./services/emailService");
+const { buildReportInput } = require("./services/reportInputs");
+const { generateVehicleReport } = require("./reportGenerator");
+const { sendVehicleReportEmail } = require("./emailService");
 
 const { buildMvpAnalysis } = require("./mvpEngine");
 
@@ -22,21 +22,16 @@ module.exports = async (req, res) => {
 
   try {
     // Accept both GET query params and POST body
-    const vin = method === "GET" ? req.query.vin : (req.body && req.body.vin);
-    const email = method === "GET" ? req.query.email : (req.body && req.body.email);
+    const params = (method === "GET" ? req.query : req.body) || {};
+    const { vin, email } = params;
 
-    // New: optional asking price (string like "$18,500" allowed)
-    const askingPriceRaw =
-      method === "GET" ? req.query.askingPrice : (req.body && req.body.askingPrice);
-    const askingPrice = toNumberOrNull(askingPriceRaw);
+    // Optional asking price (string like "$18,500" allowed)
+    const askingPrice = toNumberOrNull(params.askingPrice);
 
     console.log("[GenerateReport] Incoming request", { vin, email, askingPrice, method });
 
     const hasVin = typeof vin === "string" && vin.trim().length >= 6;
-    const hasYMM =
-      vehicleData?.vehicleProfile?.year &&
-      vehicleData?.vehicleProfile?.make &&
-      vehicleData?.vehicleProfile?.model;
+    const hasYMM = !!(params.year && params.make && params.model);
 
     if (!hasVin && !hasYMM) {
       return res.status(400).json({
@@ -45,40 +40,21 @@ module.exports = async (req, res) => {
       });
     }
 
-
-    // 1) Resolve vehicle profile / data (no scraping)
-    // Keep this call for now so we don’t break your existing pipeline.
-    // We’ll later simplify vehicleData.js to return only what PIC needs.
+    // 1) Resolve vehicle profile (no scraping) — same mapping as paid reports
     console.log("[GenerateReport] Resolving vehicle data...");
-    const vehicleData = await getAllVehicleData(vin);
-
-    // 2) Build NIC_v2 negotiation analysis
-
-    // We try to read a vehicleProfile from vehicleData if you have it.
-    // Otherwise, fall back to whatever year/make/model fields exist.
-    if (!vehicleData || !vehicleData.vehicleProfile) {
-      throw new Error("Vehicle profile could not be resolved");
-    }
-    
-    const vehicleProfile = vehicleData.vehicleProfile;
-    
-
-    const analysis = buildMvpAnalysis({
-      vin,
-      vehicleProfile,
+    const { input } = await buildReportInput({
+      ...params,
+      mileage: toNumberOrNull(params.mileage),
       askingPrice,
     });
 
-    // 3) Generate PDF + upload (reportGenerator will be updated next to use `analysis`)
+    // 2) Build NIC_v2 negotiation analysis
+    const analysis = buildMvpAnalysis(input);
+
+    // 3) Generate PDF + upload
     console.log("[GenerateReport] Generating PDF report...");
     const reportUrl = await generateVehicleReport(
-      {
-        // Preferred input going forward
-        analysis,
-
-        // Temporary compatibility: keep old payload available until we refactor reportGenerator.js
-        vehicleData,
-      },
+      { analysis },
       vin
     );
 
@@ -97,6 +73,7 @@ module.exports = async (req, res) => {
       email: email || null,
       askingPrice,
       reportUrl,
+      confidence: analysis.confidence,
       analysis,
     });
     
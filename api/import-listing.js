@@ -0,0 +1,72 @@
+// api/import-listing.js
+/**
+ * Listing importer
+ * ------------------------------------------------------------
+ * POST /api/import-listing
+ * Body: { text } (pasted listing) and / or { html } (a saved listing page),
+ *       optional { url } (the listing link, used to recognise the site)
+ *
+ * Nothing is fetched from the listing site. Returns each field found
+ * (VIN, year / make / model / trim, asking price, mileage, seller,
+ * days on market) with a confidence (0–1) and where it was found, plus
+ * `intake`: the values sure enough to prefill vin.html / manual.html.
+ */
+
+const { importListing } = require("./services/listingImporter");
+
+// Keeps the parse (and a hostile page) cheap. Most pasted listings are a
+// few KB; a saved page over this is refused with a 413 and the buyer is
+// asked to paste the text instead. vin.html / manual.html check it first.
+const MAX_INPUT_CHARS = 300000;
+
+function normalizeStr(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const body = req.body || {};
+  const text = normalizeStr(body.text);
+  const html = normalizeStr(body.html);
+  const url = normalizeStr(body.url).slice(0, 400);
+
+  if (!text && !html) {
+    return res.status(400).json({ error: "Paste the listing text or upload a saved listing page." });
+  }
+  if (text.length + html.length > MAX_INPUT_CHARS) {
+    return res.status(413).json({ error: "That page is too large to import. Paste the listing text instead." });
+  }
+
+  try {
+    const result = importListing({ text, html, url });
+    // A seller type implied by the site alone isn't an import
+    const found = Object.entries(result.fields).filter(([field, f]) => f && field !== "sellerType").length;
+
+    if (!found) {
+      return res.status(422).json({
+        error: "We couldn’t find vehicle details in that listing. Please enter them by hand.",
+      });
+    }
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("[ImportListing] Error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to import listing",
+      details:
+        process.env.NODE_ENV === "development"
+          ? String(err && err.message)
+          : undefined,
+    });
+  }
+};
+
+// JSON escaping and multi-byte characters take 300,000 characters to at
+// most ~1 MB; anything bigger is rejected before it is parsed
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "1mb" } },
+};
@@ -0,0 +1,175 @@
+// api/inspection-followup.js
+/**
+ * Post-inspection follow-up report
+ * ------------------------------------------------------------
+ * POST /api/inspection-followup
+ * Body: { order: "pi_..." | "cs_...", email, findings: [{ item, severity, repairQuote }] }
+ *
+ * Included with an automated report: the order is looked up in Stripe,
+ * its analysis is rebuilt from the payment metadata, and the inspection
+ * findings are turned into a second-round report (emailed and returned).
+ * The "was" prices come from the fair-value band stored on the order at
+ * fulfillment, so they match the original PDF; orders from before the band
+ * was stored fall back to the rebuilt analysis.
+ */
+
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { Resend } = require("resend");
+
+const { buildMvpAnalysis, buildInspectionFollowUp } = require("./mvpEngine");
+const { generateFollowUpReport } = require("./reportGenerator");
+const { buildReportInput, orderAnalysisDate } = require("./services/reportInputs");
+const { InspectionFindingRules } = require("./staticData");
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+function normalizeStr(v) {
+  if (v === undefined || v === null) return "";
+  return String(v).trim();
+}
+
+function normalizePrice(v) {
+  const s = normalizeStr(v).replace(/[$,]/g, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function normalizeFinding(f) {
+  if (!f || typeof f !== "object") return null;
+
+  const item = normalizeStr(f.item).slice(0, 120);
+  const severity = normalizeStr(f.severity).toLowerCase();
+  if (!item || !InspectionFindingRules.severity[severity]) return null;
+
+  return { item, severity, repairQuote: normalizePrice(f.repairQuote) };
+}
+
+const BAND_FIELDS = ["askingPrice", "openingOffer", "targetPrice", "walkAwayCeiling"];
+
+// metadata.fairValueBand, written by the webhook when the report was sent
+function parseStoredBand(raw) {
+  if (!raw) return null;
+  try {
+    const band = JSON.parse(raw);
+    return BAND_FIELDS.every((f) => Number.isFinite(band?.[f])) ? band : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function resolvePaymentIntent(order) {
+  if (order.startsWith("pi_")) return stripe.paymentIntents.retrieve(order);
+
+  const session = await stripe.checkout.sessions.retrieve(order);
+  if (!session.payment_intent) return null;
+  return stripe.paymentIntents.retrieve(session.payment_intent);
+}
+
+async function sendFollowUpEmail(toEmail, reportUrl, vehicleLabel) {
+  try {
+    await resend.emails.send({
+      from: "CarSaavy Reports <reports@carsaavy.com>",
+      to: toEmail,
+      subject: "Your CarSaavy Post-Inspection Follow-Up is Ready",
+      html: `
+        <div style="font-family: Arial; padding: 20px;">
+          <h2>🔧 Your Post-Inspection Follow-Up is Ready</h2>
+          <p><b>Vehicle:</b> ${vehicleLabel}</p>
+          <p>
+            <a href="${reportUrl}" style="font-size:16px; color:#007bff;">
+              Download your follow-up report
+            </a>
+          </p>
+          <p>Thanks for using CarSaavy.</p>
+        </div>
+      `,
+    });
+
+    console.log("📧 Follow-up email sent to:", toEmail);
+  } catch (err) {
+    console.error("❌ Follow-up email send failed:", err);
+  }
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { order, email, findings } = req.body || {};
+  const orderId = normalizeStr(order);
+  const emailNorm = normalizeStr(email).toLowerCase();
+
+  if (!/^(pi|cs)_/.test(orderId)) {
+    return res.status(400).json({ error: "A valid order reference (from your report email) is required." });
+  }
+  if (!emailNorm) {
+    return res.status(400).json({ error: "Email is required." });
+  }
+
+  const max = InspectionFindingRules.maxFindings;
+  if (!Array.isArray(findings) || !findings.length || findings.length > max) {
+    return res.status(400).json({ error: `Please enter between 1 and ${max} inspection findings.` });
+  }
+
+  const normalized = findings.map(normalizeFinding);
+  const invalidIndex = normalized.findIndex((f) => !f);
+  if (invalidIndex !== -1) {
+    return res.status(400).json({
+      error: `Finding ${invalidIndex + 1} needs a description and a severity.`,
+    });
+  }
+
+  try {
+    const intent = await resolvePaymentIntent(orderId);
+    const metadata = intent?.metadata || {};
+
+    // Same response for "not found" and "wrong email" so order IDs can't be probed
+    if (!intent || intent.status !== "succeeded" || normalizeStr(metadata.email).toLowerCase() !== emailNorm) {
+      return res.status(404).json({ error: "We couldn’t find a completed order for that reference and email." });
+    }
+    if (metadata.mode && metadata.mode !== "auto-report") {
+      return res.status(400).json({
+        error: "Follow-ups are available for automated negotiation reports. For other orders, reply to your report email.",
+      });
+    }
+
+    // Rebuild the original analysis from the order, as of its original date
+    const { input } = await buildReportInput({ ...metadata, analysisDate: orderAnalysisDate(intent) });
+    const analysis = buildMvpAnalysis(input);
+
+    const followUp = buildInspectionFollowUp({
+      analysis,
+      findings: normalized,
+      originalBand: parseStoredBand(metadata.fairValueBand),
+    });
+    const reportUrl = await generateFollowUpReport({ followUp });
+
+    await sendFollowUpEmail(emailNorm, reportUrl, followUp.vehicleLabel);
+
+    return res.status(200).json({
+      success: true,
+      reportUrl,
+      totalRepairCost: followUp.totalRepairCost,
+      totalAdjustment: followUp.totalAdjustment,
+      revisedTarget: followUp.revisedBand ? followUp.revisedBand.targetPrice.amount : null,
+      walkAwayIf: followUp.walkAwayIf,
+    });
+  } catch (err) {
+    // Unknown (or mistyped) pi_ / cs_ IDs
+    if (err && err.code === "resource_missing") {
+      return res.status(404).json({ error: "We couldn’t find a completed order for that reference and email." });
+    }
+
+    console.error("[InspectionFollowUp] Error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to build follow-up report",
+      details:
+        process.env.NODE_ENV === "development"
+          ? String(err && err.message)
+          : undefined,
+    });
+  }
+};
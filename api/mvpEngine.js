@@ -6,13 +6,37 @@
  */
 
 const staticData = safeRequire("./staticData");
+const { getRulePack, evaluateRulePack, describeRule, describeFacts } = require("./services/rulePacks");
+const { DEFAULT_SEGMENT, normalizeSegment, inferSegment } = require("./services/segments");
 
 // Optional static tables
 const ModelReliabilityScores = staticData.ModelReliabilityScores || {};
-const KnownIssueFlags = staticData.KnownIssueFlags || {};
+const KnownIssueFlags = Array.isArray(staticData.KnownIssueFlags)
+  ? staticData.KnownIssueFlags
+  : [];
 const MakeNotes = staticData.MakeNotes || {};
 const SegmentProfiles = staticData.SegmentProfiles || {};
-const ModelSegmentMap = staticData.ModelSegmentMap || {};
+const BaseVehicleSpecs = staticData.BaseVehicleSpecs || {};
+const DepreciationCurves = staticData.DepreciationCurves || {};
+const MileageAdjustment = staticData.MileageAdjustment || {};
+const DealerProfiles = staticData.DealerProfiles || {};
+const StateFeeRules = staticData.StateFeeRules || {};
+const DealerAddOnNorms = staticData.DealerAddOnNorms || {};
+const TradeInBaselines = staticData.TradeInBaselines || {};
+const LeaseDefaults = staticData.LeaseDefaults || {};
+const BatteryWarranties = staticData.BatteryWarranties || {};
+const UsedEvTaxCredit = staticData.UsedEvTaxCredit || null;
+const PurchasePurposeProfiles = staticData.PurchasePurposeProfiles || {};
+const AnalysisInputWeights = staticData.AnalysisInputWeights || {};
+const VehicleHistoryRules = staticData.VehicleHistoryRules || {};
+const InspectionFindingRules = staticData.InspectionFindingRules || {};
+const RegionalMarketRules = Array.isArray(staticData.RegionalMarketRules)
+  ? staticData.RegionalMarketRules
+  : [];
+const ZipPrefixStates = staticData.ZipPrefixStates || [];
+const CalendarTimingRules = staticData.CalendarTimingRules || {};
+const PrivatePartyRules = staticData.PrivatePartyRules || {};
+const VinMismatchRules = staticData.VinMismatchRules || {};
 
 // -------------------------------
 // Utilities
@@ -39,6 +63,40 @@ function normalizeUpper(v) {
   return normalizeStr(v).toUpperCase();
 }
 
+function formatUsd(v) {
+  const n = num(v);
+  return n === null ? "N/A" : `$${Math.round(n).toLocaleString()}`;
+}
+
+function roundTo(v, step) {
+  return Math.round(v / step) * step;
+}
+
+// Case-insensitive lookup for tables keyed by "Make Model"
+function lookupByModelKey(table, modelKey) {
+  if (!modelKey) return null;
+  if (table[modelKey]) return table[modelKey];
+  const upper = normalizeUpper(modelKey);
+  const hit = Object.keys(table).find((k) => k.toUpperCase() === upper);
+  return hit ? table[hit] : null;
+}
+
+// Reference date for every date-dependent rule. Accepts a Date or
+// "YYYY-MM-DD"; anything else means today. Dates are read in UTC.
+function resolveAnalysisDate(raw) {
+  if (raw instanceof Date && !Number.isNaN(raw.getTime())) return raw;
+  const s = normalizeStr(raw);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const d = new Date(`${s}T00:00:00Z`);
+    if (!Number.isNaN(d.getTime()) && d.toISOString().startsWith(s)) return d;
+  }
+  return new Date();
+}
+
+function toIsoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
 function maskVin(vin) {
   const s = normalizeStr(vin);
   if (s.length < 6) return s || "N/A";
@@ -55,20 +113,20 @@ function getModelKey(vp = {}) {
   return `${make} ${model}`;
 }
 
-function getAgeTier(year) {
+function getAgeTier(year, now = new Date()) {
   const y = num(year);
   if (!y) return { label: null, age: null };
-  const age = new Date().getFullYear() - y;
+  const age = now.getUTCFullYear() - y;
   if (age <= 1) return { label: "current", age };
   if (age <= 3) return { label: "newer", age };
   if (age <= 7) return { label: "mid", age };
   return { label: "older", age };
 }
 
-function getMileageTier(mileage, year) {
+function getMileageTier(mileage, year, now = new Date()) {
   const m = num(mileage);
   if (m === null) return { label: "unknown", mileage: null };
-  const age = getAgeTier(year).age;
+  const age = getAgeTier(year, now).age;
   if (!age && age !== 0) {
     if (m < 30000) return { label: "low", mileage: m };
     if (m < 90000) return { label: "average", mileage: m };
@@ -76,22 +134,21 @@ function getMileageTier(mileage, year) {
   }
   const expected = age * 12000;
   const ratio = expected > 0 ? m / expected : 1;
-  if (ratio <= 0.75) return { label: "low", mileage: m };
-  if (ratio >= 1.25) return { label: "high", mileage: m };
-  return { label: "average", mileage: m };
+  const tier = { mileage: m, expected, ratio: Math.round(ratio * 100) / 100 };
+  if (ratio <= 0.75) return { label: "low", ...tier };
+  if (ratio >= 1.25) return { label: "high", ...tier };
+  return { label: "average", ...tier };
 }
 
 // -------------------------------
 // Segment + trim logic
 // -------------------------------
+// Always returns a SegmentProfiles key (see api/services/segments.js)
 function deriveSegment(vp = {}) {
-  if (vp.segment) return vp.segment;
-  const modelKey = getModelKey(vp);
-  if (modelKey && ModelSegmentMap[normalizeUpper(modelKey)]) {
-    return ModelSegmentMap[normalizeUpper(modelKey)];
-  }
-  if (vp.vehicleClass) return vp.vehicleClass;
-  return "general";
+  return (
+    normalizeSegment(vp.segment) ||
+    inferSegment({ make: vp.make, model: vp.model, vehicleClass: vp.vehicleClass }).segment
+  );
 }
 
 function normalizeTrimTier(v) {
@@ -103,6 +160,123 @@ function normalizeTrimTier(v) {
   return "mid";
 }
 
+// -------------------------------
+// Purchase purpose
+// -------------------------------
+function getPurposeProfile(purpose) {
+  const key = normalizeStr(purpose).toLowerCase();
+  const profile = PurchasePurposeProfiles[key];
+  if (!profile) return null;
+  return { key, ...profile };
+}
+
+// -------------------------------
+// Dealer profile matching
+// -------------------------------
+// More specific seller types win when several keys match
+// (e.g. "CarMax Toyota" is treated as no-haggle, not franchise).
+const DEALER_TYPE_PRIORITY = ["no-haggle", "corporate", "franchise", "independent"];
+
+function listingHost(listingUrl) {
+  const s = normalizeStr(listingUrl);
+  if (!s) return "";
+  try {
+    return new URL(/^https?:\/\//i.test(s) ? s : `https://${s}`).hostname;
+  } catch {
+    return "";
+  }
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Keys match whole words of the seller name ("Bradford Motors" is not a
+// Ford store) and whole labels of the host ("smith-ford.com", "carmax.com")
+function matchDealerProfile({ sellerName, listingUrl }) {
+  const name = normalizeStr(sellerName).toLowerCase();
+  const hostLabels = listingHost(listingUrl).toLowerCase().split(/[.-]/).filter(Boolean);
+  if (!name && !hostLabels.length) return null;
+
+  const matches = Object.keys(DealerProfiles)
+    .map((key) => {
+      const matchedOn = new RegExp(`\\b${escapeRegex(key)}\\b`).test(name)
+        ? "sellerName"
+        : hostLabels.includes(key.replace(/\s+/g, ""))
+        ? "listingUrl"
+        : null;
+      return matchedOn ? { key, matchedOn, ...DealerProfiles[key] } : null;
+    })
+    .filter(Boolean);
+
+  if (!matches.length) return null;
+
+  matches.sort(
+    (a, b) =>
+      DEALER_TYPE_PRIORITY.indexOf(a.type) - DEALER_TYPE_PRIORITY.indexOf(b.type)
+  );
+
+  const best = matches[0];
+  return {
+    key: best.key,
+    type: best.type,
+    leverageFactor:
+      typeof best.leverageFactor === "number" ? best.leverageFactor : 1,
+    notes: Array.isArray(best.notes) ? best.notes : [],
+    matchedOn: best.matchedOn,
+    sellerName: normalizeStr(sellerName) || null,
+  };
+}
+
+// -------------------------------
+// Private-party sales
+// -------------------------------
+// "private" for marketplace / classified sellers; anything else is a dealer
+function normalizeSellerType(raw) {
+  const s = normalizeStr(raw).toLowerCase().replace(/[\s_-]+/g, "");
+  return ["private", "privateparty", "privateseller"].includes(s) ? "private" : "dealer";
+}
+
+// Title / lien checks, scam red flags, and payment + meeting safety. The
+// price check compares the asking price with the rough retail estimate.
+function derivePrivatePartyGuidance({ vehicleHistory, askingPrice, marketEstimate, financing, tradeIn }) {
+  const rules = PrivatePartyRules;
+
+  const titleChecklist = [...(rules.titleChecklist || [])];
+  if (vehicleHistory?.branded) titleChecklist.push(...(rules.brandedTitleChecks || []));
+
+  const price = num(askingPrice);
+  let priceWarning = null;
+  if (price !== null && marketEstimate) {
+    const belowPct = 1 - price / marketEstimate;
+    if (belowPct >= (rules.underMarketRedFlagPct ?? 0.3)) {
+      priceWarning = `The asking price is about ${Math.round(belowPct * 100)}% below our rough market estimate of ${formatUsd(marketEstimate)}. Prices this far under market are the most common sign of a scam listing — verify the seller and the title before any money changes hands.`;
+    }
+  }
+
+  const paymentSafety = [...(rules.paymentSafety || [])];
+  const preApprovedApr = num(normalizeStr(financing?.preApprovedApr).replace(/%/g, ""));
+  if (preApprovedApr !== null) {
+    paymentSafety.push(
+      `Financing at your ${preApprovedApr}% pre-approval: confirm the lender makes private-party loans. Most pay the seller (or the seller’s lender) directly once the title is signed over.`
+    );
+  }
+
+  const notes = [...(rules.notes || [])];
+  if (tradeIn && typeof tradeIn === "object") {
+    notes.push(
+      "A private seller can’t take your trade-in. Sell it separately (a private sale or an instant cash offer) so it doesn’t hold up this deal."
+    );
+  }
+
+  return {
+    titleChecklist,
+    redFlags: priceWarning ? [priceWarning, ...(rules.redFlags || [])] : [...(rules.redFlags || [])],
+    priceWarning,
+    paymentSafety,
+    meetingLogistics: [...(rules.meetingLogistics || [])],
+    notes,
+  };
+}
+
 // -------------------------------
 // Ownership outlook
 // -------------------------------
@@ -140,49 +314,7 @@ function deriveOwnershipOutlook(modelKey) {
 }
 
 function getSegmentProfile(segment) {
-  const seg = normalizeStr(segment) || "general";
-
-  if (SegmentProfiles[seg] && typeof SegmentProfiles[seg] === "object") {
-    return SegmentProfiles[seg];
-  }
-
-  switch (seg) {
-    case "performance":
-      return {
-        category: "discretionary",
-        demandVolatility: "high",
-        sellerFlexibility: "moderate",
-        dealerNarrative: "emotion-driven pricing",
-        leverageAngles: ["timing", "inspection risk", "cross-shopping"],
-      };
-
-    case "luxury":
-      return {
-        category: "discretionary",
-        demandVolatility: "medium",
-        sellerFlexibility: "moderate",
-        dealerNarrative: "condition-sensitive pricing",
-        leverageAngles: ["inspection risk", "ownership cost framing", "timing"],
-      };
-
-    case "economy":
-      return {
-        category: "practical",
-        demandVolatility: "low",
-        sellerFlexibility: "moderate",
-        dealerNarrative: "high-competition pricing",
-        leverageAngles: ["cross-shopping", "timing", "fees"],
-      };
-
-    default:
-      return {
-        category: "general",
-        demandVolatility: "medium",
-        sellerFlexibility: "moderate",
-        dealerNarrative: "standard retail pricing",
-        leverageAngles: ["inspection risk", "cross-shopping", "timing"],
-      };
-  }
+  return SegmentProfiles[segment] || SegmentProfiles[DEFAULT_SEGMENT] || null;
 }
 
 function deriveTrimLeverage(trimTier) {
@@ -230,24 +362,169 @@ function deriveTrimLeverage(trimTier) {
   }
 }
 
-function deriveNegotiationStance({ segment, ageTier, mileageTier, hasAskingPrice }) {
-  if (!hasAskingPrice) return "discovery-first";
+// -------------------------------
+// Rule-pack facts
+// -------------------------------
+// Everything a rule pack may condition on (see api/services/rulePacks.js).
+function buildRuleFacts({
+  segment,
+  segmentProfile,
+  ageTier,
+  mileageTier,
+  trimLeverage,
+  hasAskingPrice,
+  askingPrice,
+  dealerProfile,
+  sellerType,
+  purposeProfile,
+  leaseBuyout,
+  vehicleHistory,
+}) {
+  return {
+    segment,
+    segmentCategory: segmentProfile?.category ?? null,
+    dealerNarrative: segmentProfile?.dealerNarrative ?? null,
+    ageTier: ageTier?.label ?? null,
+    ageYears: ageTier?.age ?? null,
+    mileageTier: mileageTier?.label ?? null,
+    trimTier: trimLeverage?.trimTier ?? null,
+    negotiability: trimLeverage?.negotiability ?? null,
+    hasAskingPrice,
+    askingPrice: hasAskingPrice ? num(askingPrice) : null,
+    dealerType: dealerProfile?.type ?? null,
+    sellerType,
+    purpose: purposeProfile?.key ?? null,
+    purposeDiscretionary: !!purposeProfile?.discretionary,
+    purposeUrgency: purposeProfile?.urgency ?? null,
+    leaseBuyout: !!leaseBuyout,
+    leaseRecommendation: leaseBuyout?.recommendation ?? null,
+    titleBrand: vehicleHistory?.titleBrand ?? null,
+    titleBranded: !!vehicleHistory?.branded,
+    accidentCount: vehicleHistory?.accidents ?? null,
+    accidentSeverity: vehicleHistory?.accidentSeverity ?? null,
+    ownerCount: vehicleHistory?.owners ?? null,
+    usage: vehicleHistory?.usage ?? null,
+  };
+}
+
+// Human-readable context for the reason codes (thresholds, matches, amounts)
+function buildRuleDetails({ ageTier, mileageTier, trimLeverage, askingPrice, hasAskingPrice, dealerProfile, purposeProfile, leaseBuyout }) {
+  const details = {};
+
+  if (ageTier?.age !== null && ageTier?.age !== undefined) {
+    details.ageTier = `${ageTier.age} yrs old`;
+  }
+
+  if (mileageTier?.ratio !== undefined) {
+    details.mileageTier = `ratio ${mileageTier.ratio.toFixed(2)} vs ${mileageTier.expected.toLocaleString()} mi expected`;
+  } else if (mileageTier?.mileage !== null && mileageTier?.mileage !== undefined) {
+    details.mileageTier = `${mileageTier.mileage.toLocaleString()} mi; no model year, absolute bands`;
+  } else {
+    details.mileageTier = "mileage not provided";
+  }
+
+  if (trimLeverage?.trimTier) details.negotiability = `trim tier ${trimLeverage.trimTier}`;
+
+  details.hasAskingPrice = hasAskingPrice ? formatUsd(askingPrice) : "not provided";
+
+  if (dealerProfile) {
+    details.dealerType = `"${dealerProfile.key}" matched on ${dealerProfile.matchedOn}`;
+  }
 
-  if (segment === "performance") {
-    return ageTier?.label === "older"
-      ? "firm-and-patient"
-      : "measured-but-firm";
+  if (purposeProfile) {
+    details.purpose = purposeProfile.label;
+    details.purposeDiscretionary = `${purposeProfile.label} is discretionary`;
   }
 
-  if (segment === "economy") {
-    return mileageTier?.label === "high"
-      ? "pressure-ready"
-      : "patient-and-comparative";
+  if (leaseBuyout?.netBenefitOfBuyout !== null && leaseBuyout?.netBenefitOfBuyout !== undefined) {
+    details.leaseRecommendation = `net benefit of buyout ${formatUsd(leaseBuyout.netBenefitOfBuyout)}`;
   }
 
-  return "balanced";
+  return details;
 }
 
+// Explainability trace: every stance, script, move, pushback response, and
+// escalation item paired with the rule and reason codes that produced it.
+// Rule-pack items cite the pack rule; scripts the engine writes itself (fees,
+// trim, VIN identity, calendar, regional, trade-in, financing, lease) cite
+// the helper's reason code and the fact inputs it tested.
+function buildExplanationTrace({ rulePack, rules, facts, details, engine = {} }) {
+  const stanceReasons = rules.sources.stance
+    ? describeRule(rulePack, rules.sources.stance, facts, details)
+    : ["default (no stance rule matched)"];
+
+  const scoped = { ...facts, stance: rules.stance };
+  const scopedDetails = {
+    ...details,
+    stance: rules.sources.stance ? `set by ${rules.sources.stance}` : "pack default",
+  };
+
+  const explain = (ruleId) =>
+    ruleId
+      ? describeRule(rulePack, ruleId, scoped, scopedDetails)
+      : ["default (no rule overrode this move)"];
+
+  const entries = (key, pick = (item) => item) =>
+    rules[key].map((item, i) => ({
+      text: pick(item),
+      rule: rules.sources[key][i],
+      reasons: explain(rules.sources[key][i]),
+    }));
+
+  const traced = (text, traceReason) => ({
+    text,
+    rule: traceReason.code,
+    reasons: describeFacts(traceReason.facts),
+  });
+  const tracedScripts = (items = []) =>
+    items.filter((item) => item.script && item.traceReason).map((item) => traced(item.script, item.traceReason));
+  const tracedResponses = (items = []) =>
+    items.filter((item) => item.traceReason).map((item) => traced(item.dealerSays, item.traceReason));
+
+  const moves = {};
+  for (const [move, text] of Object.entries(rules.moves)) {
+    moves[move] = { text, rule: rules.sources.moves[move], reasons: explain(rules.sources.moves[move]) };
+  }
+
+  const {
+    outTheDoor,
+    trimVerification,
+    identityCheck,
+    timingLeverage,
+    regionalLeverage,
+    tradeIn,
+    financing,
+    leaseBuyout,
+  } = engine;
+
+  const engineScripts = [
+    ...tracedScripts(outTheDoor?.flaggedFees),
+    ...tracedScripts(trimVerification ? [trimVerification] : []),
+    ...tracedScripts(identityCheck?.mismatches),
+    ...tracedScripts(timingLeverage?.windows),
+    ...(regionalLeverage?.factors || []).flatMap((f) => f.notes.map((note) => traced(note, f.traceReason))),
+    ...(leaseBuyout ? leaseBuyout.lessorScripts.map((text) => traced(text, leaseBuyout.lessorTraceReason)) : []),
+  ];
+
+  const pushbackResponses = [
+    ...(leaseBuyout
+      ? tracedResponses(leaseBuyout.dealerResponses)
+      : entries("pushbackResponses", (r) => r.dealerSays ?? r.sellerSays)),
+    ...tracedResponses(tradeIn?.scripts),
+    ...tracedResponses(financing?.responses),
+  ];
+
+  return {
+    rulePack: `${rulePack.id}@${rulePack.version}`,
+    facts: scoped,
+    stance: { value: rules.stance, rule: rules.sources.stance, reasons: stanceReasons },
+    scripts: [...entries("scripts"), ...entries("contextScripts"), ...engineScripts],
+    moves,
+    pushbackResponses,
+    escalateWhen: entries("escalateWhen"),
+    exitWhen: entries("exitWhen"),
+  };
+}
 
 function deriveDepreciationLeverage({ year, ageTier, segment }) {
 
@@ -283,11 +560,23 @@ function deriveDepreciationLeverage({ year, ageTier, segment }) {
       );
       break;
   
+    case "van":
+      points.push(
+        "Minivans and vans sell on practicality, so mileage, condition, and comparable family-vehicle inventory carry the most weight."
+      );
+      break;
+  
     case "luxury":
       points.push(
         "Luxury vehicles tend to experience sharper depreciation outside warranty coverage, increasing sensitivity to timing and ownership costs."
       );
       break;
+
+    case "exotic":
+      points.push(
+        "Exotic vehicles trade in a thin market; documented service history and specialist inspection drive value more than the asking price."
+      );
+      break;
       case "performance":
     points.push(
       "Demand for discretionary performance vehicles can fluctuate more than necessity-based vehicles, making timing and buyer alternatives especially relevant."
@@ -317,6 +606,488 @@ function deriveDepreciationLeverage({ year, ageTier, segment }) {
   };
 }
 
+// -------------------------------
+// Regional leverage (buyer location)
+// -------------------------------
+function stateFromZip(zip) {
+  const prefix = Number(String(zip).slice(0, 3));
+  const hit = ZipPrefixStates.find(([low, high]) => prefix >= low && prefix <= high);
+  return hit ? hit[2] : null;
+}
+
+// An explicit state wins (it drives taxes and fees); the ZIP fills it in otherwise
+function resolveBuyerLocation({ buyerState, buyerZip }) {
+  const zip = (normalizeStr(buyerZip).match(/^\d{5}/) || [])[0] || null;
+  const given = normalizeUpper(buyerState);
+  const hasState = /^[A-Z]{2}$/.test(given);
+  const state = hasState ? given : zip ? stateFromZip(zip) : null;
+  if (!state) return null;
+  return { state, zip, source: hasState ? "state" : "zip" };
+}
+
+function isAwdVehicle({ driveType, segment }) {
+  if (driveType) return /(4WD|4X4|4-WHEEL|AWD|ALL-WHEEL)/i.test(driveType);
+  return segment === "suv" || segment === "truck";
+}
+
+function isConvertible({ bodyClass, bodyStyle, model, trim }) {
+  return /(CONVERTIBLE|CABRIOLET|ROADSTER|SPYDER|SPIDER)/i.test(
+    [bodyClass, bodyStyle, model, trim].filter(Boolean).join(" ")
+  );
+}
+
+function getVehicleTraits({ vp, segment, bodyStyle }) {
+  return {
+    segment,
+    awd: isAwdVehicle({ driveType: vp.driveType, segment }),
+    convertible: isConvertible({ bodyClass: vp.bodyClass, bodyStyle, model: vp.model, trim: vp.trim }),
+  };
+}
+
+// Shared by regional and calendar rules: { segments, awd, convertible }
+function matchesAppliesTo(appliesTo, traits) {
+  const on = appliesTo || {};
+  if (on.segments && !on.segments.includes(traits.segment)) return false;
+  if (on.awd && !traits.awd) return false;
+  if (on.convertible && !traits.convertible) return false;
+  return true;
+}
+
+// The traits an appliesTo actually tested, for the explanation trace
+function appliesToFacts(appliesTo, traits) {
+  const on = appliesTo || {};
+  return {
+    ...(on.segments ? { segment: traits.segment } : {}),
+    ...(on.awd ? { awd: traits.awd } : {}),
+    ...(on.convertible ? { convertible: traits.convertible } : {}),
+  };
+}
+
+function deriveRegionalLeverage({ location, segment, segmentProfile, vp, bodyStyle, now }) {
+  if (!location) return null;
+
+  const month = now.getUTCMonth() + 1;
+  const traits = getVehicleTraits({ vp, segment, bodyStyle });
+
+  const applies = (rule) => {
+    if (!rule.states.includes(location.state)) return false;
+    if (Array.isArray(rule.months) && !rule.months.includes(month)) return false;
+    return matchesAppliesTo(rule.appliesTo, traits);
+  };
+
+  const rules = RegionalMarketRules.filter(applies);
+  const baseVolatility = segmentProfile?.demandVolatility ?? null;
+  const override = rules.filter((r) => r.demandVolatility).map((r) => r.demandVolatility).pop() || null;
+
+  return {
+    state: location.state,
+    zip: location.zip,
+    source: location.source,
+    factors: rules.map((r) => ({
+      id: r.id,
+      label: r.label,
+      notes: [r.timingNote, r.note].filter(Boolean),
+      traceReason: {
+        code: r.id,
+        facts: {
+          buyerState: location.state,
+          ...(Array.isArray(r.months) ? { month } : {}),
+          ...appliesToFacts(r.appliesTo, traits),
+        },
+      },
+    })),
+    demandVolatility:
+      override && override !== baseVolatility ? { base: baseVolatility, adjusted: override } : null,
+    inspectionFocus: rules.flatMap((r) => r.inspectionFocus || []),
+    timingNotes: rules.map((r) => r.timingNote).filter(Boolean),
+    notes: rules.map((r) => r.note).filter(Boolean),
+  };
+}
+
+// -------------------------------
+// Calendar timing (reference date)
+// -------------------------------
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function daysInMonth(year, month) {
+  return utcDate(year, month + 1, 0).getUTCDate();
+}
+
+// { month, day } or { month, weekday, nth } (nth -1 = last), then offsetDays
+function holidayDate(rule, year) {
+  let day;
+  if (rule.day) {
+    day = rule.day;
+  } else if (rule.nth === -1) {
+    const last = daysInMonth(year, rule.month);
+    day = last - ((utcDate(year, rule.month, last).getUTCDay() - rule.weekday + 7) % 7);
+  } else {
+    const firstWeekday = utcDate(year, rule.month, 1).getUTCDay();
+    day = 1 + ((rule.weekday - firstWeekday + 7) % 7) + (rule.nth - 1) * 7;
+  }
+  return utcDate(year, rule.month, day + (rule.offsetDays || 0));
+}
+
+function deriveCalendarTiming({ now, year, segment, vp, bodyStyle, dealerProfile, sellerType, regionalLeverage }) {
+  const rules = CalendarTimingRules;
+  const y = now.getUTCFullYear();
+  const month = now.getUTCMonth() + 1;
+  const day = now.getUTCDate();
+  const today = utcDate(y, month, day).getTime();
+  const lastDay = daysInMonth(y, month);
+
+  const seller = sellerType === "private" ? "private" : dealerProfile?.type || null;
+  const movesSeller = (rule) => !(rule.skipDealerTypes || []).includes(seller);
+  const inMonth = (rule) => !Array.isArray(rule.months) || rule.months.includes(month);
+  const referenceDate = toIsoDate(utcDate(y, month, day));
+  const toWindow = (rule, facts, copy = rule) => ({
+    id: rule.id,
+    label: rule.label,
+    favors: copy.favors,
+    detail: copy.detail,
+    script: copy.script ? copy.script.replace("{event}", rule.label) : null,
+    traceReason: { code: rule.id, facts: { referenceDate, ...facts } },
+  });
+
+  const windows = [];
+
+  // Only the biggest close counts: year-end, then quarter-end, then month-end
+  const quotaRule = (rules.quotaWindows || []).find(inMonth);
+  let nextQuotaWindow = null;
+  if (quotaRule && movesSeller(quotaRule)) {
+    const startDay = lastDay - quotaRule.lastDays + 1;
+    if (day >= startDay) {
+      windows.push(toWindow(quotaRule, { seller, windowStartsOnDay: startDay }));
+    } else {
+      nextQuotaWindow = {
+        id: quotaRule.id,
+        label: quotaRule.label,
+        startsOn: toIsoDate(utcDate(y, month, startDay)),
+        daysAway: startDay - day,
+      };
+    }
+  }
+
+  const age = getAgeTier(year, now).age;
+  if (age !== null) {
+    for (const rule of rules.modelYear || []) {
+      if (inMonth(rule) && age >= rule.minAge && age <= rule.maxAge && movesSeller(rule)) {
+        windows.push(toWindow(rule, { ageYears: age, ageRange: `${rule.minAge}–${rule.maxAge}` }));
+      }
+    }
+  }
+
+  const holidayEvent = rules.holidayEvent || {};
+  if (movesSeller(holidayEvent)) {
+    for (const rule of rules.holidays || []) {
+      const date = holidayDate(rule, y).getTime();
+      const from = date - (rule.daysBefore || 0) * DAY_MS;
+      const to = date + (rule.daysAfter || 0) * DAY_MS;
+      if (today >= from && today <= to) {
+        windows.push(toWindow(rule, { seller, holidayDate: toIsoDate(new Date(date)) }, holidayEvent));
+      }
+    }
+  }
+
+  const traits = getVehicleTraits({ vp, segment, bodyStyle });
+  const regionalIds = (regionalLeverage?.factors || []).map((f) => f.id);
+  for (const rule of rules.seasonal || []) {
+    if (!inMonth(rule) || !matchesAppliesTo(rule.appliesTo, traits)) continue;
+    if ((rule.supersededBy || []).some((id) => regionalIds.includes(id))) continue;
+    windows.push(toWindow(rule, { month, ...appliesToFacts(rule.appliesTo, traits) }));
+  }
+
+  const forBuyer = windows.filter((w) => w.favors === "buyer").length;
+  const forSeller = windows.filter((w) => w.favors === "seller").length;
+
+  return {
+    referenceDate,
+    windows,
+    favors: forBuyer > forSeller ? "buyer" : forSeller > forBuyer ? "seller" : "neutral",
+    nextQuotaWindow,
+  };
+}
+
+// -------------------------------
+// Electrified powertrains (EV / PHEV / hybrid)
+// -------------------------------
+const ELECTRIFIED = ["ev", "phev", "hybrid", "electrified"];
+
+// "electrified" = an older order picked the "Hybrid / EV" segment option
+// without a decode
+function normalizePowertrain(vp = {}) {
+  const p = normalizeStr(vp.powertrain).toLowerCase();
+  if (p) return p;
+  if (normalizeStr(vp.segment).toLowerCase() === "hybrid") return "electrified";
+  return null;
+}
+
+function deriveBatteryWarranty({ make, year, mileage, powertrain, now }) {
+  const w = BatteryWarranties[normalizeUpper(make)] || BatteryWarranties.default;
+  if (!w) return null;
+
+  const useHybridTerms =
+    powertrain === "hybrid" && w.hybridYears && (!w.hybridFromYear || (year && year >= w.hybridFromYear));
+  const years = useHybridTerms ? w.hybridYears : w.years;
+  const miles = useHybridTerms ? w.hybridMiles : w.miles;
+
+  const age = getAgeTier(year, now).age;
+  const yearsLeft = age !== null ? Math.max(years - age, 0) : null;
+  const milesLeft = mileage !== null ? Math.max(miles - mileage, 0) : null;
+
+  return {
+    coverage: `${years} years / ${miles.toLocaleString()} miles`,
+    yearsLeft,
+    milesLeft,
+    expired: yearsLeft === 0 || milesLeft === 0,
+    note: w.note || null,
+  };
+}
+
+function deriveUsedEvCredit({ powertrain, year, askingPrice, now }) {
+  const rules = UsedEvTaxCredit;
+  if (!rules) return null;
+
+  const reasons = [];
+  const price = num(askingPrice);
+  const age = getAgeTier(year, now).age;
+  const today = toIsoDate(now);
+
+  if (rules.availableThrough && today > rules.availableThrough) {
+    reasons.push(`The federal used-EV credit is not available for purchases after ${rules.availableThrough}.`);
+  }
+  if (powertrain === "hybrid") {
+    reasons.push("Conventional hybrids don’t qualify; only EVs and qualifying plug-in hybrids do.");
+  }
+  if (price !== null && price > rules.priceCap) {
+    reasons.push(`Sale price is above the ${formatUsd(rules.priceCap)} cap.`);
+  }
+  if (age !== null && age < rules.minAgeYears) {
+    reasons.push(`Model year must be at least ${rules.minAgeYears} years older than the purchase year.`);
+  }
+
+  const eligible = reasons.length === 0 && price !== null;
+  return {
+    status: reasons.length ? "not-eligible" : eligible ? "likely-eligible" : "check",
+    estimatedCredit: eligible
+      ? Math.min(Math.round(price * rules.creditRate), rules.maxCredit)
+      : 0,
+    reasons: reasons.length
+      ? reasons
+      : [
+          `Requires a dealer sale at or under ${formatUsd(rules.priceCap)}, a vehicle at least ${rules.minAgeYears} model years old, its first used-EV transfer, and buyer income limits.`,
+        ],
+  };
+}
+
+function deriveElectrifiedLeverage({ powertrain, make, year, mileage, askingPrice, now }) {
+  if (!ELECTRIFIED.includes(powertrain)) return null;
+
+  const isPlugIn = powertrain === "ev" || powertrain === "phev";
+
+  const inspectionItems = [
+    "High-voltage battery state-of-health report (ask for a dealer or scan-tool printout)",
+    "Hybrid / EV system warning lights and stored codes",
+  ];
+  if (isPlugIn || powertrain === "electrified") {
+    inspectionItems.push(
+      "Charge port, onboard charger and a test charge session",
+      "Real-world range on a full charge vs. the original rating",
+      "DC fast-charging history (frequent fast charging accelerates battery wear)"
+    );
+  }
+  if (powertrain === "hybrid" || powertrain === "phev" || powertrain === "electrified") {
+    inspectionItems.push("Inverter coolant and hybrid battery cooling fan / filter");
+  }
+  inspectionItems.push("Tire wear — instant torque and vehicle weight wear tires faster");
+
+  const depreciationPoints = [];
+  if (powertrain === "ev" || powertrain === "electrified") {
+    depreciationPoints.push(
+      "Used EVs have depreciated faster than gas vehicles as new-model price cuts and incentives reset the market — cite current new-EV pricing as leverage.",
+      "Battery age and remaining warranty are the biggest value drivers; less remaining coverage justifies a lower price."
+    );
+  } else {
+    depreciationPoints.push(
+      "Hybrids generally hold value well, so leverage comes from battery age, remaining hybrid-system coverage and fuel-saving claims you can verify."
+    );
+  }
+
+  return {
+    powertrain,
+    inspectionItems,
+    batteryWarranty: deriveBatteryWarranty({ make, year, mileage, powertrain, now }),
+    taxCredit: powertrain === "hybrid"
+      ? null
+      : deriveUsedEvCredit({ powertrain, year, askingPrice, now }),
+    depreciationPoints,
+  };
+}
+
+// -------------------------------
+// Known model concerns
+// -------------------------------
+function normalizeEngine(v) {
+  const m = normalizeStr(v).match(/(\d+(?:\.\d+)?)/);
+  return m ? `${Number(m[1]).toFixed(1)}L` : null;
+}
+
+function matchKnownIssues({ make, model, year, engine, trim }) {
+  const makeU = normalizeUpper(make);
+  const modelU = normalizeUpper(model);
+  if (!makeU || !modelU) return [];
+
+  const engineNorm = normalizeEngine(engine);
+  const trimU = normalizeUpper(trim);
+
+  return KnownIssueFlags.filter((issue) => {
+    if (normalizeUpper(issue.make) !== makeU) return false;
+    if (normalizeUpper(issue.model) !== modelU) return false;
+
+    // Unknown year can't rule an issue out
+    if (year !== null && issue.years) {
+      if (issue.years.from && year < issue.years.from) return false;
+      if (issue.years.to && year > issue.years.to) return false;
+    }
+
+    const f = issue.filter || {};
+    if (f.engine && engineNorm && normalizeEngine(f.engine) !== engineNorm) return false;
+    if (Array.isArray(f.trims) && trimU && !f.trims.some((t) => normalizeUpper(t) === trimU)) {
+      return false;
+    }
+    return true;
+  }).map((issue) => {
+    const f = issue.filter || {};
+    const unconfirmed = [];
+    if (year === null && issue.years) unconfirmed.push("model year");
+    if (f.engine && !engineNorm) unconfirmed.push(`engine (${f.engine})`);
+    if (Array.isArray(f.trims) && !trimU) unconfirmed.push(`trim (${f.trims.join(", ")})`);
+
+    return {
+      title: `${issue.make} ${issue.model} ${issue.years?.from ?? ""}–${issue.years?.to ?? ""}`.trim(),
+      severity: issue.severity || "moderate",
+      summary: issue.summary,
+      inspectionHint: issue.inspectionHint || null,
+      confirmed: unconfirmed.length === 0,
+      unconfirmed,
+    };
+  });
+}
+
+// -------------------------------
+// Vehicle history (title, accidents, owners, usage)
+// -------------------------------
+const HISTORY_USAGE_ALIASES = { rideshare: "commercial", taxi: "commercial", corporate: "fleet" };
+
+// Accepts an object or the "title:rebuilt,accidents:1,..." string that
+// travels through Stripe metadata.
+function parseHistory(history) {
+  const raw =
+    history && typeof history === "object"
+      ? history
+      : Object.fromEntries(
+          normalizeStr(history)
+            .split(",")
+            .filter(Boolean)
+            .map((pair) => pair.split(":").map((p) => p.trim()))
+        );
+
+  const lower = (v) => normalizeStr(v).toLowerCase();
+  const usage = lower(raw.usage);
+
+  const parsed = {
+    titleBrand: lower(raw.titleBrand ?? raw.title) || null,
+    accidents: num(raw.accidents),
+    accidentSeverity: lower(raw.accidentSeverity ?? raw.severity) || null,
+    owners: num(raw.owners),
+    usage: HISTORY_USAGE_ALIASES[usage] || usage || null,
+  };
+
+  return Object.values(parsed).some((v) => v !== null) ? parsed : null;
+}
+
+function deriveVehicleHistory({ history, askingPrice }) {
+  const h = parseHistory(history);
+  if (!h) return null;
+
+  const rules = VehicleHistoryRules;
+  const branded = !!(h.titleBrand && h.titleBrand !== "clean");
+  const brand = branded ? rules.titleBrands?.[h.titleBrand] : null;
+  const accidents = h.accidents !== null ? Math.max(0, Math.round(h.accidents)) : h.accidentSeverity ? 1 : 0;
+  const severity = accidents ? rules.accidentSeverity?.[h.accidentSeverity || "minor"] : null;
+  const usage = h.usage && h.usage !== "personal" ? rules.usage?.[h.usage] : null;
+
+  let concessionPct = 0;
+  const rationale = [];
+  const warnings = [];
+  const inspectionItems = [];
+
+  if (brand) {
+    warnings.push(brand.warning);
+    rationale.push(
+      `${brand.label} title: branded vehicles typically sell about ${Math.round(brand.valueImpactPct * 100)}% below clean-title equivalents.`
+    );
+    inspectionItems.push(brand.inspectionHint);
+  } else if (branded) {
+    warnings.push(
+      `The title carries a "${h.titleBrand}" brand. Treat any branded title as a major value and insurability issue until you confirm what it means in your state.`
+    );
+  }
+
+  if (severity) {
+    const pct = severity.concessionPct + Math.max(accidents - 1, 0) * (rules.extraAccidentPct || 0);
+    concessionPct += pct;
+    rationale.push(
+      `${accidents} reported accident${accidents > 1 ? "s" : ""} (${severity.label.toLowerCase()}): accident history lowers resale value even after proper repair — about ${(pct * 100).toFixed(0)}% concession.`
+    );
+    inspectionItems.push("Paint thickness, panel gaps, and repair records for the reported damage");
+  }
+
+  if (usage) {
+    concessionPct += usage.concessionPct;
+    rationale.push(
+      `${usage.label} use: prior ${usage.label.toLowerCase()} vehicles typically sell about ${(usage.concessionPct * 100).toFixed(0)}% below personally owned ones.`
+    );
+    inspectionItems.push(usage.inspectionHint);
+  }
+
+  const ownerRule = rules.owners || {};
+  if (h.owners !== null && h.owners > (ownerRule.above ?? 2)) {
+    const pct = Math.min((h.owners - ownerRule.above) * ownerRule.concessionPct, ownerRule.maxPct);
+    concessionPct += pct;
+    rationale.push(
+      `${h.owners} prior owners: more owners make maintenance history harder to verify — about ${(pct * 100).toFixed(0)}% concession.`
+    );
+  }
+
+  const severe = accidents >= 2 || h.accidentSeverity === "severe";
+  const price = num(askingPrice);
+
+  return {
+    titleBrand: h.titleBrand || "unknown",
+    titleLabel: brand ? brand.label : h.titleBrand === "clean" ? "Clean" : h.titleBrand,
+    branded,
+    brandValueImpactPct: brand ? brand.valueImpactPct : null,
+    accidents,
+    accidentSeverity: severity ? h.accidentSeverity || "minor" : null,
+    owners: h.owners,
+    usage: h.usage,
+    concessionPct: +concessionPct.toFixed(3),
+    concessionAmount: price !== null && concessionPct ? roundTo(price * concessionPct, 100) : null,
+    rationale,
+    warnings,
+    walkAwayGuidance: branded
+      ? "Walk away unless the price reflects the branded title, you have confirmed financing and full-coverage insurance, and an independent inspection clears the repair."
+      : null,
+    inspectionItems,
+    inspectionPriority: branded || severe ? "critical" : accidents || usage ? "elevated" : null,
+  };
+}
+
 function buildConditionLeverage({
   year,
   make,
@@ -324,6 +1095,10 @@ function buildConditionLeverage({
   mileage,
   segment,
   vehicleClass,
+  knownIssues = [],
+  electrified = null,
+  vehicleHistory = null,
+  regionalLeverage = null,
 }) {
   const points = [];
 
@@ -343,13 +1118,13 @@ function buildConditionLeverage({
     );
   }
 
-  if (segment === "performance") {
+  if (segment === "performance" || segment === "exotic") {
     points.push(
       "On performance-oriented vehicles, condition carries more weight because repair and maintenance costs tend to scale faster than on standard models."
     );
   }
   
-  if (segment === "performance" || segment === "luxury") {
+  if (segment === "performance" || segment === "luxury" || segment === "exotic") {
     points.push(
       "Higher-performance or premium vehicles can carry elevated repair costs, increasing inspection-based leverage."
     );
@@ -361,96 +1136,872 @@ function buildConditionLeverage({
     );
   }
 
+  if (knownIssues.length) {
+    points.push(
+      "This model has documented concerns for its year range; ask the seller directly whether they have been addressed."
+    );
+  }
+
+  if (vehicleHistory?.rationale.length) {
+    points.push(
+      "The vehicle's history report gives documented, third-party grounds for a lower price — lead with it before discussing condition."
+    );
+  }
+
   return {
     leverageType: "condition",
     notes: points,
     inspectionFocus: [
+      ...(electrified ? electrified.inspectionItems : []),
       "Tires and brakes",
       "Suspension and alignment",
       "Service records",
       "Warning lights or codes",
+      ...knownIssues.map((i) => i.inspectionHint).filter(Boolean),
+      ...(vehicleHistory ? vehicleHistory.inspectionItems : []),
+      ...(regionalLeverage ? regionalLeverage.inspectionFocus : []),
     ],
   };
 }
 
-function buildNegotiationScripts({ ageTier, mileageTier, segmentProfile, trimLeverage, askingPrice }) {
-  const scripts = [];
-
-  scripts.push(
-    "I’m prepared to move forward, but I want to make sure the price reflects condition, ownership risk, and available alternatives."
-  );
+// -------------------------------
+// Fair-value band (asking price → offer numbers)
+// -------------------------------
+function resolveTrimSpec(modelKey, trimName) {
+  const spec = lookupByModelKey(BaseVehicleSpecs, modelKey);
+  const t = normalizeUpper(trimName);
+  if (!spec || !spec.trims || !t) return null;
+  const hit = Object.keys(spec.trims).find((k) => k.toUpperCase() === t);
+  return hit ? { name: hit, ...spec.trims[hit] } : null;
+}
 
-  if (segmentProfile?.dealerNarrative === "emotion + excitement pricing") {
-    scripts.push(
-      "Performance-oriented vehicles are often priced with emotional demand factored in, which is why I prefer to ground the discussion in inspection results, ownership risk, and realistic alternatives."
-    );
-  
-    scripts.push(
-      "I’m not opposed to paying a fair price — I just want to make sure the number reflects objective factors, not excitement."
-    );
+// -------------------------------
+// Trim verification (mis-trimmed listings)
+// -------------------------------
+// Checklist from BaseVehicleSpecs for the advertised trim. Features the
+// next trim down lacks are flagged — those are what a mis-trimmed
+// listing will be missing.
+function deriveTrimVerification({ modelKey, trimSpec, askingPrice }) {
+  if (!trimSpec || !Array.isArray(trimSpec.expectedFeatures) || !trimSpec.expectedFeatures.length) {
+    return null;
   }
-  
 
-  if (segmentProfile?.dealerNarrative) {
-    scripts.push(
-      `Vehicles in this category are often priced around ${segmentProfile.dealerNarrative}, which is why I want to ground the discussion in inspection results and total cost.`
-    );
+  const spec = lookupByModelKey(BaseVehicleSpecs, modelKey);
+  const adj = (t) => (typeof t?.trimAdjustment === "number" ? t.trimAdjustment : 1);
+
+  const lower = Object.entries(spec?.trims || {})
+    .filter(([name, t]) => name !== trimSpec.name && adj(t) < adj(trimSpec))
+    .sort(([, a], [, b]) => adj(b) - adj(a))[0];
+  const lowerTrim = lower ? { name: lower[0], ...lower[1] } : null;
+
+  const lowerFeatures = new Set((lowerTrim?.expectedFeatures || []).map(normalizeUpper));
+  const checklist = trimSpec.expectedFeatures.map((feature) => ({
+    feature,
+    setsApart: !!lowerTrim && !lowerFeatures.has(normalizeUpper(feature)),
+  }));
+
+  if (!lowerTrim) {
+    return {
+      trim: trimSpec.name,
+      checklist,
+      lowerTrim: null,
+      lowerTrimGapPct: null,
+      misTrimPrice: null,
+      leverageNote: `${trimSpec.name} is the entry trim in our reference data, so mis-trimming is unlikely — still confirm the equipment you are paying for.`,
+      script: null,
+    };
   }
 
-  if (ageTier?.label === "older") {
-    scripts.push(
-      "On older vehicles, inspection findings tend to matter more than list price when evaluating fairness."
-    );
+  const gap = 1 - adj(lowerTrim) / adj(trimSpec);
+  const price = num(askingPrice);
+  const misTrimPrice = price !== null && price > 0 ? roundTo(price * (1 - gap), 100) : null;
+  const keyFeatures = checklist.filter((c) => c.setsApart).map((c) => c.feature);
+  const missingText = keyFeatures.length
+    ? keyFeatures.length > 1
+      ? `${keyFeatures.slice(0, -1).join(", ")} or ${keyFeatures[keyFeatures.length - 1]}`
+      : keyFeatures[0]
+    : "the features listed for this trim";
+
+  return {
+    trim: trimSpec.name,
+    checklist,
+    lowerTrim: lowerTrim.name,
+    lowerTrimGapPct: +(gap * 100).toFixed(1),
+    misTrimPrice,
+    leverageNote: `If the car is missing ${missingText}, it is likely the ${lowerTrim.name} trim, which typically sells about ${(gap * 100).toFixed(0)}% below the ${trimSpec.name}${
+      misTrimPrice !== null ? ` (about ${formatUsd(misTrimPrice)} at this asking price)` : ""
+    }. Price it as the trim it is, not the trim it was listed as — and run your offer numbers from that lower price.`,
+    script: `The listing says ${trimSpec.name}, but this car doesn’t have ${missingText}. That’s ${lowerTrim.name} equipment, so I’m pricing it as the ${lowerTrim.name}${
+      misTrimPrice !== null ? ` — around ${formatUsd(misTrimPrice)} before we talk about condition` : ""
+    }.`,
+    traceReason: {
+      code: "trim.lower-trim-equipment",
+      facts: {
+        listedTrim: trimSpec.name,
+        lowerTrim: lowerTrim.name,
+        lowerTrimGapPct: +(gap * 100).toFixed(1),
+        askingPrice: price,
+      },
+    },
+  };
+}
+
+// -------------------------------
+// VIN vs listing identity check
+// -------------------------------
+const MISMATCH_SEVERITY_ORDER = ["critical", "high", "moderate"];
+
+const identityKey = (v) => normalizeUpper(v).replace(/[^A-Z0-9]/g, "");
+
+function sameMake(a, b) {
+  const aliases = VinMismatchRules.makeAliases || {};
+  const canon = (v) => aliases[identityKey(v)] || identityKey(v);
+  return canon(a) === canon(b);
+}
+
+// "Civic" matches "Civic Sedan", "F150" matches "F-150 SuperCrew"
+function sameName(a, b) {
+  const x = identityKey(a);
+  const y = identityKey(b);
+  return !!x && !!y && (x.startsWith(y) || y.startsWith(x));
+}
+
+/**
+ * claimed: { year, make, model, trim } as entered (usually from the listing)
+ * alongside a VIN. Compared with the decoded profile; fields the decode
+ * couldn't supply (offline decode: no model / trim) are "unverified".
+ * Returns null when there is nothing to cross-check.
+ */
+function deriveVinIdentityCheck({ vp, claimed }) {
+  if (!claimed || !normalizeStr(vp.vin)) return null;
+
+  const claimedValues = {
+    year: num(claimed.year),
+    make: normalizeStr(claimed.make) || null,
+    model: normalizeStr(claimed.model) || null,
+    trim: normalizeStr(claimed.trim) || null,
+  };
+  if (!Object.values(claimedValues).some((v) => v !== null)) return null;
+
+  const rules = VinMismatchRules;
+
+  // The VIN couldn't be decoded at all: the profile is the listing's own claim
+  if (!vp.decodeSource) {
+    return {
+      status: "unverified",
+      claimed: claimedValues,
+      decoded: null,
+      mismatches: [],
+      unverified: Object.keys(claimedValues).filter((f) => claimedValues[f] !== null),
+      severity: null,
+      note: rules.unverifiedNote,
+      walkAway: null,
+      verifySteps: rules.verifySteps || [],
+    };
   }
 
-  if (mileageTier?.label === "high") {
-    scripts.push(
-      "Mileage is a consideration for me, especially when comparing long-term ownership cost across options."
-    );
+  const offline = vp.decodeSource === "local";
+  const decoded = {
+    year: num(vp.year),
+    make: normalizeStr(vp.make) || null,
+    model: offline ? null : normalizeStr(vp.model) || null,
+    trim: offline ? null : normalizeStr(vp.trim) || null,
+    source: vp.decodeSource,
+  };
+
+  const matches = {
+    year: (a, b) => a === b,
+    make: sameMake,
+    model: sameName,
+    trim: sameName,
+  };
+
+  const mismatches = [];
+  const unverified = [];
+  for (const field of ["make", "model", "year", "trim"]) {
+    if (claimedValues[field] === null) continue;
+    if (decoded[field] === null) {
+      unverified.push(field);
+      continue;
+    }
+    if (matches[field](claimedValues[field], decoded[field])) continue;
+
+    const rule = rules.fields?.[field] || {};
+    const fill = (text) =>
+      String(text || "")
+        .replace(/\{claimed\}/g, claimedValues[field])
+        .replace(/\{decoded\}/g, decoded[field]);
+    mismatches.push({
+      field,
+      label: rule.label || field,
+      claimed: claimedValues[field],
+      decoded: decoded[field],
+      severity: rule.severity || "moderate",
+      detail: fill(rule.detail),
+      script: rule.script ? fill(rule.script) : null,
+      traceReason: {
+        code: `vin-identity.${field}-mismatch`,
+        facts: { [`claimed.${field}`]: claimedValues[field], [`decoded.${field}`]: decoded[field], decodeSource: decoded.source },
+      },
+    });
   }
 
-  if (trimLeverage?.negotiability === "high") {
-    scripts.push(
-      "This trim level is widely available, so I’m cross-shopping multiple similar vehicles."
+  const severity =
+    MISMATCH_SEVERITY_ORDER.find((level) => mismatches.some((m) => m.severity === level)) || null;
+  const decodedLabel = [decoded.year, decoded.make, decoded.model, decoded.trim].filter(Boolean).join(" ");
+
+  return {
+    status: mismatches.length ? "mismatch" : "match",
+    claimed: claimedValues,
+    decoded,
+    mismatches,
+    unverified,
+    severity,
+    note: mismatches.length
+      ? `This report is priced on what the VIN decodes to (${decodedLabel}), not on the listing.`
+      : `The listing matches the VIN decode (${decodedLabel})${
+          unverified.length ? `; ${unverified.join(" and ")} couldn’t be checked` : ""
+        }.`,
+    walkAway: severity === "critical" ? rules.walkAway : null,
+    verifySteps: mismatches.length ? rules.verifySteps || [] : [],
+  };
+}
+
+function deriveFairValueBand({ askingPrice, ageTier, segment, mileageTier, trimSpec, dealerProfile, vehicleHistory }) {
+  const price = num(askingPrice);
+  if (price === null || price <= 0) return null;
+
+  const factors = [];
+
+  // Age + segment curve: half of the coming year's depreciation is treated
+  // as negotiable room, since the seller is carrying that loss.
+  const curveKey = DepreciationCurves[segment] ? segment : "default";
+  const curve = DepreciationCurves[curveKey] || {};
+  const maxAge = Math.max(0, ...Object.keys(curve).map(Number));
+  const age = Math.min(Math.max(ageTier?.age ?? 3, 0), Math.max(maxAge - 1, 0));
+  const now = curve[age] ?? 1;
+  const next = curve[age + 1] ?? now;
+  const annualDrop = now > 0 ? 1 - next / now : 0;
+  let discount = annualDrop * 0.5;
+
+  factors.push({
+    factor: "age",
+    detail: ageTier?.age !== null && ageTier?.age !== undefined
+      ? `${ageTier.age} yr old on the ${curveKey} depreciation curve (${(annualDrop * 100).toFixed(1)}% expected drop next year)`
+      : `Age unknown; ${curveKey} curve at year ${age} assumed`,
+    effect: +(discount * 100).toFixed(1),
+  });
+
+  // Mileage tier widens or narrows the band
+  const mileageAdj = MileageAdjustment[mileageTier?.label] ?? 0;
+  discount += mileageAdj;
+  factors.push({
+    factor: "mileage",
+    detail: `Mileage tier: ${mileageTier?.label || "unknown"}`,
+    effect: +(mileageAdj * 100).toFixed(1),
+  });
+
+  // Trims that hold value (adjustment > 1) leave less room
+  const trimAdj = typeof trimSpec?.trimAdjustment === "number" ? trimSpec.trimAdjustment : 1;
+  const beforeTrim = discount;
+  discount *= 2 - trimAdj;
+  factors.push({
+    factor: "trim",
+    detail: trimSpec
+      ? `${trimSpec.name} trim adjustment ×${trimAdj}`
+      : "Trim not matched to reference data; no adjustment",
+    effect: +((discount - beforeTrim) * 100).toFixed(1),
+  });
+
+  // Documented history (accidents, rental/fleet use, many owners)
+  if (vehicleHistory?.concessionPct) {
+    discount += vehicleHistory.concessionPct;
+    factors.push({
+      factor: "history",
+      detail: "Vehicle history report concessions (accidents, prior use, owner count)",
+      effect: +(vehicleHistory.concessionPct * 100).toFixed(1),
+    });
+  }
+
+  // Branded titles trade well below clean-title value
+  const brandImpact = vehicleHistory?.brandValueImpactPct || 0;
+  if (brandImpact) {
+    discount += brandImpact;
+    factors.push({
+      factor: "title",
+      detail: `${vehicleHistory.titleLabel} title brand`,
+      effect: +(brandImpact * 100).toFixed(1),
+    });
+  }
+
+  // Seller type scales the whole band (no-haggle lots barely move)
+  if (dealerProfile) {
+    const beforeDealer = discount;
+    discount *= dealerProfile.leverageFactor;
+    factors.push({
+      factor: "dealer",
+      detail: `${dealerProfile.type} seller (${dealerProfile.key}) leverage ×${dealerProfile.leverageFactor}`,
+      effect: +((discount - beforeDealer) * 100).toFixed(1),
+    });
+  }
+
+  // A branded title lifts the ceiling to the brand's typical value gap
+  const maxTarget = Math.max(0.2, brandImpact);
+  const target = Math.min(Math.max(discount, 0.01), maxTarget);
+  const opening = Math.min(target * 1.75, Math.max(0.3, maxTarget + 0.05));
+  const walkAway = target * 0.4;
+
+  const zone = (pct, basis) => ({
+    amount: roundTo(price * (1 - pct), 100),
+    discountPct: +(pct * 100).toFixed(1),
+    basis,
+  });
+
+  return {
+    askingPrice: price,
+    openingOffer: zone(opening, "Target discount ×1.75 — leaves room to concede toward target."),
+    targetPrice: zone(
+      target,
+      vehicleHistory?.rationale.length
+        ? "Depreciation room, adjusted for mileage, trim, and vehicle history."
+        : "Depreciation room, adjusted for mileage and trim."
+    ),
+    walkAwayCeiling: zone(walkAway, "Target discount ×0.4 — the most you should pay before walking."),
+    factors,
+  };
+}
+
+// -------------------------------
+// Out-the-door cost
+// -------------------------------
+// Accepts [{ type, price }] or the "type:price,type:price" string
+// that travels through Stripe metadata.
+function parseAddOns(addOns) {
+  const list = Array.isArray(addOns)
+    ? addOns
+    : normalizeStr(addOns)
+        .split(",")
+        .filter(Boolean)
+        .map((pair) => {
+          const [type, price] = pair.split(":");
+          return { type, price };
+        });
+
+  return list
+    .map((a) => ({
+      type: normalizeStr(a?.type).toLowerCase(),
+      price: num(normalizeStr(a?.price).replace(/[$,]/g, "")),
+    }))
+    .filter((a) => a.type && a.price !== null && a.price >= 0);
+}
+
+function deriveOutTheDoor({ askingPrice, buyerState, docFee, addOns, privateSale = false }) {
+  const price = num(askingPrice);
+  const fee = num(normalizeStr(docFee).replace(/[$,]/g, ""));
+  const items = parseAddOns(addOns);
+  const state = normalizeUpper(buyerState);
+
+  if (price === null && fee === null && !items.length) return null;
+
+  const stateKnown = !!StateFeeRules[state];
+  const rules = StateFeeRules[state] || StateFeeRules.default || {
+    salesTaxRate: 0.06,
+    registration: 250,
+    docFeeCap: null,
+    docFeeTypical: 400,
+  };
+
+  const lines = [];
+  if (price !== null) lines.push({ label: "Vehicle price", amount: price });
+  if (fee !== null) lines.push({ label: "Documentation fee", amount: fee });
+  for (const a of items) {
+    lines.push({ label: DealerAddOnNorms[a.type]?.label || a.type, amount: a.price });
+  }
+
+  const flaggedFees = [];
+
+  if (fee !== null) {
+    if (rules.docFeeCap !== null && fee > rules.docFeeCap) {
+      flaggedFees.push({
+        type: "doc_fee",
+        label: "Documentation fee",
+        amount: fee,
+        limit: rules.docFeeCap,
+        reason: `Exceeds the ${state} statutory cap of ${formatUsd(rules.docFeeCap)}.`,
+        script: `${state} caps documentation fees at ${formatUsd(rules.docFeeCap)}. I need the doc fee corrected to the legal limit before I sign anything.`,
+        traceReason: { code: "otd.doc-fee-over-cap", facts: { buyerState: state, docFee: fee, docFeeCap: rules.docFeeCap } },
+      });
+    } else if (rules.docFeeCap === null && fee > rules.docFeeTypical) {
+      flaggedFees.push({
+        type: "doc_fee",
+        label: "Documentation fee",
+        amount: fee,
+        limit: rules.docFeeTypical,
+        reason: `Above the typical ${stateKnown ? state : "national"} doc fee of about ${formatUsd(rules.docFeeTypical)}.`,
+        script: `Your doc fee is well above what other dealers charge here. If it can’t come down, I need the difference taken off the vehicle price.`,
+        traceReason: {
+          code: "otd.doc-fee-above-typical",
+          facts: { buyerState: stateKnown ? state : null, docFee: fee, docFeeTypical: rules.docFeeTypical },
+        },
+      });
+    }
+  }
+
+  for (const a of items) {
+    const norm = DealerAddOnNorms[a.type];
+    const limit = norm ? norm.typicalMax : 0;
+    if (a.price > limit) {
+      flaggedFees.push({
+        type: a.type,
+        label: norm?.label || a.type,
+        amount: a.price,
+        limit,
+        reason: norm?.reason || (limit === 0
+          ? "Optional dealer add-on with little or no value — decline it."
+          : `Above the typical ${formatUsd(limit)} for this add-on.`),
+        script: norm?.script ||
+          "I didn’t ask for this add-on and won’t pay for it — please remove it from the buyer’s order.",
+        traceReason: { code: "otd.add-on-over-typical", facts: { addOn: a.type, price: a.price, typicalMax: limit } },
+      });
+    }
+  }
+
+  const feesTotal = (fee || 0) + items.reduce((sum, a) => sum + a.price, 0);
+
+  // Most states tax the doc fee and dealer add-ons along with the vehicle
+  const taxable = price !== null ? price + feesTotal : null;
+  const taxes = taxable !== null ? Math.round(taxable * rules.salesTaxRate) : null;
+  const registration = rules.registration;
+  const total = taxable !== null ? taxable + taxes + registration : null;
+  const avoidable = flaggedFees.reduce((sum, f) => sum + (f.amount - f.limit), 0);
+
+  return {
+    state: stateKnown ? state : null,
+    estimated: true,
+    lines,
+    taxes: { rate: rules.salesTaxRate, amount: taxes },
+    registration,
+    total,
+    flaggedFees,
+    avoidableFees: Math.round(avoidable * (1 + rules.salesTaxRate)),
+    notes: [
+      stateKnown
+        ? `Taxes use the ${state} base rate; local taxes may add to this.`
+        : "Buyer state not provided — national average tax and registration assumed.",
+      privateSale
+        ? "Private sale: no dealer fees or add-ons. Tax and registration are paid when you title the car at your DMV."
+        : "Always ask for a written buyer’s order and compare the out-the-door total, not the monthly payment.",
+    ],
+  };
+}
+
+// -------------------------------
+// Trade-in
+// -------------------------------
+function residualFactor(segment, age) {
+  const curve = DepreciationCurves[segment] || DepreciationCurves.default || {};
+  const maxAge = Math.max(0, ...Object.keys(curve).map(Number));
+  if (age <= maxAge) return curve[Math.max(0, age)] ?? 1;
+  // Past the end of the table, keep losing ~8% a year
+  return (curve[maxAge] ?? 1) * Math.pow(0.92, age - maxAge);
+}
+
+// Rough private/retail value from new price × depreciation curve
+function estimateRetailValue({ year, make, model, mileage, condition = "good", now = new Date() }) {
+  if (!year) return null;
+
+  const modelKey = getModelKey({ make, model });
+  const spec = lookupByModelKey(BaseVehicleSpecs, modelKey);
+  const segment = normalizeSegment(spec?.segment) || deriveSegment({ make, model });
+  const newPrice =
+    spec?.msrp ||
+    TradeInBaselines.newPriceBySegment?.[segment] ||
+    TradeInBaselines.newPriceBySegment?.general ||
+    32000;
+
+  const ageTier = getAgeTier(year, now);
+  const mileageTier = getMileageTier(mileage, year, now);
+  const curveSegment = DepreciationCurves[segment] ? segment : "default";
+  const conditionFactor = TradeInBaselines.conditionFactor?.[condition] ?? 1;
+  const mileageFactor = 1 - (MileageAdjustment[mileageTier.label] ?? 0);
+
+  return {
+    value: newPrice * residualFactor(curveSegment, ageTier.age ?? 0) * conditionFactor * mileageFactor,
+    basis: `${spec?.msrp ? "Model" : `${segment} segment`} new price ≈ ${formatUsd(newPrice)}, ${curveSegment} depreciation curve, ${condition} condition, ${mileageTier.label} mileage`,
+  };
+}
+
+function deriveTradeIn(tradeIn, now = new Date()) {
+  if (!tradeIn || typeof tradeIn !== "object") return null;
+
+  const year = num(tradeIn.year);
+  const make = normalizeStr(tradeIn.make);
+  const model = normalizeStr(tradeIn.model);
+  const mileage = num(normalizeStr(tradeIn.mileage).replace(/,/g, ""));
+  const payoff = num(normalizeStr(tradeIn.payoff).replace(/[$,]/g, ""));
+  const condition = normalizeStr(tradeIn.condition).toLowerCase() || "good";
+
+  if (!year && !make && !model && payoff === null) return null;
+
+  const wholesale = TradeInBaselines.wholesaleRange || { low: 0.78, high: 0.9 };
+  const retail = estimateRetailValue({ year, make, model, mileage, condition, now });
+
+  const estimate = retail
+    ? {
+        low: roundTo(retail.value * wholesale.low, 100),
+        high: roundTo(retail.value * wholesale.high, 100),
+        basis: `${retail.basis}, at wholesale.`,
+      }
+    : null;
+
+  let equity = null;
+  if (estimate && payoff !== null) {
+    const low = estimate.low - payoff;
+    const high = estimate.high - payoff;
+    equity = {
+      low,
+      high,
+      status: low >= 0 ? "positive" : high < 0 ? "negative" : "borderline",
+    };
+  }
+
+  const warnings = [];
+  if (equity?.status === "negative") {
+    warnings.push(
+      `You likely owe more than the trade is worth (about ${formatUsd(-equity.high)}–${formatUsd(-equity.low)} negative). Rolling that into the new loan means paying interest on a car you no longer own.`
+    );
+  } else if (equity?.status === "borderline") {
+    warnings.push(
+      "Your payoff is close to the trade value — a low trade offer can quietly turn this into negative equity."
     );
   }
+  if (!estimate) {
+    warnings.push("Add the trade-in year to get a value estimate.");
+  }
 
-  if (askingPrice !== null) {
-    scripts.push(
-      "Before discussing numbers, I want to understand how this price accounts for condition and current alternatives."
+  const advice = [
+    "Negotiate the purchase price to a final number before mentioning the trade.",
+    "Get written offers from at least one instant-offer buyer (CarMax, Carvana, etc.) before visiting — that is your trade floor.",
+    "Evaluate the deal as two separate transactions: what you pay, and what they pay you.",
+  ];
+  if (equity?.status === "positive") {
+    advice.push(
+      "With positive equity, your trade is cash toward the purchase — don’t let it be absorbed into a higher sale price."
     );
   }
 
-  return scripts;
+  const separate = { code: "trade-in.separate-transactions", facts: { tradeIn: true } };
+  const scripts = [
+    {
+      dealerSays: "Are you trading anything in?",
+      buyerResponse:
+        "I may be, but I’d like to settle the price of this vehicle first. We can talk about a trade separately afterwards.",
+      traceReason: separate,
+    },
+    {
+      dealerSays: "We can give you more for your trade if we keep the price where it is.",
+      buyerResponse:
+        "I’d rather see both numbers on their own — the vehicle price, and a separate trade offer. Then I can compare them against other offers.",
+      traceReason: separate,
+    },
+    {
+      dealerSays: "Let’s just look at the difference you’d pay after the trade.",
+      buyerResponse:
+        "The difference hides where the money goes. Please show me the sale price and the trade allowance as separate lines on the buyer’s order.",
+      traceReason: separate,
+    },
+  ];
+  if (equity && equity.status !== "positive") {
+    scripts.push({
+      dealerSays: "Don’t worry, we can roll your balance into the new loan.",
+      buyerResponse:
+        "I’m not financing negative equity. I want to see the price with no balance rolled in, and I’ll decide how to handle my payoff separately.",
+      traceReason: { code: "trade-in.equity-not-positive", facts: { equityStatus: equity.status, payoff } },
+    });
+  }
+
+  return {
+    vehicle: [year, make, model].filter(Boolean).join(" ") || "Trade-in vehicle",
+    condition,
+    mileage,
+    payoff,
+    estimate,
+    equity,
+    warnings,
+    advice,
+    scripts,
+  };
 }
 
-function deriveNegotiationMoves({ stance, segmentProfile }) {
-  const moves = {
-    openingMove:
-      "I’m interested, but before we talk numbers I want to make sure I understand condition, inspection results, and how this compares to similar options.",
+// -------------------------------
+// Financing / F&I
+// -------------------------------
+function monthlyPayment(principal, aprPct, months) {
+  if (!principal || !months) return 0;
+  const r = aprPct / 100 / 12;
+  if (r === 0) return principal / months;
+  return (principal * r) / (1 - Math.pow(1 + r, -months));
+}
 
-    pressureResponse:
-      "I understand your position — I just need the price to reflect condition, risk, and realistic alternatives before moving forward.",
+// Principal a given payment would amortise at this rate
+function impliedPrincipal(payment, aprPct, months) {
+  const r = aprPct / 100 / 12;
+  if (r === 0) return payment * months;
+  return (payment * (1 - Math.pow(1 + r, -months))) / r;
+}
 
-    walkAwayLine:
-      "I’m comfortable waiting or exploring other options if this doesn’t align — feel free to reach out if flexibility opens up.",
+function deriveFinancing({ financing, askingPrice, outTheDoor }) {
+  if (!financing || typeof financing !== "object") return null;
+
+  const clean = (v) => num(normalizeStr(v).replace(/[$,%]/g, ""));
+  const preApprovedApr = clean(financing.preApprovedApr);
+  const dealerApr = clean(financing.dealerApr);
+  const termMonths = clean(financing.termMonths) || 60;
+  const downPayment = clean(financing.downPayment) || 0;
+  const quotedPayment = clean(financing.quotedPayment);
+
+  if (preApprovedApr === null && dealerApr === null && quotedPayment === null) return null;
+
+  const price = outTheDoor?.total ?? num(askingPrice);
+  const amountFinanced = price !== null ? Math.max(price - downPayment, 0) : null;
+
+  const atRate = (apr) => {
+    if (apr === null || amountFinanced === null) return null;
+    const payment = monthlyPayment(amountFinanced, apr, termMonths);
+    return {
+      apr,
+      monthlyPayment: Math.round(payment),
+      totalInterest: Math.round(payment * termMonths - amountFinanced),
+    };
   };
 
-  if (stance === "pressure-ready") {
-    moves.pressureResponse =
-      "Given mileage and ownership considerations, the price needs to reflect the real cost of ownership, not just the listing.";
+  const preApproved = atRate(preApprovedApr);
+  const dealer = atRate(dealerApr);
+
+  const rateMarkup =
+    preApprovedApr !== null && dealerApr !== null
+      ? +(dealerApr - preApprovedApr).toFixed(2)
+      : null;
+  const interestDifference =
+    preApproved && dealer ? dealer.totalInterest - preApproved.totalInterest : null;
+
+  // Payment packing: the quoted payment covers more principal than the deal
+  let paymentPacking = null;
+  const packingApr = dealerApr ?? preApprovedApr;
+  if (quotedPayment !== null && amountFinanced !== null && packingApr !== null) {
+    const expected = monthlyPayment(amountFinanced, packingApr, termMonths);
+    const packedPrincipal = impliedPrincipal(quotedPayment, packingApr, termMonths) - amountFinanced;
+    paymentPacking = {
+      quotedPayment,
+      expectedPayment: Math.round(expected),
+      detected: quotedPayment - expected > 10,
+      hiddenAmount: Math.max(Math.round(packedPrincipal), 0),
+    };
   }
 
-  if (segmentProfile?.category === "discretionary") {
-    moves.walkAwayLine =
-      "This isn’t a necessity purchase for me — I’m happy to revisit if the numbers make more sense later.";
+  const notes = [
+    "Negotiate the vehicle price first; discuss financing only after the out-the-door number is in writing.",
+    "Compare offers by APR and total cost, never by monthly payment alone.",
+  ];
+  if (amountFinanced === null) {
+    notes.push("Add the asking price to calculate payment and interest figures.");
+  }
+  if (rateMarkup !== null && rateMarkup > 0) {
+    notes.push(
+      `The dealer rate is ${rateMarkup} points above your pre-approval — dealers are commonly paid for marking up the lender’s buy rate, so this is negotiable.`
+    );
+  }
+  if (paymentPacking?.detected) {
+    notes.push(
+      `The quoted payment is about ${formatUsd(paymentPacking.quotedPayment - paymentPacking.expectedPayment)}/month higher than the deal supports — roughly ${formatUsd(paymentPacking.hiddenAmount)} of products or fees may be packed in.`
+    );
   }
 
-  return moves;
+  const responses = [
+    {
+      dealerSays: "What monthly payment are you looking for?",
+      buyerResponse:
+        "I’m not shopping by payment. Let’s agree on the out-the-door price first, then we can talk about how I’ll pay for it.",
+      traceReason: { code: "financing.price-before-payment", facts: { financing: true } },
+    },
+  ];
+  if (preApprovedApr !== null) {
+    responses.push({
+      dealerSays: "This is the best rate the bank would approve.",
+      buyerResponse: `I’m already pre-approved at ${preApprovedApr}% for ${termMonths} months. If you can beat that with no added products, I’ll finance with you — otherwise I’ll use my own lender.`,
+      traceReason: { code: "financing.pre-approved", facts: { preApprovedApr, termMonths } },
+    });
+  }
+  if (paymentPacking?.detected) {
+    responses.push({
+      dealerSays: "That payment includes everything you need.",
+      buyerResponse:
+        "The payment is higher than the price and rate support. Please show me an itemized buyer’s order — I’m not paying for products I didn’t agree to.",
+      traceReason: {
+        code: "financing.payment-packing",
+        facts: { quotedPayment, expectedPayment: paymentPacking.expectedPayment, apr: packingApr, termMonths },
+      },
+    });
+  }
+  responses.push({
+    dealerSays: "The extended warranty / GAP is required for this rate.",
+    buyerResponse:
+      "Optional products can’t be a condition of financing. Please remove them and show me the rate without them.",
+    traceReason: { code: "financing.optional-products", facts: { financing: true } },
+  });
+
+  return {
+    termMonths,
+    downPayment,
+    amountFinanced,
+    preApproved,
+    dealer,
+    rateMarkup,
+    interestDifference,
+    paymentPacking,
+    notes,
+    responses,
+  };
 }
 
+// -------------------------------
+// Lease buyout
+// -------------------------------
+function deriveLeaseBuyout({ lease, year, make, model, mileage, buyerState, now = new Date() }) {
+  if (!lease || typeof lease !== "object") return null;
+
+  const clean = (v) => num(normalizeStr(v).replace(/[$,]/g, ""));
+  const residualValue = clean(lease.residualValue);
+  const payoffQuote = clean(lease.payoffQuote);
+  const optionFeeInput = clean(lease.purchaseOptionFee);
+  const purchaseOptionFee = optionFeeInput ?? LeaseDefaults.purchaseOptionFee ?? 0;
+  const mileageAllowance = clean(lease.mileageAllowance);
+  const currentMileage = clean(lease.currentMileage) ?? mileage;
+  const excessMileRate = clean(lease.excessMileRate) ?? LeaseDefaults.excessMileRate ?? 0.25;
+  const dispositionFee = LeaseDefaults.dispositionFee ?? 0;
+
+  const state = normalizeUpper(buyerState);
+  const taxRate = (StateFeeRules[state] || StateFeeRules.default || {}).salesTaxRate ?? 0.06;
+
+  // Contract price: residual + option fee. The payoff quote is what the
+  // lessor (or a dealer) is actually asking.
+  const contractPrice = residualValue !== null ? residualValue + purchaseOptionFee : null;
+  const buyoutPrice = payoffQuote ?? contractPrice;
+  const buyoutTotal = buyoutPrice !== null ? Math.round(buyoutPrice * (1 + taxRate)) : null;
+
+  const excessMiles =
+    mileageAllowance !== null && currentMileage !== null
+      ? Math.max(currentMileage - mileageAllowance, 0)
+      : null;
+  const returnCost = Math.round((excessMiles ?? 0) * excessMileRate + dispositionFee);
+
+  const market = estimateRetailValue({ year, make, model, mileage: currentMileage, now });
+  const marketValue = market ? roundTo(market.value, 100) : null;
+  const buyoutEquity =
+    marketValue !== null && buyoutPrice !== null ? marketValue - buyoutPrice : null;
+
+  // Buying avoids the return costs, so they count toward the buyout side
+  const netBenefitOfBuyout = buyoutEquity !== null ? buyoutEquity + returnCost : null;
+
+  let recommendation = "insufficient-data";
+  if (netBenefitOfBuyout !== null) {
+    recommendation = netBenefitOfBuyout > 500
+      ? "buy-out"
+      : netBenefitOfBuyout < -500
+      ? "return"
+      : "close-call";
+  }
+
+  const payoffMarkup =
+    payoffQuote !== null && contractPrice !== null ? payoffQuote - contractPrice : null;
+  const markupFlagged =
+    payoffMarkup !== null && payoffMarkup > (LeaseDefaults.markupTolerance ?? 300);
+
+  const notes = [];
+  if (marketValue !== null) {
+    notes.push(`Estimated market value: ${formatUsd(marketValue)} (${market.basis}).`);
+  }
+  if (excessMiles) {
+    notes.push(
+      `You are ${excessMiles.toLocaleString()} miles over the allowance — about ${formatUsd(excessMiles * excessMileRate)} in charges if you return it.`
+    );
+  }
+  if (optionFeeInput === null) {
+    notes.push(
+      `Purchase-option fee not provided; ${formatUsd(purchaseOptionFee)} assumed. Check your lease contract.`
+    );
+  }
+  if (markupFlagged) {
+    notes.push(
+      `The payoff quote is ${formatUsd(payoffMarkup)} above your contract residual plus option fee — that gap is usually dealer or processing fees and is negotiable.`
+    );
+  }
+  switch (recommendation) {
+    case "buy-out":
+      notes.push("Buying out looks favorable: the car is worth more than the buyout once return costs are counted.");
+      break;
+    case "return":
+      notes.push("Returning looks favorable: the buyout costs more than the car is likely worth.");
+      break;
+    case "close-call":
+      notes.push("Buying out and returning are close — condition and how long you plan to keep the car should decide it.");
+      break;
+    default:
+      notes.push("Add the residual value or payoff quote and the vehicle year to compare buyout against return.");
+  }
+
+  const lessorScripts = [
+    "Please send a written payoff quote that itemizes the residual, purchase-option fee, taxes, and any other charges.",
+    "Can I purchase the vehicle directly from you, rather than through a dealership?",
+    "Is the purchase-option fee negotiable or waivable for a direct buyout?",
+  ];
+
+  const contractTerms = { code: "lease.contract-price", facts: { leaseBuyout: true, recommendation } };
+  const dealerResponses = [
+    {
+      dealerSays: "We have to process the buyout through our dealership.",
+      buyerResponse:
+        "The purchase price is set by my lease contract. I’ll pay the residual, the contract option fee and required taxes — not dealer add-ons.",
+      traceReason: contractTerms,
+    },
+    {
+      dealerSays: "There’s a standard dealer fee on lease buyouts.",
+      buyerResponse:
+        "That fee isn’t in my contract. Please remove it, or I’ll complete the buyout directly with the leasing company.",
+      traceReason: contractTerms,
+    },
+  ];
+  if (markupFlagged) {
+    dealerResponses.push({
+      dealerSays: "That’s just what the payoff comes to.",
+      buyerResponse: `My contract puts the buyout at ${formatUsd(contractPrice)}. Please itemize the extra ${formatUsd(payoffMarkup)} or take it off.`,
+      traceReason: { code: "lease.payoff-markup", facts: { payoffQuote, contractPrice, payoffMarkup } },
+    });
+  }
+
+  return {
+    residualValue,
+    purchaseOptionFee,
+    payoffQuote,
+    contractPrice,
+    buyoutPrice,
+    buyoutTotal,
+    taxRate,
+    marketValue,
+    buyoutEquity,
+    excessMiles,
+    returnCost,
+    netBenefitOfBuyout,
+    recommendation,
+    payoffMarkup: markupFlagged ? payoffMarkup : null,
+    notes,
+    lessorScripts,
+    lessorTraceReason: { code: "lease.direct-buyout", facts: { leaseBuyout: true, recommendation } },
+    dealerResponses,
+  };
+}
 
-function deriveNegotiationZones({ hasAskingPrice }) {
+function deriveNegotiationZones({ hasAskingPrice, fairValueBand }) {
   if (!hasAskingPrice) {
     return {
       strategy: "discovery",
@@ -467,85 +2018,105 @@ function deriveNegotiationZones({ hasAskingPrice }) {
       "With an asking price established, negotiation should focus on justification and leverage.",
       "Use condition, age, and cross-shopping to create downward pressure.",
     ],
+    band: fairValueBand || null,
   };
 }
 
-function deriveDealerPushbackResponses({ segment, negotiationStance }) {
-  const responses = [];
-
-  // Universal pushbacks
-  responses.push({
-    dealerSays: "This car is priced fairly for the market.",
-    buyerResponse:
-      "I understand — market pricing doesn’t fully account for inspection risk or ownership cost, which is what I need to align on before moving forward.",
-  });
+// -------------------------------
+// Analysis confidence (data completeness)
+// -------------------------------
+const DEFAULT_EFFECTS = {
+  segment: "Segment-specific leverage, narratives, and pushback are replaced with general-market guidance.",
+  trimTier: "Trim negotiability and the offer band assume a mid-tier trim.",
+  mileage: "Mileage tier is unknown, so high-mileage leverage and the offer band's mileage adjustment are skipped.",
+  askingPrice: "No offer band or anchored zones; the stance defaults to discovery-first.",
+  buyerState: "Taxes, registration, and doc-fee limits use national averages.",
+  model: "The VIN was decoded offline (make and model year only), so model-specific reliability, known issues, and pricing are skipped.",
+};
 
-  responses.push({
-    dealerSays: "We don’t have much room on this one.",
-    buyerResponse:
-      "That’s fair — flexibility usually shows up once condition, alternatives, and timing are factored in.",
-  });
+function deriveAnalysisConfidence({ vp, segment, mileage, hasAskingPrice, dealerProfile, sellerType, input, buyerState, purposeProfile, outTheDoor, leaseBuyout }) {
+  const assumed = Array.isArray(vp.assumed) ? vp.assumed : [];
+  const state = normalizeUpper(buyerState);
+
+  const provided = {
+    vehicle: !!(num(vp.year) && normalizeStr(vp.make) && normalizeStr(vp.model)),
+    askingPrice: hasAskingPrice,
+    mileage: mileage !== null,
+    segment: segment !== DEFAULT_SEGMENT && !assumed.includes("segment"),
+    vin: normalizeStr(vp.vin).length === 17,
+    trim: !assumed.includes("trimTier") && !!(normalizeStr(vp.trimTier) || normalizeStr(vp.trim)),
+    seller: sellerType === "private" || !!(dealerProfile || normalizeStr(input.sellerName) || normalizeStr(input.listingUrl)),
+    buyerState: !!StateFeeRules[state],
+    purchasePurpose: !!purposeProfile,
+  };
 
-  // Segment-specific pressure
-  if (segment === "performance" || segment === "luxury") {
-    responses.push({
-      dealerSays: "These don’t last long.",
-      buyerResponse:
-        "I don’t buy under urgency — if the numbers align after inspection, I’m ready to proceed.",
-    });
+  // A lease buyout is priced off the contract, not an asking price
+  const applicable = Object.keys(AnalysisInputWeights).filter(
+    (key) => key in provided && !(leaseBuyout && key === "askingPrice")
+  );
+  const totalPoints = applicable.reduce((sum, key) => sum + AnalysisInputWeights[key].points, 0);
+  const earned = applicable
+    .filter((key) => provided[key])
+    .reduce((sum, key) => sum + AnalysisInputWeights[key].points, 0);
+
+  const score = totalPoints ? Math.round((earned / totalPoints) * 100) : 0;
+
+  const defaultsUsed = [];
+  if (!provided.segment) defaultsUsed.push({ field: "segment", assumed: segment, effect: DEFAULT_EFFECTS.segment });
+  if (!provided.trim) defaultsUsed.push({ field: "trimTier", assumed: "mid", effect: DEFAULT_EFFECTS.trimTier });
+  if (vp.decodeSource === "local" && !normalizeStr(vp.model)) {
+    defaultsUsed.push({ field: "model", assumed: "unknown", effect: DEFAULT_EFFECTS.model });
   }
-
-  // Stance escalation
-  if (negotiationStance === "pressure-ready" || negotiationStance === "firm-and-patient") {
-    responses.push({
-      dealerSays: "This is our best price.",
-      buyerResponse:
-        "Understood — I’m comfortable exploring other options unless flexibility opens up.",
-    });
+  if (!provided.mileage) defaultsUsed.push({ field: "mileage", assumed: "unknown", effect: DEFAULT_EFFECTS.mileage });
+  if (!provided.askingPrice && !leaseBuyout) {
+    defaultsUsed.push({ field: "askingPrice", assumed: "discovery-first", effect: DEFAULT_EFFECTS.askingPrice });
   }
+  if (outTheDoor && !outTheDoor.state) {
+    defaultsUsed.push({ field: "buyerState", assumed: "national average", effect: DEFAULT_EFFECTS.buyerState });
+  }
+
+  const missingInputs = applicable
+    .filter((key) => !provided[key])
+    .map((key) => ({
+      input: key,
+      label: AnalysisInputWeights[key].label,
+      scoreGain: Math.round((AnalysisInputWeights[key].points / totalPoints) * 100),
+      sharpens: AnalysisInputWeights[key].sharpens,
+    }))
+    .sort((a, b) => b.scoreGain - a.scoreGain);
 
-  return responses;
+  return {
+    score,
+    level: score >= 80 ? "high" : score >= 55 ? "moderate" : "low",
+    provided: applicable.filter((key) => provided[key]),
+    defaultsUsed,
+    missingInputs,
+  };
 }
 
-function deriveEscalationGuidance({ segment, negotiationStance }) {
-  const escalateWhen = [
-    "The price is defended repeatedly without new justification.",
-    "Inspection or condition discussion is avoided or minimized.",
-    "Urgency is used more than once to push commitment.",
-  ];
+const INSPECTION_PRIORITY_ORDER = ["standard", "elevated", "critical"];
 
-  const exitWhen = [
-    "No movement occurs after inspection or condition leverage.",
-    "Alternatives are dismissed without engagement.",
-  ];
+// Age sets the baseline; a history report can only raise it
+function deriveInspectionPriority({ year, vehicleHistory, now }) {
+  let priority = "standard";
 
-  if (segment === "performance" || segment === "luxury") {
-    exitWhen.push(
-      "Emotional or scarcity-based pressure replaces factual discussion."
-    );
-  }
+  if (year && typeof year === "number") {
+    const currentYear = now.getUTCFullYear();
+    const vehicleAge = currentYear - year;
 
-  if (negotiationStance === "discovery-first") {
-    escalateWhen.unshift(
-      "The dealer attempts to anchor price before justification is provided."
-    );
+    if (vehicleAge >= 15) priority = "critical";
+    else if (vehicleAge >= 8) priority = "elevated";
   }
 
-  return { escalateWhen, exitWhen };
-}
-
-function deriveInspectionPriority({ year }) {
-  if (!year || typeof year !== "number") {
-    return "standard";
+  const fromHistory = vehicleHistory?.inspectionPriority;
+  if (
+    fromHistory &&
+    INSPECTION_PRIORITY_ORDER.indexOf(fromHistory) > INSPECTION_PRIORITY_ORDER.indexOf(priority)
+  ) {
+    return fromHistory;
   }
 
-  const currentYear = new Date().getFullYear();
-  const vehicleAge = currentYear - year;
-
-  if (vehicleAge >= 15) return "critical";
-  if (vehicleAge >= 8) return "elevated";
-
-  return "standard";
+  return priority;
 }
 
 
@@ -553,7 +2124,12 @@ function deriveInspectionPriority({ year }) {
 // -------------------------------
 // MAIN ENGINE
 // -------------------------------
-function buildMvpAnalysis(input = {}) {
+// options.trace: attach an explainability trace (reason codes per talking point)
+// input.analysisDate: reference date ("YYYY-MM-DD") for every date-dependent
+// rule; rebuilding an order with its original date reproduces its report
+function buildMvpAnalysis(input = {}, options = {}) {
+  const now = resolveAnalysisDate(input.analysisDate);
+
   // Canonical vehicle profile (identity-bound)
   const vp =
     input.vehicleProfile && typeof input.vehicleProfile === "object"
@@ -564,6 +2140,7 @@ function buildMvpAnalysis(input = {}) {
           model: input.model ?? null,
           segment: input.segment ?? null,
           trimTier: input.trimTier ?? input.trimBucket ?? input.trim ?? null,
+          trim: input.trim ?? null,
           mileage: input.mileage ?? null,
           vin: input.vin ?? null,
           vehicleClass: input.vehicleClass ?? null,
@@ -578,13 +2155,29 @@ function buildMvpAnalysis(input = {}) {
   // Segment + trim
   const trimTier = normalizeTrimTier(vp.trimTier);
   const segment = deriveSegment(vp);
-  const segmentProfile = getSegmentProfile(segment);
   const trimLeverage = deriveTrimLeverage(trimTier);
 
   // Core tiers
   const modelKey = getModelKey({ make, model });
-  const ageTier = getAgeTier(year);
-  const mileageTier = getMileageTier(mileage, year);
+
+  const bodyStyle = lookupByModelKey(BaseVehicleSpecs, modelKey)?.bodyStyle;
+
+  // Buyer location: regional rules can shift the segment's demand volatility
+  const buyerLocation = resolveBuyerLocation({ buyerState: input.buyerState, buyerZip: input.buyerZip });
+  const buyerState = buyerLocation ? buyerLocation.state : input.buyerState;
+  const regionalLeverage = deriveRegionalLeverage({
+    location: buyerLocation,
+    segment,
+    segmentProfile: getSegmentProfile(segment),
+    vp,
+    bodyStyle,
+    now,
+  });
+  const segmentProfile = regionalLeverage?.demandVolatility
+    ? { ...getSegmentProfile(segment), demandVolatility: regionalLeverage.demandVolatility.adjusted }
+    : getSegmentProfile(segment);
+  const ageTier = getAgeTier(year, now);
+  const mileageTier = getMileageTier(mileage, year, now);
 
   // Ownership & pricing context
   const ownership = deriveOwnershipOutlook(modelKey);
@@ -605,6 +2198,36 @@ function buildMvpAnalysis(input = {}) {
   });
   
 
+  const knownIssues = matchKnownIssues({
+    make,
+    model,
+    year,
+    engine: vp.engine,
+    trim: vp.trim,
+  });
+
+  const powertrain = normalizePowertrain(vp);
+  const electrified = deriveElectrifiedLeverage({
+    powertrain,
+    make,
+    year,
+    mileage,
+    askingPrice: hasAskingPrice ? askingPrice : null,
+    now,
+  });
+
+  if (electrified) {
+    depreciationLeverage.leveragePoints.push(...electrified.depreciationPoints);
+  }
+  if (regionalLeverage) {
+    depreciationLeverage.leveragePoints.push(...regionalLeverage.timingNotes);
+  }
+
+  const vehicleHistory = deriveVehicleHistory({
+    history: input.history,
+    askingPrice: hasAskingPrice ? askingPrice : null,
+  });
+
   const conditionLeverage = buildConditionLeverage({
     year,
     make,
@@ -612,42 +2235,166 @@ function buildMvpAnalysis(input = {}) {
     mileage,
     segment,
     vehicleClass: vp.vehicleClass,
+    knownIssues,
+    electrified,
+    vehicleHistory,
+    regionalLeverage,
   });
 
   // Negotiation mechanics
-  const negotiationScripts = buildNegotiationScripts({
-    segmentProfile,
-    trimLeverage,
-    ageTier,
-    mileageTier,
-    askingPrice,
+  const purposeProfile = getPurposeProfile(input.purchasePurpose);
+
+  const inspectionPriority = deriveInspectionPriority({ year, vehicleHistory, now });
+
+  // Private-party sales skip dealer matching, fees, trade-in, and F&I.
+  // A lease buyout is always with the lessor or a dealer.
+  const sellerType =
+    input.analysisMode === "lease_buyout" ? "dealer" : normalizeSellerType(input.sellerType);
+  const isPrivateSale = sellerType === "private";
+
+  const dealerProfile = isPrivateSale
+    ? null
+    : matchDealerProfile({
+        sellerName: input.sellerName,
+        listingUrl: input.listingUrl,
+      });
+
+  const timingLeverage = deriveCalendarTiming({
+    now,
+    year,
+    segment,
+    vp,
+    bodyStyle,
+    dealerProfile,
+    sellerType,
+    regionalLeverage,
   });
+  depreciationLeverage.leveragePoints.push(...timingLeverage.windows.map((w) => w.detail));
+
+  const trimSpec = resolveTrimSpec(modelKey, vp.trim);
+  const fairValueBand = hasAskingPrice
+    ? deriveFairValueBand({ askingPrice, ageTier, segment, mileageTier, trimSpec, dealerProfile, vehicleHistory })
+    : null;
+
+  const trimVerification = deriveTrimVerification({
+    modelKey,
+    trimSpec,
+    askingPrice: hasAskingPrice ? askingPrice : null,
+  });
+
+  // Listing Y/M/M/trim entered alongside the VIN, checked against the decode
+  const identityCheck = deriveVinIdentityCheck({ vp, claimed: input.claimedVehicle });
 
-  const inspectionPriority = deriveInspectionPriority({ year });
+  const negotiationZones = deriveNegotiationZones({ hasAskingPrice, fairValueBand });
 
-  const negotiationZones = deriveNegotiationZones({ hasAskingPrice });
+  const outTheDoor = deriveOutTheDoor({
+    askingPrice: hasAskingPrice ? askingPrice : null,
+    buyerState,
+    docFee: isPrivateSale ? null : input.docFee,
+    addOns: isPrivateSale ? null : input.addOns,
+    privateSale: isPrivateSale,
+  });
 
-  const negotiationStance = deriveNegotiationStance({
+  const tradeIn = isPrivateSale ? null : deriveTradeIn(input.tradeIn, now);
+
+  const leaseBuyout =
+    input.analysisMode === "lease_buyout"
+      ? deriveLeaseBuyout({
+          lease: input.lease || {},
+          year,
+          make,
+          model,
+          mileage,
+          buyerState,
+          now,
+        })
+      : null;
+
+  // A lease buyout is financed off the buyout total, not a retail price
+  const financing = isPrivateSale
+    ? null
+    : deriveFinancing({
+        financing: input.financing,
+        askingPrice: leaseBuyout ? leaseBuyout.buyoutTotal : hasAskingPrice ? askingPrice : null,
+        outTheDoor: leaseBuyout ? null : outTheDoor,
+      });
+
+  // Stance, scripts, moves, pushback, and escalation come from the active rule pack
+  const rulePack = getRulePack();
+  const ruleContext = {
     segment,
+    segmentProfile,
     ageTier,
     mileageTier,
+    trimLeverage,
     hasAskingPrice,
-  });
-  
-  const dealerPushbackResponses = deriveDealerPushbackResponses({
-    segment,
-    negotiationStance,
-  });  
+    askingPrice,
+    dealerProfile,
+    sellerType,
+    purposeProfile,
+    leaseBuyout,
+    vehicleHistory,
+  };
+  const facts = buildRuleFacts(ruleContext);
+  const rules = evaluateRulePack(rulePack, facts);
+
+  const negotiationStance = rules.stance;
+  const negotiationScripts = [...rules.scripts, ...rules.contextScripts];
+  const negotiationMoves = rules.moves;
+  // Lease payoff responses are computed from the contract, not authored in the pack
+  const dealerPushbackResponses = leaseBuyout
+    ? [...leaseBuyout.dealerResponses]
+    : rules.pushbackResponses.filter((r) => r.dealerSays);
+  // Private-party pack rules answer the seller, not a dealership
+  const sellerResponses = rules.pushbackResponses.filter((r) => r.sellerSays);
+
+  const market = isPrivateSale ? estimateRetailValue({ year, make, model, mileage, now }) : null;
+  const privateParty = isPrivateSale
+    ? derivePrivatePartyGuidance({
+        vehicleHistory,
+        askingPrice: hasAskingPrice ? askingPrice : null,
+        marketEstimate: market ? roundTo(market.value, 100) : null,
+        financing: input.financing,
+        tradeIn: input.tradeIn,
+      })
+    : null;
+  const escalationGuidance = {
+    escalateWhen: rules.escalateWhen,
+    exitWhen: rules.exitWhen,
+  };
 
-  const negotiationMoves = deriveNegotiationMoves({
-    stance: negotiationStance,
-    segmentProfile,
-  });
-  
-  const escalationGuidance = deriveEscalationGuidance({
+  const confidence = deriveAnalysisConfidence({
+    vp,
     segment,
-    negotiationStance,
+    mileage,
+    hasAskingPrice,
+    dealerProfile,
+    sellerType,
+    input,
+    buyerState,
+    purposeProfile,
+    outTheDoor,
+    leaseBuyout,
   });
+
+  const trace = options.trace
+    ? buildExplanationTrace({
+        rulePack,
+        rules,
+        facts,
+        details: buildRuleDetails(ruleContext),
+        engine: {
+          outTheDoor,
+          trimVerification,
+          identityCheck,
+          timingLeverage,
+          regionalLeverage,
+          tradeIn,
+          financing,
+          leaseBuyout,
+        },
+      })
+    : null;
   
   // Final payload
   return {
@@ -658,6 +2405,7 @@ function buildMvpAnalysis(input = {}) {
       model: model || "N/A",
       segment,
       trimTier,
+      powertrain: powertrain || "N/A",
       mileage: mileage ?? "N/A",
       vinMasked: maskVin(vp.vin),
       askingPrice: hasAskingPrice
@@ -665,6 +2413,8 @@ function buildMvpAnalysis(input = {}) {
   : "Not provided",
     },
 
+    analysisDate: toIsoDate(now),
+
     // 🔹 Core tiers
     ageTier,
     mileageTier,
@@ -672,17 +2422,43 @@ function buildMvpAnalysis(input = {}) {
     // 🔹 Negotiation intelligence
     segmentProfile,
     trimLeverage,
+    trimVerification,
+    identityCheck,
+    regionalLeverage,
+    timingLeverage,
     ownership,
     depreciationLeverage,
     conditionLeverage,
+    knownIssues,
+    electrified,
+    vehicleHistory,
     negotiationScripts,
     negotiationZones,
+    fairValueBand,
+    dealerProfile,
+    sellerType,
+    privateParty,
+    outTheDoor,
+    tradeIn,
+    financing,
+    leaseBuyout,
+    analysisMode: leaseBuyout ? "lease_buyout" : "retail",
+    purchasePurpose: purposeProfile
+      ? {
+          key: purposeProfile.key,
+          label: purposeProfile.label,
+          urgency: purposeProfile.urgency,
+          scripts: rules.contextScripts,
+        }
+      : null,
     negotiationStance,
     negotiationMoves,
     inspectionPriority,
     dealerPushbackResponses,
+    sellerResponses,
     escalationGuidance,
     hasAskingPrice,
+    confidence,
 
     // 🔹 Presentation helpers
     highlights: [
@@ -698,16 +2474,372 @@ function buildMvpAnalysis(input = {}) {
       makeNote: MakeNotes[normalizeUpper(make)] || null,
     },
 
-    modelVersion: "NIC_v2",
+    rulePack: { id: rulePack.id, version: rulePack.version, firedRules: rules.firedRules },
+    trace,
+    modelVersion: `NIC_v2+${rulePack.id}@${rulePack.version}`,
+  };
+}
+
+
+// -------------------------------
+// MULTI-VEHICLE COMPARISON
+// -------------------------------
+const MAX_COMPARISON_VEHICLES = 4;
+
+const NEGOTIABILITY_POINTS = { high: 20, moderate: 10, lower: 0 };
+const STANCE_POINTS = {
+  "pressure-ready": 15,
+  balanced: 10,
+  "patient-and-comparative": 10,
+  "timeline-defensive": 8,
+  "measured-but-firm": 5,
+  "firm-and-patient": 5,
+  "verify-then-offer": 10,
+  "discovery-first": 5,
+  // Price is fixed by the lease contract or the retailer; only fees move
+  "fee-and-financing-focused": 3,
+  "contract-anchored": 0,
+};
+const INSPECTION_RISK = { standard: 1, elevated: 2, critical: 3 };
+
+function vehicleLabel(analysis) {
+  const v = analysis.vehicleSummary;
+  return [v.year, v.make, v.model].filter((x) => x && x !== "N/A").join(" ") || "Unknown vehicle";
+}
+
+function scoreForComparison(analysis) {
+  const band = analysis.fairValueBand;
+  const leverage =
+    (band ? band.targetPrice.discountPct * 4 : 0) +
+    (NEGOTIABILITY_POINTS[analysis.trimLeverage?.negotiability] ?? 0) +
+    (STANCE_POINTS[analysis.negotiationStance] ?? 0) +
+    (analysis.mileageTier?.label === "high" ? 10 : 0);
+
+  const severityPenalty = { high: 3, moderate: 2, low: 1 };
+  const ownership =
+    ({ strong: 6, average: 4, variable: 2 }[analysis.ownership?.reliability] ?? 4) +
+    ({ low: 2, moderate: 1, high: 0 }[analysis.ownership?.maintenance] ?? 1) -
+    (analysis.knownIssues || []).reduce(
+      (sum, i) => sum + (i.confirmed ? severityPenalty[i.severity] ?? 1 : 0.5),
+      0
+    );
+
+  return {
+    leverage: Math.round(leverage),
+    ownership: +ownership.toFixed(1),
+    inspectionRisk: INSPECTION_RISK[analysis.inspectionPriority] ?? 1,
+  };
+}
+
+// Dense rank: equal scores share a rank
+function rankBy(entries, key, higherIsBetter) {
+  const values = [...new Set(entries.map((e) => e.scores[key]))].sort((a, b) =>
+    higherIsBetter ? b - a : a - b
+  );
+  return entries.map((e) => values.indexOf(e.scores[key]) + 1);
+}
+
+function buildCrossShoppingScripts(entry, others) {
+  if (!others.length) return [];
+
+  const describe = (o) => {
+    const price = o.analysis.context.askingPrice;
+    return price !== null ? `a ${o.label} listed at ${formatUsd(price)}` : `a ${o.label}`;
+  };
+
+  const scripts = [
+    `I’m also looking at ${others.map(describe).join(" and ")}. I’ll buy whichever one makes the most sense on total cost.`,
+  ];
+
+  const betterOwnership = others.filter((o) => o.scores.ownership > entry.scores.ownership);
+  if (betterOwnership.length) {
+    scripts.push(
+      `The ${betterOwnership[0].label} has a stronger ownership outlook, so this one needs to be priced to offset that.`
+    );
+  }
+
+  // Lower risk can come from the history report rather than age, so
+  // "newer" is only claimed when the model year says so
+  const lowerRisk = others.filter((o) => o.scores.inspectionRisk < entry.scores.inspectionRisk);
+  if (lowerRisk.length) {
+    const yearOf = (e) => num(e.analysis.vehicleSummary.year);
+    const newer = yearOf(lowerRisk[0]) !== null && yearOf(entry) !== null && yearOf(lowerRisk[0]) > yearOf(entry);
+    scripts.push(
+      `The ${lowerRisk[0].label} I’m considering ${newer ? "is newer and " : ""}carries less inspection risk — the price here has to reflect that difference.`
+    );
+  }
+
+  const cheaper = others.filter(
+    (o) =>
+      o.analysis.context.askingPrice !== null &&
+      entry.analysis.context.askingPrice !== null &&
+      o.analysis.context.askingPrice < entry.analysis.context.askingPrice
+  );
+  if (cheaper.length) {
+    scripts.push(
+      `The ${cheaper[0].label} is ${formatUsd(entry.analysis.context.askingPrice - cheaper[0].analysis.context.askingPrice)} less. What makes this one worth more?`
+    );
+  }
+
+  return scripts;
+}
+
+function buildComparisonAnalysis(inputs = []) {
+  if (!Array.isArray(inputs) || inputs.length < 2) {
+    throw new Error("Comparison requires at least two vehicles");
+  }
+  if (inputs.length > MAX_COMPARISON_VEHICLES) {
+    throw new Error(`Comparison supports at most ${MAX_COMPARISON_VEHICLES} vehicles`);
+  }
+
+  const entries = inputs.map((input) => {
+    const analysis = buildMvpAnalysis(input);
+    return { label: vehicleLabel(analysis), analysis, scores: scoreForComparison(analysis) };
+  });
+
+  // Disambiguate identical labels ("2019 Honda Civic (2)")
+  const seen = {};
+  for (const e of entries) {
+    seen[e.label] = (seen[e.label] || 0) + 1;
+    if (seen[e.label] > 1) e.label = `${e.label} (${seen[e.label]})`;
+  }
+
+  const leverageRanks = rankBy(entries, "leverage", true);
+  const ownershipRanks = rankBy(entries, "ownership", true);
+  const inspectionRanks = rankBy(entries, "inspectionRisk", false);
+
+  entries.forEach((e, i) => {
+    e.ranks = {
+      leverage: leverageRanks[i],
+      ownership: ownershipRanks[i],
+      inspection: inspectionRanks[i],
+    };
+    e.ranks.overall = e.ranks.leverage + e.ranks.ownership + e.ranks.inspection;
+  });
+
+  const ordered = [...entries].sort((a, b) => a.ranks.overall - b.ranks.overall);
+
+  return {
+    vehicles: ordered.map((e, i) => ({
+      position: i + 1,
+      label: e.label,
+      scores: e.scores,
+      ranks: e.ranks,
+      table: {
+        askingPrice: e.analysis.vehicleSummary.askingPrice,
+        targetPrice: e.analysis.fairValueBand
+          ? formatUsd(e.analysis.fairValueBand.targetPrice.amount)
+          : "N/A",
+        mileage: e.analysis.vehicleSummary.mileage,
+        stance: e.analysis.negotiationStance,
+        reliability: e.analysis.ownership.reliability,
+        inspectionPriority: e.analysis.inspectionPriority,
+        knownIssues: (e.analysis.knownIssues || []).length,
+      },
+      crossShoppingScripts: buildCrossShoppingScripts(
+        e,
+        entries.filter((o) => o !== e)
+      ),
+      analysis: e.analysis,
+    })),
+    recommendation: ordered[0].label,
+    modelVersion: ordered[0].analysis.modelVersion,
+  };
+}
+
+
+// -------------------------------
+// POST-INSPECTION FOLLOW-UP
+// -------------------------------
+// Second-round report: turns pre-purchase inspection findings into
+// concessions on top of the original analysis. Findings are
+// [{ item, severity, repairQuote }]; a missing quote falls back to the
+// severity's default estimate.
+function normalizeFindings(findings) {
+  const severities = InspectionFindingRules.severity || {};
+  const max = InspectionFindingRules.maxFindings || 12;
+
+  return (Array.isArray(findings) ? findings : [])
+    .map((f) => ({
+      item: normalizeStr(f?.item),
+      severity: normalizeStr(f?.severity).toLowerCase(),
+      repairQuote: num(f?.repairQuote),
+    }))
+    .filter((f) => f.item && severities[f.severity])
+    .slice(0, max);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function deriveFindingConcession(finding) {
+  const rule = InspectionFindingRules.severity[finding.severity];
+  const quoted = finding.repairQuote !== null && finding.repairQuote > 0;
+  const repairCost = quoted ? finding.repairQuote : rule.defaultEstimate;
+  const concession = roundTo(repairCost * rule.quoteShare, 50);
+
+  const costText = quoted
+    ? `my mechanic quoted ${formatUsd(repairCost)} to fix it`
+    : `a typical repair runs about ${formatUsd(repairCost)}`;
+
+  return {
+    item: finding.item,
+    severity: finding.severity,
+    severityLabel: rule.label,
+    repairCost,
+    quoteSource: quoted ? "mechanic" : "estimate",
+    concession,
+    walkAway: rule.walkAway,
+    basis: `${rule.label} finding — ask for ${rule.ask} (${Math.round(rule.quoteShare * 100)}% of ${
+      quoted ? "the quote" : "a typical repair cost"
+    }).`,
+    script:
+      finding.severity === "safety"
+        ? `The inspection found a safety issue: ${finding.item}. ${capitalize(costText)}. I need it repaired before I take delivery, or ${formatUsd(concession)} off the price.`
+        : `The inspection found: ${finding.item}. ${capitalize(costText)}, so I need ${formatUsd(concession)} off to account for it.`,
+  };
+}
+
+// The four band amounts a follow-up is priced from; stored on the order at
+// fulfillment so the follow-up matches the PDF the buyer already has.
+function summarizeFairValueBand(band) {
+  if (!band) return null;
+  return {
+    askingPrice: band.askingPrice,
+    openingOffer: band.openingOffer.amount,
+    targetPrice: band.targetPrice.amount,
+    walkAwayCeiling: band.walkAwayCeiling.amount,
+  };
+}
+
+function buildInspectionFollowUp({ analysis, findings, originalBand = null }) {
+  if (!analysis) throw new Error("Follow-up requires the original analysis");
+
+  const items = normalizeFindings(findings);
+  if (!items.length) throw new Error("Follow-up requires at least one inspection finding");
+
+  const concessions = items.map(deriveFindingConcession);
+  const totalRepairCost = concessions.reduce((sum, c) => sum + c.repairCost, 0);
+  const totalAdjustment = concessions.reduce((sum, c) => sum + c.concession, 0);
+
+  // A rebuilt analysis can drift from the report (new decode, new rule
+  // pack), so the band stored with the order wins when there is one
+  const band = originalBand || summarizeFairValueBand(analysis.fairValueBand);
+  const askingPrice = band ? band.askingPrice : null;
+  const adjustmentPct = askingPrice ? +((totalAdjustment / askingPrice) * 100).toFixed(1) : null;
+
+  // The original band already priced in age, mileage and history; findings
+  // come off every zone so the buyer keeps the same negotiating room.
+  const revise = (amount) => ({
+    original: amount,
+    amount: Math.max(0, roundTo(amount - totalAdjustment, 100)),
+  });
+  const revisedBand = band
+    ? {
+        openingOffer: revise(band.openingOffer),
+        targetPrice: revise(band.targetPrice),
+        walkAwayCeiling: revise(band.walkAwayCeiling),
+      }
+    : null;
+
+  const walkAwayReasons = concessions
+    .filter((c) => c.walkAway)
+    .map((c) => `The seller will not repair or price in the safety finding: ${c.item}.`);
+  if (adjustmentPct !== null && adjustmentPct / 100 >= InspectionFindingRules.walkAwayAdjustmentPct) {
+    walkAwayReasons.push(
+      `Repairs add up to ${adjustmentPct}% of the asking price — at that level the car is rarely worth buying, even discounted.`
+    );
+  }
+  if (analysis.vehicleHistory?.branded) {
+    walkAwayReasons.push("The price does not reflect both the branded title and these new findings.");
+  }
+
+  const listed = concessions.map((c) => c.item).join(", ");
+  const adjustmentRequest = revisedBand
+    ? `Based on the inspection (${listed}), the repairs total ${formatUsd(totalRepairCost)}. I can do ${formatUsd(revisedBand.targetPrice.amount)} — a fair price for this car, less ${formatUsd(totalAdjustment)} for what the inspection found.`
+    : `Based on the inspection (${listed}), the repairs total ${formatUsd(totalRepairCost)}. I need ${formatUsd(totalAdjustment)} off whatever price we agree to account for them.`;
+
+  const scripts = [
+    adjustmentRequest,
+    ...concessions.map((c) => c.script),
+    "I’m happy to share the inspection report. These numbers come from it, not from me.",
+  ];
+  if (concessions.some((c) => c.quoteSource === "estimate")) {
+    scripts.push("I’m getting a written quote for the remaining items — I’d rather settle on numbers we can both verify.");
+  }
+
+  // Private sellers have no service department or in-house inspection to point to
+  const privateSale = analysis.sellerType === "private";
+  const says = privateSale ? "sellerSays" : "dealerSays";
+  const pushbackResponses = [
+    {
+      [says]: "That’s normal wear for a car this age.",
+      buyerResponse: `Then it should already be reflected in the price — it wasn’t. The repair is ${formatUsd(totalRepairCost)} either way.`,
+    },
+    privateSale
+      ? {
+          sellerSays: "My mechanic could fix that for a lot less.",
+          buyerResponse: "Then have it repaired before I buy and show me the receipt, or take the quote off the price.",
+        }
+      : {
+          dealerSays: "Our shop can fix it much cheaper than that quote.",
+          buyerResponse: "Great — then repair it before delivery and put it in writing, or credit me the quote.",
+        },
+    {
+      [says]: privateSale ? "I already priced the car fairly." : "We already priced the car fairly.",
+      buyerResponse: "The price was set before anyone inspected it. These findings are new information.",
+    },
+  ];
+  if (concessions.some((c) => c.severity === "safety")) {
+    pushbackResponses.push(
+      privateSale
+        ? {
+            sellerSays: "It’s never given me any trouble.",
+            buyerResponse: "I believe you, but it’s a safety item. It needs to be fixed, or the full repair cost taken off, before I buy.",
+          }
+        : {
+            dealerSays: "It passed our inspection.",
+            buyerResponse: "Then you won’t mind fixing the safety item in writing before I sign.",
+          }
+    );
+  }
+
+  return {
+    vehicleLabel: vehicleLabel(analysis),
+    vinMasked: analysis.vehicleSummary?.vinMasked,
+    findings: concessions,
+    totalRepairCost,
+    totalAdjustment,
+    adjustmentPct,
+    revisedBand,
+    adjustmentRequest,
+    scripts,
+    pushbackResponses,
+    sellerType: analysis.sellerType,
+    walkAwayIf: walkAwayReasons,
+    modelVersion: analysis.modelVersion,
   };
 }
 
 
 module.exports = {
   buildMvpAnalysis,
+  buildComparisonAnalysis,
+  buildInspectionFollowUp,
+  summarizeFairValueBand,
   getModelKey,
   getAgeTier,
   getMileageTier,
   normalizeTrimTier,
   deriveSegment,
+  deriveFairValueBand,
+  matchDealerProfile,
+  matchKnownIssues,
+  deriveOutTheDoor,
+  parseAddOns,
+  deriveTradeIn,
+  deriveFinancing,
+  deriveLeaseBuyout,
+  formatUsd,
 };
@@ -0,0 +1,152 @@
+// api/preview-vehicle.js
+/**
+ * Free pre-checkout vehicle preview
+ * ------------------------------------------------------------
+ * POST /api/preview-vehicle
+ * Body: same vehicle / pricing fields as /api/create-payment
+ *       ({ vin } and / or { year, make, model, trim }, segment, trimTier,
+ *        powertrain, mileage, askingPrice, buyerState, sellerType,
+ *        purchasePurpose)
+ *
+ * Resolves the vehicle the way the paid webhook will, before the buyer
+ * pays: the decoded profile, the fields we'd default, and a short teaser
+ * of the analysis (counts and direction only — no prices or scripts).
+ * With both a VIN and listing details, any mismatch is returned too.
+ * vin.html shows it for the buyer to confirm or correct; the confirmed
+ * profile goes to /api/create-payment as `confirmed`.
+ */
+
+const { buildMvpAnalysis } = require("./mvpEngine");
+const { buildReportInput } = require("./services/reportInputs");
+const { validateVin } = require("./services/vinDecoder");
+
+function normalizeStr(v) {
+  if (v === undefined || v === null) return "";
+  return String(v).trim();
+}
+
+function normalizePrice(v) {
+  const s = normalizeStr(v).replace(/[$,]/g, "");
+  if (!s) return "";
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 0 ? String(n) : "";
+}
+
+// Where the asking price sits against the fair-value band, without the numbers
+function askingPricePosition(band) {
+  const asking = band?.askingPrice;
+  const target = band?.targetPrice?.amount;
+  const ceiling = band?.walkAwayCeiling?.amount;
+  if (!asking || !target) return null;
+  if (ceiling && asking > ceiling) return "above our walk-away ceiling";
+  if (asking > target) return "above our target price — room to negotiate";
+  return "at or below our target price";
+}
+
+function buildTeaser(analysis) {
+  const c = analysis.confidence;
+  return {
+    confidence: { score: c.score, level: c.level },
+    leveragePoints: analysis.depreciationLeverage?.leveragePoints?.length || 0,
+    knownIssues: analysis.knownIssues?.length || 0,
+    inspectionFocus: analysis.conditionLeverage?.inspectionFocus?.length || 0,
+    timingFavors: analysis.timingLeverage?.favors || "neutral",
+    askingPrice: askingPricePosition(analysis.fairValueBand),
+    // Top inputs that would sharpen the report, so the buyer can add them before paying
+    sharpenWith: c.missingInputs.slice(0, 3).map((m) => m.label),
+  };
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const body = req.body || {};
+  const vinCheck = validateVin(normalizeStr(body.vin));
+  const year = normalizeStr(body.year);
+  const make = normalizeStr(body.make);
+  const model = normalizeStr(body.model);
+  const trim = normalizeStr(body.trim).slice(0, 60);
+  const hasVin = vinCheck.valid;
+  const hasYMM = !!(year && make && model);
+
+  // Same identity rules as create-payment
+  if (vinCheck.reason === "check-digit") {
+    return res.status(400).json({
+      error: "That VIN doesn’t check out — one of its characters is likely mistyped. Please compare it with the dashboard or title.",
+    });
+  }
+  if (!hasVin && !hasYMM) {
+    return res.status(400).json({ error: "Vehicle information is required (VIN or Year/Make/Model)." });
+  }
+
+  try {
+    const { input, vehicleError } = await buildReportInput({
+      vin: hasVin ? vinCheck.vin : "",
+      year: hasYMM || hasVin ? year : "",
+      make: hasYMM || hasVin ? make : "",
+      model: hasYMM || hasVin ? model : "",
+      trim,
+      segment: normalizeStr(body.segment),
+      trimTier: normalizeStr(body.trimTier),
+      powertrain: normalizeStr(body.powertrain).toLowerCase(),
+      mileage: normalizeStr(body.mileage),
+      askingPrice: normalizePrice(body.askingPrice),
+      buyerState: normalizeStr(body.buyerState).toUpperCase().slice(0, 2),
+      sellerType: normalizeStr(body.sellerType).toLowerCase() === "private" ? "private" : "",
+      purchasePurpose: normalizeStr(body.purchasePurpose),
+    });
+
+    if (vehicleError) {
+      return res.status(422).json({
+        error: "We couldn’t identify that vehicle from its VIN. Please check it, or enter the year, make and model instead.",
+        reason: vehicleError,
+      });
+    }
+
+    const analysis = buildMvpAnalysis(input);
+    const vp = input.vehicleProfile;
+
+    return res.status(200).json({
+      success: true,
+      vehicle: {
+        year: vp.year || null,
+        make: vp.make || null,
+        model: vp.model || null,
+        segment: vp.segment,
+        trimTier: vp.trimTier,
+        trim: vp.trim,
+        powertrain: vp.powertrain || null,
+        bodyClass: vp.bodyClass,
+        driveType: vp.driveType,
+        // "nhtsa" | "local" (offline decode: make / year only) | null (Y/M/M entered)
+        decodeSource: vp.decodeSource,
+      },
+      identityCheck: analysis.identityCheck
+        ? {
+            status: analysis.identityCheck.status,
+            mismatches: analysis.identityCheck.mismatches.map(({ field, label, claimed, decoded, severity }) => ({
+              field,
+              label,
+              claimed,
+              decoded,
+              severity,
+            })),
+          }
+        : null,
+      defaults: analysis.confidence.defaultsUsed.map((d) => ({ field: d.field, assumed: d.assumed })),
+      teaser: buildTeaser(analysis),
+    });
+  } catch (err) {
+    console.error("[PreviewVehicle] Error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to preview vehicle",
+      details:
+        process.env.NODE_ENV === "development"
+          ? String(err && err.message)
+          : undefined,
+    });
+  }
+};
@@ -126,7 +126,13 @@ function ensureSpace(doc, bottomPadding = 120, topY = 110) {
 }
 
 
-function drawHeader(doc, vinMasked) {
+// analysisDate ("YYYY-MM-DD") dates the report by its analysis, so a
+// regenerated report keeps its original date
+function drawHeader(doc, vinMasked, title = "CARSAAVY NEGOTIATION READINESS REPORT", analysisDate = null) {
+  const dated = analysisDate
+    ? `Analysis date: ${new Date(`${analysisDate}T00:00:00Z`).toLocaleDateString("en-US", { timeZone: "UTC" })}`
+    : `Generated: ${new Date().toLocaleDateString()}`;
+
   // Header background
   doc.rect(0, 0, doc.page.width, 70).fill("#000000");
 
@@ -135,14 +141,14 @@ function drawHeader(doc, vinMasked) {
     .fillColor("#FFFFFF")
     .font("Helvetica-Bold")
     .fontSize(18)
-    .text("CARSAAVY NEGOTIATION READINESS REPORT", 50, 18);
+    .text(title, 50, 18);
 
   // Metadata (row 2 — clearly separated)
   doc
     .font("Helvetica")
     .fontSize(10)
     .text(`VIN: ${vinMasked || "N/A"}`, 50, 42)
-    .text(`Generated: ${new Date().toLocaleDateString()}`, 400, 42, {
+    .text(dated, 400, 42, {
       align: "right",
     });
 
@@ -159,7 +165,7 @@ function getInspectionGuidance(priority) {
     case "critical":
       return {
         label: "Critical Inspection Priority",
-        body: `This vehicle’s age places it in a high-risk inspection category.
+        body: `This vehicle’s age or reported history places it in a high-risk inspection category.
 A professional pre-purchase inspection should be completed before any price discussions or commitments.
 Use inspection findings as primary leverage, and be prepared to pause or walk away if material issues surface.`,
       };
@@ -167,7 +173,7 @@ Use inspection findings as primary leverage, and be prepared to pause or walk aw
     case "elevated":
       return {
         label: "Elevated Inspection Priority",
-        body: `Given the vehicle’s age, a pre-purchase inspection is strongly recommended.
+        body: `Given the vehicle’s age or reported history, a pre-purchase inspection is strongly recommended.
 Inspection findings should be used strategically during negotiation to justify price adjustments or concessions.`,
       };
 
@@ -181,6 +187,378 @@ While not urgent, inspection results can still be used to support negotiation if
 }
 
 
+function formatUsd(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? `$${Math.round(n).toLocaleString()}` : "N/A";
+}
+
+function formatFairValueBand(band) {
+  const zone = (label, z) =>
+    `${label}: ${formatUsd(z?.amount)} (${z?.discountPct ?? 0}% below asking)\n• ${z?.basis || ""}`;
+
+  const factors = (band.factors || []).map(
+    (f) => `${f.detail} (${f.effect >= 0 ? "+" : ""}${f.effect}%)`
+  );
+
+  return `Asking Price: ${formatUsd(band.askingPrice)}
+
+${zone("Opening Offer", band.openingOffer)}
+
+${zone("Target Price", band.targetPrice)}
+
+${zone("Walk-Away Ceiling", band.walkAwayCeiling)}
+
+How these numbers were built:
+${safeJoinBullets(factors)}`;
+}
+
+
+function formatOutTheDoor(otd) {
+  const lines = (otd.lines || []).map((l) => `${l.label}: ${formatUsd(l.amount)}`);
+
+  if (otd.total !== null && otd.total !== undefined) {
+    lines.push(
+      `Sales tax (${(otd.taxes.rate * 100).toFixed(2)}%): ${formatUsd(otd.taxes.amount)}`,
+      `Title & registration (est.): ${formatUsd(otd.registration)}`,
+      `Estimated out-the-door total: ${formatUsd(otd.total)}`
+    );
+  }
+
+  let text = `${safeJoinBullets(lines)}\n\n${safeJoinBullets(otd.notes || [])}`;
+
+  if (otd.flaggedFees?.length) {
+    const flagged = otd.flaggedFees
+      .map(
+        (f) =>
+          `${f.label} — ${formatUsd(f.amount)}\n• ${f.reason}\nYou say:\n• ${f.script}`
+      )
+      .join("\n\n");
+
+    text += `\n\nFLAGGED FEES (about ${formatUsd(otd.avoidableFees)} avoidable incl. tax):\n\n${flagged}`;
+  }
+
+  return text;
+}
+
+function formatTradeIn(t) {
+  const lines = [`Trade-in: ${t.vehicle} (${t.condition} condition)`];
+
+  if (t.estimate) {
+    lines.push(
+      `Estimated trade value: ${formatUsd(t.estimate.low)} – ${formatUsd(t.estimate.high)}`,
+      `• ${t.estimate.basis}`
+    );
+  }
+  if (t.payoff !== null && t.payoff !== undefined) {
+    lines.push(`Loan payoff: ${formatUsd(t.payoff)}`);
+  }
+  if (t.equity) {
+    lines.push(
+      `Estimated equity: ${formatUsd(t.equity.low)} – ${formatUsd(t.equity.high)} (${t.equity.status})`
+    );
+  }
+
+  const scripts = (t.scripts || [])
+    .map((r) => `If they say:\n• "${r.dealerSays}"\nYou respond:\n• ${r.buyerResponse}`)
+    .join("\n\n");
+
+  return [
+    lines.join("\n"),
+    t.warnings?.length ? `WARNINGS:\n${safeJoinBullets(t.warnings)}` : null,
+    `KEEP THE TRADE SEPARATE:\n${safeJoinBullets(t.advice || [])}`,
+    scripts,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function formatFinancing(f) {
+  const lines = [];
+
+  if (f.amountFinanced !== null && f.amountFinanced !== undefined) {
+    lines.push(
+      `Amount financed: ${formatUsd(f.amountFinanced)} over ${f.termMonths} months (${formatUsd(f.downPayment)} down)`
+    );
+  }
+  if (f.preApproved) {
+    lines.push(
+      `Pre-approved ${f.preApproved.apr}%: ${formatUsd(f.preApproved.monthlyPayment)}/mo, ${formatUsd(f.preApproved.totalInterest)} total interest`
+    );
+  }
+  if (f.dealer) {
+    lines.push(
+      `Dealer ${f.dealer.apr}%: ${formatUsd(f.dealer.monthlyPayment)}/mo, ${formatUsd(f.dealer.totalInterest)} total interest`
+    );
+  }
+  if (f.interestDifference !== null && f.interestDifference !== undefined) {
+    lines.push(`Extra interest at the dealer rate: ${formatUsd(f.interestDifference)}`);
+  }
+
+  const responses = (f.responses || [])
+    .map((r) => `If they say:\n• "${r.dealerSays}"\nYou respond:\n• ${r.buyerResponse}`)
+    .join("\n\n");
+
+  return [
+    lines.length ? safeJoinBullets(lines) : null,
+    safeJoinBullets(f.notes || []),
+    responses,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function formatLeaseBuyout(l) {
+  const recommendationLabel = {
+    "buy-out": "Buy out the lease",
+    return: "Return the vehicle",
+    "close-call": "Close call",
+    "insufficient-data": "Not enough data to compare",
+  };
+
+  const lines = [
+    `Recommendation: ${recommendationLabel[l.recommendation] || l.recommendation}`,
+  ];
+  if (l.residualValue !== null) lines.push(`Contract residual: ${formatUsd(l.residualValue)}`);
+  lines.push(`Purchase-option fee: ${formatUsd(l.purchaseOptionFee)}`);
+  if (l.payoffQuote !== null) lines.push(`Payoff quote: ${formatUsd(l.payoffQuote)}`);
+  if (l.buyoutTotal !== null) {
+    lines.push(`Buyout incl. tax (${(l.taxRate * 100).toFixed(2)}%): ${formatUsd(l.buyoutTotal)}`);
+  }
+  if (l.marketValue !== null) lines.push(`Estimated market value: ${formatUsd(l.marketValue)}`);
+  lines.push(`Estimated cost to return: ${formatUsd(l.returnCost)}`);
+
+  const responses = (l.dealerResponses || [])
+    .map((r) => `If they say:\n• "${r.dealerSays}"\nYou respond:\n• ${r.buyerResponse}`)
+    .join("\n\n");
+
+  return [
+    safeJoinBullets(lines),
+    safeJoinBullets(l.notes || []),
+    `ASK THE LEASING COMPANY:\n${safeJoinBullets(l.lessorScripts || [])}`,
+    `IF A DEALER HANDLES THE BUYOUT:\n\n${responses}`,
+  ].join("\n\n");
+}
+
+function formatElectrified(e) {
+  const label = {
+    ev: "Battery electric",
+    phev: "Plug-in hybrid",
+    hybrid: "Hybrid",
+    electrified: "Hybrid / EV",
+  };
+
+  const parts = [`Powertrain: ${label[e.powertrain] || e.powertrain}`];
+
+  const w = e.batteryWarranty;
+  if (w) {
+    const left = [
+      w.yearsLeft !== null ? `${w.yearsLeft} yr` : null,
+      w.milesLeft !== null ? `${w.milesLeft.toLocaleString()} mi` : null,
+    ].filter(Boolean);
+    parts.push(
+      `BATTERY WARRANTY:\n• Typical coverage: ${w.coverage}${
+        left.length ? `\n• Estimated remaining: ${w.expired ? "expired" : left.join(" / ")}` : ""
+      }${w.note ? `\n• ${w.note}` : ""}`
+    );
+  }
+
+  if (e.taxCredit) {
+    const status = {
+      "likely-eligible": `Likely eligible — up to ${formatUsd(e.taxCredit.estimatedCredit)}`,
+      "not-eligible": "Not eligible",
+      check: "Check eligibility",
+    };
+    parts.push(
+      `USED-EV TAX CREDIT: ${status[e.taxCredit.status] || e.taxCredit.status}\n${safeJoinBullets(e.taxCredit.reasons)}`
+    );
+  }
+
+  parts.push(`BATTERY & SYSTEM INSPECTION:\n${safeJoinBullets(e.inspectionItems)}`);
+  parts.push(`DEPRECIATION LEVERAGE:\n${safeJoinBullets(e.depreciationPoints)}`);
+
+  return parts.join("\n\n");
+}
+
+function formatVehicleHistory(h) {
+  const facts = [
+    `Title: ${h.titleLabel || "Not reported"}`,
+    `Reported accidents: ${h.accidents ? `${h.accidents}${h.accidentSeverity ? ` (${h.accidentSeverity})` : ""}` : "None reported"}`,
+    h.owners ? `Owners: ${h.owners}` : null,
+    h.usage ? `Prior use: ${h.usage}` : null,
+  ].filter(Boolean);
+
+  const parts = [];
+  if (h.warnings.length) parts.push(h.warnings.map((w) => `WARNING: ${w}`).join("\n"));
+  parts.push(facts.join("\n"));
+
+  if (h.rationale.length) {
+    const ask = h.concessionAmount
+      ? `${formatUsd(h.concessionAmount)} (${Math.round(h.concessionPct * 100)}%)`
+      : h.concessionPct
+      ? `${Math.round(h.concessionPct * 100)}%`
+      : null;
+    parts.push(
+      `WHY THIS IS LEVERAGE:\n${safeJoinBullets(h.rationale)}${ask ? `\n\nHistory-based concession to ask for: ${ask}` : ""}`
+    );
+  }
+
+  if (h.walkAwayGuidance) parts.push(`WALK-AWAY GUIDANCE:\n${h.walkAwayGuidance}`);
+  if (h.inspectionItems.length) parts.push(`ASK YOUR INSPECTOR TO CHECK:\n${safeJoinBullets(h.inspectionItems)}`);
+
+  return parts.join("\n\n");
+}
+
+function formatTrimVerification(t) {
+  const checklist = t.checklist
+    .map((c) => `[ ] ${c.feature}${c.setsApart ? ` — not on the ${t.lowerTrim}` : ""}`)
+    .join("\n");
+
+  return [
+    `Advertised trim: ${t.trim}\nCheck these on the lot before negotiating:\n${checklist}`,
+    `IF THE FEATURES DON’T MATCH:\n${t.leverageNote}`,
+    t.script ? `Say it this way:\n• ${t.script}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function formatIdentityCheck(c) {
+  if (c.status === "unverified") {
+    return [c.note, `BEFORE YOU NEGOTIATE:\n${safeJoinBullets(c.verifySteps)}`].join("\n\n");
+  }
+
+  const rows = c.mismatches.map(
+    (m) => `${m.label} (${m.severity}): listing says ${m.claimed}, VIN says ${m.decoded}\n  ${m.detail}`
+  );
+  return [
+    `What doesn’t match:\n${safeJoinBullets(rows)}`,
+    c.note,
+    c.unverified.length ? `Not checked (the VIN decode didn’t include it): ${c.unverified.join(", ")}` : null,
+    c.walkAway ? `WALK-AWAY GUIDANCE:\n${c.walkAway}` : null,
+    `BEFORE YOU NEGOTIATE:\n${safeJoinBullets(c.verifySteps)}`,
+    `Say it this way:\n${safeJoinBullets(c.mismatches.map((m) => m.script).filter(Boolean))}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function formatRegionalLeverage(r) {
+  const where = r.source === "zip" && r.zip ? `${r.state} (from ZIP ${r.zip})` : r.state;
+
+  if (!r.factors.length) {
+    return `Location: ${where}\nNo regional adjustments apply to this vehicle right now.`;
+  }
+
+  const parts = [
+    `Location: ${where}\nFactors applied:\n${safeJoinBullets(r.factors.map((f) => f.label))}`,
+  ];
+  if (r.demandVolatility) {
+    parts.push(`Demand volatility: ${r.demandVolatility.base} → ${r.demandVolatility.adjusted} in this market`);
+  }
+  if (r.timingNotes.length) parts.push(`TIMING:\n${safeJoinBullets(r.timingNotes)}`);
+  if (r.notes.length) parts.push(`MARKET NOTES:\n${safeJoinBullets(r.notes)}`);
+  if (r.inspectionFocus.length) parts.push(`ADD TO YOUR INSPECTION:\n${safeJoinBullets(r.inspectionFocus)}`);
+
+  return parts.join("\n\n");
+}
+
+function formatCalendarTiming(t) {
+  const parts = [];
+
+  if (t.windows.length) {
+    const windows = t.windows.map(
+      (w) => `${w.label} (${w.favors === "buyer" ? "works for you" : "works for the seller"}): ${w.detail}`
+    );
+    parts.push(`CALENDAR AS OF ${t.referenceDate}:\n${safeJoinBullets(windows)}`);
+  } else {
+    parts.push(`CALENDAR AS OF ${t.referenceDate}:\n• No quota, holiday, or seasonal window is shifting leverage right now.`);
+  }
+
+  if (t.nextQuotaWindow) {
+    const n = t.nextQuotaWindow;
+    parts.push(
+      `NEXT PRESSURE POINT:\n• ${n.label} starts ${n.startsOn} (${n.daysAway} day${n.daysAway === 1 ? "" : "s"} away). If you can wait, that’s when sellers are most motivated to close.`
+    );
+  }
+
+  const scripts = t.windows.map((w) => w.script).filter(Boolean);
+  if (scripts.length) parts.push(`Say it this way:\n${safeJoinBullets(scripts)}`);
+
+  return parts.join("\n\n");
+}
+
+function formatPrivateParty(p) {
+  return [
+    p.priceWarning ? `WARNING: ${p.priceWarning}` : null,
+    `TITLE & LIEN — check before any money changes hands:\n${p.titleChecklist.map((c) => `[ ] ${c}`).join("\n")}`,
+    `SCAM RED FLAGS — walk away if you see any of these:\n${safeJoinBullets(p.redFlags.filter((f) => f !== p.priceWarning))}`,
+    `PAYING SAFELY:\n${safeJoinBullets(p.paymentSafety)}`,
+    `MEETING & TEST DRIVE:\n${safeJoinBullets(p.meetingLogistics)}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function formatConfidence(c) {
+  const parts = [
+    `Confidence: ${c.score}/100 (${c.level})\nBased on how many of the inputs this report relies on were provided.`,
+  ];
+
+  if (c.defaultsUsed.length) {
+    parts.push(
+      `ASSUMPTIONS USED:\n${c.defaultsUsed
+        .map((d) => `• ${d.field}: ${d.assumed} — ${d.effect}`)
+        .join("\n")}`
+    );
+  }
+
+  if (c.missingInputs.length) {
+    parts.push(
+      `TO SHARPEN THIS REPORT, ADD:\n${c.missingInputs
+        .map((m) => `• ${m.label} (+${m.scoreGain}) — ${m.sharpens}`)
+        .join("\n")}`
+    );
+  }
+
+  return parts.join("\n\n");
+}
+
+function shortenLine(text, max = 90) {
+  const t = String(text || "").trim();
+  return t.length > max ? `${t.slice(0, max - 1).trim()}…` : t;
+}
+
+function formatExplanationTrace(t) {
+  const explain = (items) =>
+    items
+      .map((i) => `• “${shortenLine(i.text)}”\n   Because${i.rule ? ` (${i.rule})` : ""}: ${i.reasons.join("; ")}`)
+      .join("\n");
+
+  const moveLabels = {
+    openingMove: "Opening move",
+    pressureResponse: "Pressure response",
+    walkAwayLine: "Walk-away line",
+  };
+  const moves = Object.entries(t.moves || {}).map(([key, m]) => ({
+    ...m,
+    text: `${moveLabels[key] || key}: ${m.text}`,
+  }));
+
+  return [
+    "Each recommendation in this report comes from a named rule: a rule in the rule pack, or one of the engine’s own checks (fees, trim, VIN, timing, region, trade-in, financing, lease). The reasons below list the inputs and thresholds that triggered it.",
+    `STANCE: ${t.stance.value}\nBecause: ${t.stance.reasons.join("; ")}`,
+    `TALKING POINTS:\n${explain(t.scripts)}`,
+    `NEGOTIATION MOVES:\n${explain(moves)}`,
+    t.pushbackResponses.length
+      ? `${t.facts.sellerType === "private" ? "SELLER" : "DEALER"} PUSHBACK:\n${explain(t.pushbackResponses)}`
+      : null,
+    `ESCALATE / EXIT SIGNALS:\n${explain([...t.escalateWhen, ...t.exitWhen])}`,
+    `Rule pack: ${t.rulePack}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
 // ===============================
 // MAIN REPORT GENERATOR
 // ===============================
@@ -193,7 +571,7 @@ async function generateVehicleReport({ analysis }) {
       doc.pipe(stream);
 
       const vp = analysis?.vehicleSummary || {};
-      let y = drawHeader(doc, vp.vinMasked);
+      let y = drawHeader(doc, vp.vinMasked, undefined, analysis?.analysisDate);
 
       const drawSection = (title, renderer) => {
         // page break guard BEFORE header
@@ -238,27 +616,93 @@ async function generateVehicleReport({ analysis }) {
       
       doc.y += SUBSECTION_GAP;
 
-      if (!analysis?.hasAskingPrice) {
-        drawHybridParagraph(
-          doc,
-          "Note: Adding the seller’s asking price allows for more precise negotiation posture, escalation timing, and pressure responses. Without it, the report defaults to a discovery-first strategy to avoid overcommitting.",
-          { y: doc.y + 8 }
+      if (analysis?.confidence) {
+        drawSection("REPORT CONFIDENCE", (y0) =>
+          drawHybridParagraph(doc, formatConfidence(analysis.confidence), { y: y0 })
         );
       }
       
 
+      // PURCHASE CONTEXT
+      if (analysis?.purchasePurpose) {
+        const pp = analysis.purchasePurpose;
+        drawSection("YOUR PURCHASE CONTEXT", (y0) =>
+          drawHybridParagraph(
+            doc,
+            `Purpose: ${pp.label}${
+              pp.urgency === "high"
+                ? "\n\nYou may be under time pressure. Never share your deadline with the seller — urgency is the most common lever used against replacement buyers."
+                : ""
+            }${pp.scripts.length ? `\n\nSay it this way:\n${safeJoinBullets(pp.scripts)}` : ""}`,
+            { y: y0 }
+          )
+        );
+      }
+
+      // SELLER PROFILE
+      if (analysis?.privateParty) {
+        drawSection("SELLER PROFILE", (y0) =>
+          drawHybridParagraph(
+            doc,
+            `Seller type: private party\n\n${safeJoinBullets(analysis.privateParty.notes)}`,
+            { y: y0 }
+          )
+        );
+      } else if (analysis?.dealerProfile) {
+        const dp = analysis.dealerProfile;
+        drawSection("SELLER PROFILE", (y0) =>
+          drawHybridParagraph(
+            doc,
+            `Seller: ${dp.sellerName || dp.key}\nSeller type: ${dp.type}\n\n${safeJoinBullets(dp.notes)}`,
+            { y: y0 }
+          )
+        );
+      }
+
+      // VEHICLE HISTORY
+      if (analysis?.vehicleHistory) {
+        drawSection("VEHICLE HISTORY", (y0) =>
+          drawHybridParagraph(doc, formatVehicleHistory(analysis.vehicleHistory), { y: y0 })
+        );
+      }
+
+      // VIN vs LISTING
+      const identityCheck = analysis?.identityCheck;
+      if (identityCheck && identityCheck.status !== "match") {
+        drawSection(
+          identityCheck.status === "mismatch" ? "RED FLAG: LISTING DOESN’T MATCH THE VIN" : "VIN CHECK",
+          (y0) => drawHybridParagraph(doc, formatIdentityCheck(identityCheck), { y: y0 })
+        );
+      }
+
       // VEHICLE SUMMARY
       drawSection("VEHICLE SUMMARY", (y0) =>
         drawHybridParagraph(doc,
-          `Year: ${vp.year}\nMake: ${vp.make}\nModel: ${vp.model}\nSegment: ${vp.segment}\nTrim Tier: ${vp.trimTier}\nMileage: ${vp.mileage}\nAsking Price (Seller): ${vp.askingPrice}
+          `Year: ${vp.year}\nMake: ${vp.make}\nModel: ${vp.model}\nSegment: ${vp.segment}\nTrim Tier: ${vp.trimTier}\nMileage: ${vp.mileage}\nAsking Price (Seller): ${vp.askingPrice}${
+            identityCheck?.status === "match" ? `\nVIN check: ${identityCheck.note}` : ""
+          }
           
           Why this matters:
           • Vehicles in the ${vp.segment} segment tend to negotiate differently than necessity-based inventory
-          • ${vp.trimTier} trims influence cross-shopping leverage and dealer flexibility`,
+          • ${vp.trimTier} trims influence cross-shopping leverage and ${analysis?.privateParty ? "seller" : "dealer"} flexibility`,
           { y: y0 }
         )
       );
 
+      // TRIM VERIFICATION
+      if (analysis?.trimVerification) {
+        drawSection("TRIM VERIFICATION", (y0) =>
+          drawHybridParagraph(doc, formatTrimVerification(analysis.trimVerification), { y: y0 })
+        );
+      }
+
+      // PRIVATE-PARTY SALE
+      if (analysis?.privateParty) {
+        drawSection("PRIVATE SALE: TITLE, PAYMENT & SCAM CHECKS", (y0) =>
+          drawHybridParagraph(doc, formatPrivateParty(analysis.privateParty), { y: y0 })
+        );
+      }
+
       // NEGOTIATION SCRIPTS
         drawSection("NEGOTIATION MOVES", (y0) => {
           const moves = analysis?.negotiationMoves || {};
@@ -277,9 +721,12 @@ async function generateVehicleReport({ analysis }) {
           return drawHybridParagraph(doc, content, { y: y0 });
         });
     
-        //IF THE DEALER PUSHES BACK
-        drawSection("IF THE DEALER PUSHES BACK", (y0) => {
-          const responses = analysis?.dealerPushbackResponses || [];
+        //IF THE DEALER (OR PRIVATE SELLER) PUSHES BACK
+        const privateSale = !!analysis?.privateParty;
+        drawSection(privateSale ? "IF THE SELLER PUSHES BACK" : "IF THE DEALER PUSHES BACK", (y0) => {
+          const responses = privateSale
+            ? analysis.sellerResponses || []
+            : analysis?.dealerPushbackResponses || [];
         
           if (!responses.length) {
             return drawHybridParagraph(
@@ -292,7 +739,7 @@ async function generateVehicleReport({ analysis }) {
           const formatted = responses
             .map(
               (r) =>
-                `If they say:\n• "${r.dealerSays}"\nYou respond:\n• ${r.buyerResponse}`
+                `If they say:\n• "${r.dealerSays ?? r.sellerSays}"\nYou respond:\n• ${r.buyerResponse}`
             )
             .join("\n\n");
         
@@ -327,17 +774,28 @@ async function generateVehicleReport({ analysis }) {
 
       // CATEGORY & TIMING
       drawSection("DEPRECIATION & TIMING LEVERAGE", (y0) => {
-        drawHybridParagraph(
-          doc,
-          `• Vehicles depreciate over time regardless of condition.
+        const general = `• Vehicles depreciate over time regardless of condition.
       • Timing, inventory age, and dealer pressure influence flexibility.
-      • Older or slower-moving inventory creates leverage without confrontation.`,
+      • Older or slower-moving inventory creates leverage without confrontation.`;
+
+        return drawHybridParagraph(
+          doc,
+          analysis?.timingLeverage
+            ? `${general}\n\n${formatCalendarTiming(analysis.timingLeverage)}`
+            : general,
           { y: y0 }
         );
       });
 
       
 
+      // REGIONAL MARKET
+      if (analysis?.regionalLeverage) {
+        drawSection("REGIONAL MARKET FACTORS", (y0) =>
+          drawHybridParagraph(doc, formatRegionalLeverage(analysis.regionalLeverage), { y: y0 })
+        );
+      }
+
       // CONDITION
       drawSection("CONDITION & OWNERSHIP CONSIDERATIONS", (y0) => {
         const condition = ensureBullets(
@@ -367,6 +825,31 @@ async function generateVehicleReport({ analysis }) {
         return drawHybridParagraph(doc, safeJoinBullets(trimNotes), { y: y0 });
       });
 
+      // KNOWN MODEL CONCERNS
+      if (analysis?.knownIssues?.length) {
+        drawSection("KNOWN MODEL CONCERNS", (y0) => {
+          const formatted = analysis.knownIssues
+            .map((i) => {
+              const caveat = i.confirmed
+                ? ""
+                : `\n• Applies only if ${i.unconfirmed.join(" and ")} match — confirm with the seller.`;
+              return `${i.title} (${i.severity} severity)\n• ${i.summary}${
+                i.inspectionHint ? `\n• Ask / inspect: ${i.inspectionHint}` : ""
+              }${caveat}`;
+            })
+            .join("\n\n");
+
+          return drawHybridParagraph(doc, formatted, { y: y0 });
+        });
+      }
+
+      // EV & HYBRID
+      if (analysis?.electrified) {
+        drawSection("EV & HYBRID CONSIDERATIONS", (y0) =>
+          drawHybridParagraph(doc, formatElectrified(analysis.electrified), { y: y0 })
+        );
+      }
+
       //Inspection Guidance
       const inspection = getInspectionGuidance(analysis.inspectionPriority);
 
@@ -385,6 +868,16 @@ async function generateVehicleReport({ analysis }) {
 
       // NEGOTIATION ZONES
       drawSection("NEGOTIATION ZONES", (y0) => {
+        const band = analysis?.negotiationZones?.band;
+
+        if (band) {
+          return drawHybridParagraph(
+            doc,
+            formatFairValueBand(band),
+            { y: y0 }
+          );
+        }
+
         drawHybridParagraph(
           doc,
           `
@@ -406,6 +899,34 @@ async function generateVehicleReport({ analysis }) {
 
       
 
+      // OUT-THE-DOOR COST
+      if (analysis?.outTheDoor) {
+        drawSection("OUT-THE-DOOR COST", (y0) =>
+          drawHybridParagraph(doc, formatOutTheDoor(analysis.outTheDoor), { y: y0 })
+        );
+      }
+
+      // LEASE BUYOUT
+      if (analysis?.leaseBuyout) {
+        drawSection("LEASE BUYOUT ANALYSIS", (y0) =>
+          drawHybridParagraph(doc, formatLeaseBuyout(analysis.leaseBuyout), { y: y0 })
+        );
+      }
+
+      // TRADE-IN STRATEGY
+      if (analysis?.tradeIn) {
+        drawSection("TRADE-IN STRATEGY", (y0) =>
+          drawHybridParagraph(doc, formatTradeIn(analysis.tradeIn), { y: y0 })
+        );
+      }
+
+      // FINANCING & F&I
+      if (analysis?.financing) {
+        drawSection("FINANCING & F&I OFFICE", (y0) =>
+          drawHybridParagraph(doc, formatFinancing(analysis.financing), { y: y0 })
+        );
+      }
+
       // METHODOLOGY
       drawSection("METHODOLOGY & LIMITATIONS", (y0) =>
         drawHybridParagraph(doc,
@@ -414,6 +935,247 @@ async function generateVehicleReport({ analysis }) {
         )
       );
 
+      // WHY YOU'RE SEEING THIS (optional appendix)
+      if (analysis?.trace) {
+        drawSection("APPENDIX: WHY YOU’RE SEEING THIS", (y0) =>
+          drawHybridParagraph(doc, formatExplanationTrace(analysis.trace), { y: y0, fontSize: 9 })
+        );
+      }
+
+      doc.end();
+
+      stream.on("finish", async () => {
+        const blob = await put(
+          `reports/${path.basename(tempFile)}`,
+          fs.readFileSync(tempFile),
+          { access: "public" }
+        );
+        resolve(blob.url);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// ===============================
+// COMPARISON REPORT
+// ===============================
+function drawComparisonTable(doc, vehicles) {
+  const rows = [
+    ["Overall position", (v) => `#${v.position}`],
+    ["Asking price", (v) => v.table.askingPrice],
+    ["Target price", (v) => v.table.targetPrice],
+    ["Mileage", (v) => String(v.table.mileage)],
+    ["Stance", (v) => v.table.stance],
+    ["Leverage rank", (v) => `#${v.ranks.leverage}`],
+    ["Reliability", (v) => v.table.reliability],
+    ["Ownership rank", (v) => `#${v.ranks.ownership}`],
+    ["Inspection priority", (v) => v.table.inspectionPriority],
+    ["Known concerns", (v) => String(v.table.knownIssues)],
+  ];
+
+  const x0 = 50;
+  const labelWidth = 110;
+  const colWidth = Math.floor((510 - labelWidth) / vehicles.length);
+  let y = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(9);
+  vehicles.forEach((v, i) => {
+    doc.text(v.label, x0 + labelWidth + i * colWidth, y, { width: colWidth - 6 });
+  });
+  y += 28;
+
+  rows.forEach(([label, get], r) => {
+    if (r % 2 === 0) {
+      doc.rect(x0 - 4, y - 3, 518, 16).fill("#f2f2f2");
+      doc.fillColor("#000");
+    }
+    doc.font("Helvetica-Bold").fontSize(9).text(label, x0, y, { width: labelWidth - 6 });
+    doc.font("Helvetica");
+    vehicles.forEach((v, i) => {
+      doc.text(get(v) ?? "N/A", x0 + labelWidth + i * colWidth, y, {
+        width: colWidth - 6,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    y += 16;
+  });
+
+  doc.font("Helvetica");
+  return y + 8;
+}
+
+async function generateComparisonReport({ comparison }) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+      const tempFile = `/tmp/comparison-${Date.now()}.pdf`;
+      const stream = fs.createWriteStream(tempFile);
+      doc.pipe(stream);
+
+      const vehicles = comparison?.vehicles || [];
+      drawHeader(doc, `${vehicles.length} vehicles`, "CARSAAVY VEHICLE COMPARISON REPORT");
+
+      const drawSection = (title, renderer) => {
+        ensureSpace(doc);
+        drawSectionHeader(doc, title);
+        const nextY = renderer(doc.y);
+        if (typeof nextY === "number" && Number.isFinite(nextY)) {
+          doc.y = nextY;
+        }
+        doc.y += SECTION_GAP;
+      };
+
+      doc.y += 32;
+
+      drawSection("SIDE-BY-SIDE", () => drawComparisonTable(doc, vehicles));
+
+      drawSection("HOW WE RANKED THEM", (y0) =>
+        drawHybridParagraph(
+          doc,
+          safeJoinBullets([
+            "Leverage: room to negotiate, from the fair-value band, trim availability and negotiation stance.",
+            "Ownership: reliability and maintenance outlook, reduced by known model concerns.",
+            "Inspection: how much inspection risk the vehicle’s age carries (lower is better).",
+            `Best overall position: ${comparison.recommendation}`,
+          ]),
+          { y: y0 }
+        )
+      );
+
+      vehicles.forEach((v) => {
+        drawSection(`CROSS-SHOPPING: ${v.label.toUpperCase()}`, (y0) => {
+          const a = v.analysis || {};
+          const band = a.fairValueBand;
+          const lines = [
+            `Stance: ${a.negotiationStance}`,
+            band
+              ? `Open at ${formatUsd(band.openingOffer.amount)}, target ${formatUsd(band.targetPrice.amount)}, walk away above ${formatUsd(band.walkAwayCeiling.amount)}`
+              : "No asking price provided — use discovery first.",
+            ...(a.knownIssues || []).map((i) => `Known concern: ${i.summary}`),
+          ];
+
+          return drawHybridParagraph(
+            doc,
+            `${safeJoinBullets(lines)}\n\nSay it this way:\n${safeJoinBullets(v.crossShoppingScripts)}`,
+            { y: y0 }
+          );
+        });
+      });
+
+      drawSection("METHODOLOGY & LIMITATIONS", (y0) =>
+        drawHybridParagraph(doc,
+          "Each vehicle is analysed with the same engine as the single-vehicle report, then ranked relative to the others. Rankings compare negotiation position, not which car you should like best.",
+          { y: y0 }
+        )
+      );
+
+      doc.end();
+
+      stream.on("finish", async () => {
+        const blob = await put(
+          `reports/${path.basename(tempFile)}`,
+          fs.readFileSync(tempFile),
+          { access: "public" }
+        );
+        resolve(blob.url);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function formatFindings(findings) {
+  return findings
+    .map(
+      (f) =>
+        `${f.severityLabel.toUpperCase()}: ${f.item}\n• Repair cost: ${formatUsd(f.repairCost)} (${
+          f.quoteSource === "mechanic" ? "mechanic’s quote" : "typical estimate — get a written quote"
+        })\n• Ask for: ${formatUsd(f.concession)}\n• ${f.basis}`
+    )
+    .join("\n\n");
+}
+
+function formatRevisedBand(followUp) {
+  const totals = `Vehicle: ${followUp.vehicleLabel}\nTotal repair cost: ${formatUsd(followUp.totalRepairCost)}\nTotal adjustment to request: ${formatUsd(
+    followUp.totalAdjustment
+  )}${followUp.adjustmentPct !== null ? ` (${followUp.adjustmentPct}% of asking)` : ""}`;
+
+  const band = followUp.revisedBand;
+  if (!band) {
+    return `${totals}\n\nNo asking price was provided with your original report, so take the adjustment off whatever price you negotiate.`;
+  }
+
+  const row = (label, z) => `• ${label}: ${formatUsd(z.amount)} (was ${formatUsd(z.original)})`;
+  return `${totals}\n\nREVISED OFFER BAND:\n${[
+    row("Opening offer", band.openingOffer),
+    row("Target price", band.targetPrice),
+    row("Walk-away ceiling", band.walkAwayCeiling),
+  ].join("\n")}`;
+}
+
+async function generateFollowUpReport({ followUp }) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+      const tempFile = `/tmp/followup-${Date.now()}.pdf`;
+      const stream = fs.createWriteStream(tempFile);
+      doc.pipe(stream);
+
+      drawHeader(doc, followUp.vinMasked, "CARSAAVY POST-INSPECTION FOLLOW-UP");
+
+      const drawSection = (title, renderer) => {
+        ensureSpace(doc);
+        drawSectionHeader(doc, title);
+        const nextY = renderer(doc.y);
+        if (typeof nextY === "number" && Number.isFinite(nextY)) {
+          doc.y = nextY;
+        }
+        doc.y += SECTION_GAP;
+      };
+
+      doc.y += 32;
+
+      drawSection("ADJUSTMENT REQUEST", (y0) =>
+        drawHybridParagraph(doc, `${formatRevisedBand(followUp)}\n\nSay it this way:\n• ${followUp.adjustmentRequest}`, {
+          y: y0,
+        })
+      );
+
+      drawSection("INSPECTION FINDINGS", (y0) =>
+        drawHybridParagraph(doc, formatFindings(followUp.findings), { y: y0 })
+      );
+
+      drawSection("SCRIPTS THAT CITE THE FINDINGS", (y0) =>
+        drawHybridParagraph(doc, safeJoinBullets(followUp.scripts.slice(1)), { y: y0 })
+      );
+
+      drawSection(followUp.sellerType === "private" ? "SELLER PUSHBACK" : "DEALER PUSHBACK", (y0) =>
+        drawHybridParagraph(
+          doc,
+          followUp.pushbackResponses
+            .map((r) => `If they say:\n• "${r.dealerSays ?? r.sellerSays}"\nYou respond:\n• ${r.buyerResponse}`)
+            .join("\n\n"),
+          { y: y0 }
+        )
+      );
+
+      if (followUp.walkAwayIf.length) {
+        drawSection("WALK AWAY IF", (y0) =>
+          drawHybridParagraph(doc, safeJoinBullets(followUp.walkAwayIf), { y: y0 })
+        );
+      }
+
+      drawSection("METHODOLOGY & LIMITATIONS", (y0) =>
+        drawHybridParagraph(doc,
+          `This follow-up builds on your original report (${followUp.modelVersion}). Each finding is converted to a concession using a share of the repair cost that depends on severity — sellers repair below retail, so smaller items ask for less. Revised prices subtract the total adjustment from your original offer band.`,
+          { y: y0 }
+        )
+      );
+
       doc.end();
 
       stream.on("finish", async () => {
@@ -430,4 +1192,4 @@ async function generateVehicleReport({ analysis }) {
   });
 }
 
-module.exports = { generateVehicleReport };
+module.exports = { generateVehicleReport, generateComparisonReport, generateFollowUpReport };
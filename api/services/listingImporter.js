@@ -0,0 +1,562 @@
+// api/services/listingImporter.js
+/**
+ * Listing Importer (NIC_v2)
+ * ---------------------------------------
+ * Purpose:
+ * - Prefill the intake from a listing the buyer pasted (text) or saved
+ *   (HTML page); nothing is fetched from the listing sites
+ * - Parsers, strongest first: schema.org JSON-LD, the site's page-state
+ *   JSON, meta tags, then labelled and loose patterns in the page text
+ * - Every field comes back with a confidence (0–1) and where it was found,
+ *   so the form prefills the sure ones and leaves the rest to the buyer
+ */
+
+const { ListingImportRules = {}, VinMismatchRules = {} } = require("../staticData");
+const { validateVin, decodeVinLocally } = require("./vinDecoder");
+
+const FIELDS = [
+  "vin",
+  "year",
+  "make",
+  "model",
+  "trim",
+  "askingPrice",
+  "mileage",
+  "sellerName",
+  "sellerType",
+  "daysOnMarket",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KM_TO_MILES = 0.621371;
+
+// ----------------------------
+// Text helpers
+// ----------------------------
+const alnum = (v) => String(v ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function decodeEntities(s) {
+  return String(s)
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&quot;/gi, '"')
+    .replace(/&apos;/gi, "'")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&amp;/gi, "&");
+}
+
+// ----------------------------
+// HTML tokens
+// ----------------------------
+// Elements whose content is never page text
+const RAW_TEXT_TAGS = ["script", "style", "noscript", "svg"];
+const LINE_BREAK_TAGS = ["p", "div", "li", "h1", "h2", "h3", "h4", "h5", "h6", "tr", "dt", "dd", "section", "span"];
+
+// One forward pass with indexOf: every search starts where the last one
+// ended, so the work stays linear in the page size. A tag, comment or
+// script that is never closed ends the page there (the rest is dropped)
+// rather than being rescanned from every "<".
+// → [{ text } | { tag, closing, attrs, content? }]
+function tokenizeHtml(html) {
+  const tokens = [];
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf("<", i);
+    if (lt === -1) {
+      tokens.push({ text: html.slice(i) });
+      break;
+    }
+    if (lt > i) tokens.push({ text: html.slice(i, lt) });
+
+    if (html.startsWith("<!--", lt)) {
+      const end = html.indexOf("-->", lt + 4);
+      if (end === -1) break;
+      i = end + 3;
+      continue;
+    }
+    // "a < b" is text, not a tag
+    if (!/[a-z/!]/i.test(html[lt + 1] || "")) {
+      tokens.push({ text: "<" });
+      i = lt + 1;
+      continue;
+    }
+
+    const gt = html.indexOf(">", lt + 1);
+    if (gt === -1) break;
+    const attrs = html.slice(lt + 1, gt);
+    const [, slash, name = ""] = /^(\/?)([a-z][a-z0-9]*)?/i.exec(attrs);
+    const token = { tag: name.toLowerCase(), closing: !!slash, attrs };
+    i = gt + 1;
+
+    if (!token.closing && RAW_TEXT_TAGS.includes(token.tag) && !attrs.endsWith("/")) {
+      const close = new RegExp(`</${token.tag}\\s*>`, "gi");
+      close.lastIndex = i;
+      const m = close.exec(html);
+      if (!m) break;
+      token.content = html.slice(i, m.index);
+      i = m.index + m[0].length;
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+// Block-level tags become line breaks so labelled values stay on their line
+function tokensToText(tokens) {
+  const breaks = (t) => t.tag === "br" || (t.closing && LINE_BREAK_TAGS.includes(t.tag));
+  return collapseWhitespace(decodeEntities(tokens.map((t) => (t.text !== undefined ? t.text : breaks(t) ? "\n" : " ")).join("")));
+}
+
+// One space between words and no blank lines, so no pattern ever sees a
+// long whitespace run to backtrack over
+function collapseWhitespace(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+function htmlToText(html) {
+  return tokensToText(tokenizeHtml(html));
+}
+
+// Text of the first <name>…</name>, or null when it never closes
+function elementText(tokens, name) {
+  const start = tokens.findIndex((t) => t.tag === name && !t.closing);
+  if (start === -1) return null;
+  const end = tokens.findIndex((t, i) => i > start && t.tag === name && t.closing);
+  return end === -1 ? null : tokensToText(tokens.slice(start + 1, end));
+}
+
+// "$21,500" → 21500, "45.5k" → 45500
+function toNumber(raw, thousands = false) {
+  const n = Number(String(raw ?? "").replace(/[$,\s]/g, ""));
+  if (!Number.isFinite(n)) return null;
+  return Math.round(thousands ? n * 1000 : n);
+}
+
+function plausible(field, n) {
+  const [min, max] = (ListingImportRules.plausible || {})[field] || [-Infinity, Infinity];
+  return n !== null && n >= min && n <= max;
+}
+
+function daysSince(date, now) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  const days = Math.floor((now.getTime() - d.getTime()) / DAY_MS);
+  return days >= 0 ? days : null;
+}
+
+// ----------------------------
+// Listing titles ("2019 Honda Accord EX-L Sedan | Cars.com")
+// ----------------------------
+const makeNames = () => [
+  ...(ListingImportRules.makes || []).map((name) => ({ name, make: name, consumes: true })),
+  ...Object.entries(ListingImportRules.makeAliases || {}).map(([name, make]) => ({ name, make, consumes: true })),
+  // Listed without the make, e.g. "2019 Range Rover Sport HSE"
+  ...Object.entries(ListingImportRules.modelMakes || {}).map(([name, make]) => ({ name, make, consumes: false })),
+];
+
+// Canonical spelling of a make, alias-aware ("chevy" → "Chevrolet")
+function canonicalMake(raw) {
+  const key = alnum(raw);
+  if (!key) return null;
+  const target = (VinMismatchRules.makeAliases || {})[key] || key;
+  const hit = makeNames().find((m) => alnum(m.name) === key || alnum(m.make) === target);
+  return hit ? hit.make : String(raw).trim();
+}
+
+function parseListingTitle(line) {
+  const m = /\b(19[89]\d|20[0-4]\d)\s+(.+)/.exec(String(line || ""));
+  if (!m) return null;
+
+  const rest = m[2];
+  const make = makeNames()
+    .sort((a, b) => b.name.length - a.name.length)
+    .find((c) => new RegExp(`^${escapeRegex(c.name).replace(/[-\s]+/g, "[-\\s]?")}\\b`, "i").test(rest));
+  if (!make) return null;
+
+  // Stop at the site name, location, price or mileage tacked onto the title
+  const words = (make.consumes ? rest.slice(make.name.length) : rest)
+    .split(/\s+[|•·–—-]\s+|\s+for sale\b|\s+in\s+[A-Z][\w.]*,|,\s|\s\$|\s\d[\d,.]*\s*k?\s*(?:mi|miles)\b/i)[0]
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!words.length) return null;
+
+  const joined = words.join(" ").toLowerCase();
+  const multi = (ListingImportRules.multiWordModels || [])
+    .filter((name) => joined === name.toLowerCase() || joined.startsWith(`${name.toLowerCase()} `))
+    .sort((a, b) => b.length - a.length)[0];
+  const modelLength = multi ? multi.split(" ").length : 1;
+  const trim = words.slice(modelLength, modelLength + 4).join(" ").replace(/[.,;:]+$/, "");
+
+  return {
+    year: Number(m[1]),
+    make: make.make,
+    model: multi || words[0],
+    trim: trim || null,
+  };
+}
+
+// ----------------------------
+// HTML: JSON-LD, page-state JSON, meta tags
+// ----------------------------
+function collectNodes(value, out) {
+  if (Array.isArray(value)) return value.forEach((v) => collectNodes(v, out));
+  if (!value || typeof value !== "object") return;
+  out.push(value);
+  if (value["@graph"]) collectNodes(value["@graph"], out);
+}
+
+function jsonLdNodes(html) {
+  const nodes = [];
+  const scripts = tokenizeHtml(html).filter(
+    (t) => t.tag === "script" && t.content !== undefined && /type=["']application\/ld\+json["']/i.test(t.attrs)
+  );
+  for (const script of scripts) {
+    try {
+      collectNodes(JSON.parse(script.content.trim()), nodes);
+    } catch (_) {
+      // Sites ship broken JSON-LD often enough; the other parsers still run
+    }
+  }
+  return nodes;
+}
+
+const typesOf = (node) => [].concat(node["@type"] || []).map(String);
+const nameOf = (v) => (v && typeof v === "object" ? v.name : v) || null;
+
+// The listed vehicle: a Car / Vehicle node, else a Product that looks like one
+function vehicleNode(nodes) {
+  return (
+    nodes.find((n) => typesOf(n).some((t) => t === "Car" || t === "Vehicle")) ||
+    nodes.find(
+      (n) => typesOf(n).includes("Product") && (n.vehicleIdentificationNumber || n.mileageFromOdometer)
+    ) ||
+    null
+  );
+}
+
+function fromJsonLd(html, add, warn, now) {
+  const node = vehicleNode(jsonLdNodes(html));
+  if (!node) return [];
+
+  const from = "listing data (JSON-LD)";
+  add("vin", node.vehicleIdentificationNumber, "structured", from);
+  add("year", (String(node.vehicleModelDate || node.modelDate || "").match(/\d{4}/) || [])[0], "structured", from);
+  add("make", nameOf(node.brand) || nameOf(node.manufacturer), "structured", from);
+  add("model", nameOf(node.model), "structured", from);
+  add("trim", node.vehicleConfiguration, "structured", from);
+
+  const odometer = node.mileageFromOdometer;
+  if (odometer) {
+    const value = toNumber(typeof odometer === "object" ? odometer.value : odometer);
+    const km = /^(KMT|KM)$/i.test(String(odometer.unitCode || odometer.unitText || ""));
+    if (km && value !== null) warn("The listing gives kilometres; mileage was converted to miles.");
+    add("mileage", km && value !== null ? Math.round(value * KM_TO_MILES) : value, "structured", from);
+  }
+
+  const offer = [].concat(node.offers || []).find((o) => o && (o.price || o.priceSpecification)) || null;
+  if (offer) {
+    const currency = offer.priceCurrency || offer.priceSpecification?.priceCurrency;
+    if (currency && currency !== "USD") {
+      warn(`The listing is priced in ${currency}; enter the asking price in US dollars.`);
+    } else {
+      add("askingPrice", toNumber(offer.price ?? offer.priceSpecification?.price), "structured", from);
+    }
+    add("sellerName", nameOf(offer.seller) || nameOf(offer.offeredBy), "structured", from);
+  }
+
+  const posted = node.datePosted || offer?.availabilityStarts;
+  if (posted) add("daysOnMarket", daysSince(posted, now), "structured", from);
+
+  // The headline is parsed with the rest of the titles
+  return node.name ? [{ text: node.name, from }] : [];
+}
+
+// Keys the listing sites use in their embedded page state. A key that shows
+// up with several values (similar-car carousels) is only a loose match.
+const EMBEDDED_KEYS = {
+  vin: { keys: ["vin", "VIN"], value: '"([A-HJ-NPR-Z0-9]{17})"' },
+  mileage: { keys: ["mileage", "odometer"], value: '"?([\\d,]+)"?' },
+  askingPrice: { keys: ["askingPrice", "listPrice", "listingPrice", "salePrice"], value: '"?\\$?([\\d,]+(?:\\.\\d+)?)"?' },
+  sellerName: { keys: ["dealerName", "sellerName", "dealer_name"], value: '"([^"]{2,120})"' },
+  daysOnMarket: { keys: ["daysOnMarket", "days_on_market", "daysOnSite", "daysOnLot", "daysListed"], value: '"?(\\d{1,4})"?' },
+};
+
+function fromEmbeddedJson(html, add) {
+  for (const [field, spec] of Object.entries(EMBEDDED_KEYS)) {
+    const re = new RegExp(`"(?:${spec.keys.join("|")})"\\s*:\\s*${spec.value}`, "g");
+    const values = [...new Set([...html.matchAll(re)].map((m) => decodeEntities(m[1])))];
+    if (!values.length) continue;
+    const value = ["vin", "sellerName"].includes(field) ? values[0] : toNumber(values[0]);
+    add(field, value, values.length === 1 ? "embedded" : "pattern", "page data");
+  }
+}
+
+function metaTags(tokens) {
+  const tags = {};
+  for (const { attrs: tag } of tokens.filter((t) => t.tag === "meta")) {
+    const key = (/\b(?:property|name)=["']([^"']+)["']/i.exec(tag) || [])[1];
+    const content = (/\bcontent=["']([^"']*)["']/i.exec(tag) || [])[1];
+    if (key && content !== undefined && !(key.toLowerCase() in tags)) {
+      tags[key.toLowerCase()] = decodeEntities(content).trim();
+    }
+  }
+  return tags;
+}
+
+function fromMeta(html, add, warn) {
+  const tokens = tokenizeHtml(html);
+  const tags = metaTags(tokens);
+  const currency = tags["product:price:currency"] || tags["og:price:currency"];
+  const price = tags["product:price:amount"] || tags["og:price:amount"];
+  if (price && currency && currency !== "USD") {
+    warn(`The listing is priced in ${currency}; enter the asking price in US dollars.`);
+  } else if (price) {
+    add("askingPrice", toNumber(price), "meta", "meta tags");
+  }
+
+  return {
+    titles: [
+      { text: tags["og:title"], from: "page title" },
+      { text: tags["twitter:title"], from: "page title" },
+      { text: elementText(tokens, "h1"), from: "page heading" },
+      { text: elementText(tokens, "title"), from: "page title" },
+    ].filter((t) => t.text),
+    description: tags["og:description"] || tags.description || "",
+  };
+}
+
+// ----------------------------
+// Text: labelled and loose patterns
+// ----------------------------
+const DAY_UNITS = { day: 1, week: 7, month: 30 };
+
+// titleMethod: on a saved page the body text is full of other cars'
+// headlines, so a title line found there counts as a loose match
+function fromText(text, add, now, titleMethod = "title") {
+  // VIN: a labelled one first; a loose 17-character token must pass the check digit
+  const labelledVin = /\bVIN\b\s*(?:(?:#|number|no\.?)\s*)?(?:[:#-]\s*)?([A-HJ-NPR-Z0-9]{17})\b/i.exec(text);
+  if (labelledVin) add("vin", labelledVin[1], "labelled", "listing text");
+  const looseVin = [...text.matchAll(/\b[A-HJ-NPR-Z0-9]{17}\b/g)].map((m) => validateVin(m[0])).find((c) => c.valid);
+  if (looseVin) add("vin", looseVin.vin, "pattern", "listing text");
+
+  // Year / make / model / trim from the first line that reads like a title
+  const titleLine = text.split("\n").find((line) => parseListingTitle(line));
+  if (titleLine) addTitle(add, parseListingTitle(titleLine), "listing text", titleMethod);
+
+  // Asking price (not a monthly payment, fee or discount)
+  const labelledPrice =
+    /\b(?:asking(?: price)?|list price|sale price|our price|internet price|price)\s*(?:[:-]\s*)?\$\s?(\d{1,3}(?:,\d{3})+|\d{3,6})\b(?!\s*(?:\/\s*mo|per month|a month))/i.exec(text);
+  if (labelledPrice) add("askingPrice", toNumber(labelledPrice[1]), "labelled", "listing text");
+  for (const m of text.matchAll(/\$\s?(\d{1,3}(?:,\d{3})+|\d{3,6})\b(?!\s*(?:\/\s*mo|mo\b|per month|a month|down|off\b|below|savings))/gi)) {
+    const before = text.slice(Math.max(0, m.index - 30), m.index);
+    if (/(payment|est\.?|save|savings|fee|msrp|down|below|under|off)\W*$/i.test(before)) continue;
+    if (plausible("askingPrice", toNumber(m[1]))) {
+      add("askingPrice", toNumber(m[1]), "pattern", "listing text");
+      break;
+    }
+  }
+
+  // Mileage
+  const labelledMiles = /\b(?:mileage|odometer|miles)\s*(?:[:-]\s*)?(\d{1,3}(?:,\d{3})+|\d{1,6}(?:\.\d)?)\s*(k\b)?/i.exec(text);
+  if (labelledMiles) add("mileage", toNumber(labelledMiles[1], !!labelledMiles[2]), "labelled", "listing text");
+  for (const m of text.matchAll(/\b(\d{1,3}(?:,\d{3})+|\d{1,6}(?:\.\d)?)\s*(?:(k)\s*)?(?:mi|miles)\b(?!\s*(?:away|from|range|per|\/))/gi)) {
+    const before = text.slice(Math.max(0, m.index - 20), m.index);
+    if (/(within|range|radius|up to|est\.?)\W*$/i.test(before)) continue;
+    add("mileage", toNumber(m[1], !!m[2]), "pattern", "listing text");
+    break;
+  }
+
+  // Seller
+  const seller = /^(?:dealer(?:ship)?|seller(?: name)?|sold by|listed by|offered by)\s*[:-]\s*(.{2,120})$/im.exec(text);
+  if (seller) add("sellerName", seller[1].trim(), "labelled", "listing text");
+  if (/\bby owner\b|\bprivate (?:party|seller)\b/i.test(text)) add("sellerType", "private", "labelled", "listing text");
+  else if (/\bby dealer\b/i.test(text)) add("sellerType", "dealer", "labelled", "listing text");
+
+  // Days on market
+  const onMarket = /\b(\d{1,3})\s+days?\s+on\s+(?:the\s+)?(?:market|lot|site|cars\.com|cargurus|autotrader|carfax|truecar)\b/i.exec(text);
+  if (onMarket) add("daysOnMarket", Number(onMarket[1]), "labelled", "listing text");
+  const ago = /\b(?:listed|posted)\s+(?:about\s+|over\s+)?(a|an|one|\d{1,3})\s+(day|week|month)s?\s+ago\b/i.exec(text);
+  if (ago) {
+    const count = /^\d+$/.test(ago[1]) ? Number(ago[1]) : 1;
+    add("daysOnMarket", count * DAY_UNITS[ago[2].toLowerCase()], ago[2].toLowerCase() === "day" ? "labelled" : "relative", "listing text");
+  }
+  const recent = /\b(?:listed|posted)\s+(today|yesterday)\b/i.exec(text);
+  if (recent) add("daysOnMarket", recent[1].toLowerCase() === "today" ? 0 : 1, "labelled", "listing text");
+  const postedOn = /\bposted\s*(?::\s*)?(20\d\d-\d\d-\d\d)/i.exec(text);
+  if (postedOn) add("daysOnMarket", daysSince(postedOn[1], now), "labelled", "listing text");
+}
+
+function addTitle(add, title, from, method = "title") {
+  if (!title) return;
+  add("year", title.year, method, from);
+  add("make", title.make, method, from);
+  add("model", title.model, method, from);
+  // Where the model ends and the trim begins is the least certain split
+  add("trim", title.trim, "pattern", from);
+}
+
+// ----------------------------
+// Source + field selection
+// ----------------------------
+function detectSource(url, page) {
+  const sources = ListingImportRules.sources || [];
+  let host = "";
+  try {
+    host = url ? new URL(url).hostname.toLowerCase() : "";
+  } catch (_) {
+    host = "";
+  }
+
+  const byHost = host && sources.find((s) => s.hosts.some((h) => host === h || host.endsWith(`.${h}`)));
+  if (byHost) return byHost;
+  const lower = page.toLowerCase();
+  return sources.find((s) => s.markers.some((marker) => lower.includes(marker))) || null;
+}
+
+const sameValue = (a, b) => (typeof a === "number" ? a === b : alnum(a) === alnum(b));
+
+// Highest-confidence candidate wins; other parsers agreeing raise it,
+// a different value found elsewhere lowers it
+function pickField(candidates) {
+  if (!candidates.length) return null;
+
+  const weights = ListingImportRules.confidence || {};
+  const scored = candidates
+    .map((c) => ({ ...c, confidence: weights[c.method] ?? 0.5 }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const best = scored[0];
+
+  const parser = (c) => `${c.method}:${c.from}`;
+  const agreeing = new Set(
+    scored.filter((c) => parser(c) !== parser(best) && sameValue(c.value, best.value)).map(parser)
+  );
+  const alternatives = [
+    ...new Set(scored.filter((c) => !sameValue(c.value, best.value)).map((c) => c.value)),
+  ].slice(0, 3);
+
+  const confidence =
+    best.confidence +
+    agreeing.size * (ListingImportRules.agreementBonus ?? 0) -
+    (alternatives.length ? ListingImportRules.conflictPenalty ?? 0 : 0);
+
+  return {
+    value: best.value,
+    confidence: Math.round(Math.min(0.99, Math.max(0.05, confidence)) * 100) / 100,
+    from: best.from,
+    ...(alternatives.length ? { alternatives } : {}),
+  };
+}
+
+function cleanValue(field, value, now) {
+  if (value === null || value === undefined || value === "") return null;
+  if (field === "vin") return validateVin(value).reason === "format" ? null : validateVin(value).vin;
+  if (field === "year") {
+    const year = Number(value);
+    return year >= 1981 && year <= now.getUTCFullYear() + 2 ? year : null;
+  }
+  if (field === "make") return canonicalMake(value);
+  if (["askingPrice", "mileage", "daysOnMarket"].includes(field)) {
+    const n = typeof value === "number" ? Math.round(value) : toNumber(value);
+    return plausible(field, n) ? n : null;
+  }
+  return String(value).replace(/\s+/g, " ").trim().slice(0, field === "sellerName" ? 120 : 60) || null;
+}
+
+function formatSummary(intake, source) {
+  const vehicle = [intake.year, intake.make, intake.model, intake.trim].filter(Boolean).join(" ");
+  const parts = [
+    vehicle || null,
+    intake.vin ? `VIN ${intake.vin}` : null,
+    intake.askingPrice ? `$${intake.askingPrice.toLocaleString("en-US")}` : null,
+    intake.mileage !== null ? `${intake.mileage.toLocaleString("en-US")} mi` : null,
+    intake.daysOnMarket !== null ? `listed ${intake.daysOnMarket} day${intake.daysOnMarket === 1 ? "" : "s"}` : null,
+    intake.sellerName ? `seller: ${intake.sellerName}` : null,
+  ].filter(Boolean);
+  if (!parts.length) return null;
+  return `Imported from ${source ? source.label : "the listing"}: ${parts.join(" · ")}`;
+}
+
+/**
+ * importListing({ text, html, url, now })
+ * → { source, fields: { vin: { value, confidence, from, alternatives? } | null, ... },
+ *     intake, warnings }
+ * intake holds the values at or above prefillThreshold (others null), the
+ * listing URL, and a one-line summary for free-text notes.
+ */
+function importListing({ text = "", html = "", url = "", now = new Date() } = {}) {
+  const warnings = [];
+  const candidates = Object.fromEntries(FIELDS.map((f) => [f, []]));
+  const warn = (message) => {
+    if (!warnings.includes(message)) warnings.push(message);
+  };
+  const add = (field, raw, method, from) => {
+    const value = cleanValue(field, raw, now);
+    if (value === null) return;
+    if (field === "vin" && !validateVin(value).valid) {
+      warn("The VIN in the listing fails its check digit — the listing likely has a typo. Copy it from the car itself.");
+      candidates.vin.push({ value, method: "failedCheckDigit", from });
+      return;
+    }
+    candidates[field].push({ value, method, from });
+  };
+
+  // Pasted text is sometimes the page source
+  const page = html || (/<(html|body|head|div|meta)\b/i.test(text) ? text : "");
+  let plain = page ? htmlToText(page) : String(text);
+  if (page && text && page !== text) plain = `${plain}\n${text}`;
+
+  if (page) {
+    const titles = [...fromJsonLd(page, add, warn, now)];
+    fromEmbeddedJson(page, add);
+    const meta = fromMeta(page, add, warn);
+    titles.push(...meta.titles);
+    if (meta.description) plain = `${plain}\n${meta.description}`;
+
+    const title = titles.map((t) => ({ parsed: parseListingTitle(t.text), from: t.from })).find((t) => t.parsed);
+    if (title) addTitle(add, title.parsed, title.from);
+  }
+  fromText(collapseWhitespace(plain), add, now, page ? "pattern" : "title");
+
+  const source = detectSource(url, `${page}\n${plain}`);
+  if (source?.sellerType) add("sellerType", source.sellerType, "sourceHint", source.label);
+
+  // The VIN itself carries the make and model year
+  const vin = pickField(candidates.vin);
+  const local = vin && vin.confidence >= (ListingImportRules.prefillThreshold ?? 0.5) ? decodeVinLocally(vin.value, now) : null;
+  if (local?.valid) {
+    add("year", local.modelYear, "vinDecode", "VIN");
+    add("make", local.make, "vinDecode", "VIN");
+  }
+
+  const fields = Object.fromEntries(FIELDS.map((f) => [f, f === "vin" ? vin : pickField(candidates[f])]));
+  if (local?.valid && (fields.make?.alternatives || fields.year?.alternatives)) {
+    warn("The listing’s year or make doesn’t match its VIN. We’ll cross-check it again before checkout.");
+  }
+
+  const threshold = ListingImportRules.prefillThreshold ?? 0.5;
+  const intake = Object.fromEntries(
+    FIELDS.map((f) => [f, fields[f] && fields[f].confidence >= threshold ? fields[f].value : null])
+  );
+  intake.listingUrl = /^https?:\/\//i.test(String(url).trim()) ? String(url).trim().slice(0, 400) : null;
+  intake.summary = formatSummary(intake, source);
+
+  return {
+    source: source ? { id: source.id, label: source.label } : null,
+    fields,
+    intake,
+    warnings,
+  };
+}
+
+module.exports = {
+  importListing,
+  parseListingTitle,
+};
@@ -0,0 +1,291 @@
+// api/services/nhtsaClient.js
+/**
+ * NHTSA vPIC Decode Client (NIC_v2)
+ * ---------------------------------------
+ * Purpose:
+ * - Cache VIN decodes by VIN with a TTL (memory, file or blob backed), so a
+ *   resubmitted VIN doesn't hit NHTSA again
+ * - Retry transient failures (network, timeout, 429 / 5xx) with backoff
+ * - Circuit breaker: after repeated failures, fail fast for a cooldown
+ *   instead of holding a paid webhook on a dead service
+ * - Call counts for the admin usage card (/api/usage)
+ *
+ * Config (env):
+ * - VIN_DECODE_CACHE: "memory" (default) | "file" | "blob" | "none"
+ * - VIN_DECODE_CACHE_DIR: file cache directory (default: OS temp dir)
+ * - VIN_DECODE_CACHE_TTL_HOURS: default 720 (30 days)
+ *
+ * Breaker state and counts live in memory, so on serverless they are per
+ * warm instance.
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+
+const NHTSA_URL = "https://vpic.nhtsa.dot.gov/api/vehicles/decodevinvaluesextended";
+
+const DEFAULTS = {
+  timeoutMs: 5000,
+  retries: 2,
+  backoffMs: 400,
+  failureThreshold: 5,
+  cooldownMs: 60 * 1000,
+  ttlMs: 720 * 60 * 60 * 1000,
+};
+
+// ----------------------------
+// Cache stores
+// ----------------------------
+// Every store: get(vin) → { value, storedAt } | null, set(vin, entry)
+// The memory store lives as long as a warm instance, so it keeps only the
+// most recently used maxEntries decodes (a Map iterates oldest first)
+function createMemoryCache({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  return {
+    kind: "memory",
+    async get(vin) {
+      const entry = entries.get(vin);
+      if (!entry) return null;
+      entries.delete(vin);
+      entries.set(vin, entry);
+      return entry;
+    },
+    async set(vin, entry) {
+      entries.delete(vin);
+      entries.set(vin, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+function createFileCache(dir = path.join(os.tmpdir(), "carsaavy-vin-cache")) {
+  const fileFor = (vin) => path.join(dir, `${vin}.json`);
+  return {
+    kind: "file",
+    async get(vin) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(vin), "utf8"));
+      } catch (_) {
+        return null;
+      }
+    },
+    async set(vin, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(vin), JSON.stringify(entry));
+    },
+  };
+}
+
+// Decodes are public NHTSA data, so a public blob is fine
+function createBlobCache(prefix = "vin-decodes") {
+  const { put, head } = require("@vercel/blob");
+  const pathnameFor = (vin) => `${prefix}/${vin}.json`;
+  return {
+    kind: "blob",
+    async get(vin) {
+      try {
+        const blob = await head(pathnameFor(vin));
+        const res = await axios.get(blob.url, { timeout: DEFAULTS.timeoutMs });
+        return res.data || null;
+      } catch (_) {
+        return null;
+      }
+    },
+    async set(vin, entry) {
+      await put(pathnameFor(vin), JSON.stringify(entry), {
+        access: "public",
+        addRandomSuffix: false,
+        allowOverwrite: true,
+        contentType: "application/json",
+      });
+    },
+  };
+}
+
+function cacheFromEnv() {
+  const kind = String(process.env.VIN_DECODE_CACHE || "memory").trim().toLowerCase();
+  if (kind === "none") return null;
+  if (kind === "file") return createFileCache(process.env.VIN_DECODE_CACHE_DIR || undefined);
+  if (kind === "blob") return createBlobCache();
+  return createMemoryCache();
+}
+
+// ----------------------------
+// Client
+// ----------------------------
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return true; // network error / timeout
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function emptyStats(now) {
+  return {
+    since: new Date(now).toISOString(),
+    decodes: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    nhtsaCalls: 0,
+    retries: 0,
+    failures: 0,
+    circuitRejections: 0,
+  };
+}
+
+/**
+ * createDecodeClient({ cache, fetchDecode, clock, ...DEFAULTS overrides })
+ * - cache: a store from above, or null for no caching
+ * - fetchDecode(vin, timeoutMs): the NHTSA request (injectable for tests)
+ * decode(vin) resolves to the NHTSA result row, or throws once retries are
+ * exhausted / the circuit is open (err.code "CIRCUIT_OPEN").
+ */
+function createDecodeClient(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const cache = options.cache === undefined ? createMemoryCache() : options.cache;
+  const clock = options.clock || (() => Date.now());
+  const fetchDecode =
+    options.fetchDecode ||
+    (async (vin, timeoutMs) => {
+      const res = await axios.get(`${NHTSA_URL}/${vin}?format=json`, { timeout: timeoutMs });
+      return res.data && res.data.Results && res.data.Results[0];
+    });
+
+  const breaker = { state: "closed", consecutiveFailures: 0, openedAt: null };
+  let stats = emptyStats(clock());
+
+  // Half-open lasts exactly as long as the one trial request: it settles to
+  // closed or open, and every other caller fails fast meanwhile
+  function circuitAllows() {
+    if (breaker.state === "closed") return true;
+    if (breaker.state === "half-open") return false;
+    if (clock() - breaker.openedAt < config.cooldownMs) return false;
+    breaker.state = "half-open";
+    return true;
+  }
+
+  function recordSuccess() {
+    breaker.state = "closed";
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+  }
+
+  function recordFailure() {
+    stats.failures += 1;
+    breaker.consecutiveFailures += 1;
+    if (breaker.state === "half-open" || breaker.consecutiveFailures >= config.failureThreshold) {
+      breaker.state = "open";
+      breaker.openedAt = clock();
+      console.warn("⚠️ NHTSA circuit open after", breaker.consecutiveFailures, "failures");
+    }
+  }
+
+  async function readCache(vin) {
+    if (!cache) return null;
+    try {
+      const entry = await cache.get(vin);
+      if (entry && clock() - entry.storedAt < config.ttlMs) return entry.value;
+    } catch (err) {
+      console.warn("⚠️ VIN decode cache read failed:", err.message);
+    }
+    return null;
+  }
+
+  async function writeCache(vin, value) {
+    if (!cache) return;
+    try {
+      await cache.set(vin, { value, storedAt: clock() });
+    } catch (err) {
+      console.warn("⚠️ VIN decode cache write failed:", err.message);
+    }
+  }
+
+  async function decode(vin) {
+    stats.decodes += 1;
+
+    const cached = await readCache(vin);
+    if (cached) {
+      stats.cacheHits += 1;
+      return cached;
+    }
+    stats.cacheMisses += 1;
+
+    if (!circuitAllows()) {
+      stats.circuitRejections += 1;
+      const err = new Error("NHTSA decode circuit is open");
+      err.code = "CIRCUIT_OPEN";
+      throw err;
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= config.retries; attempt++) {
+      if (attempt > 0) {
+        stats.retries += 1;
+        await sleep(config.backoffMs * 2 ** (attempt - 1));
+      }
+
+      try {
+        stats.nhtsaCalls += 1;
+        const decoded = await fetchDecode(vin, config.timeoutMs);
+        recordSuccess();
+        // Only complete decodes are worth keeping
+        if (decoded && decoded.Make && decoded.ModelYear) await writeCache(vin, decoded);
+        return decoded;
+      } catch (err) {
+        lastError = err;
+        // NHTSA answered (e.g. a 4xx): the service is up, so don't trip the breaker
+        if (!isRetryable(err)) {
+          stats.failures += 1;
+          recordSuccess();
+          throw err;
+        }
+        // A failed half-open trial reopens the circuit straight away
+        if (breaker.state === "half-open") break;
+      }
+    }
+
+    recordFailure();
+    throw lastError;
+  }
+
+  function getStats() {
+    const lookups = stats.cacheHits + stats.cacheMisses;
+    return {
+      ...stats,
+      cache: cache ? cache.kind : "none",
+      cacheHitRate: lookups ? Math.round((stats.cacheHits / lookups) * 100) : null,
+      circuit: { ...breaker, openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null },
+    };
+  }
+
+  function resetStats() {
+    stats = emptyStats(clock());
+  }
+
+  return { decode, getStats, resetStats };
+}
+
+// Shared instance, configured from env on first use
+let defaultClient = null;
+
+function getDecodeClient() {
+  if (!defaultClient) {
+    const ttlHours = Number(process.env.VIN_DECODE_CACHE_TTL_HOURS);
+    defaultClient = createDecodeClient({
+      cache: cacheFromEnv(),
+      ...(ttlHours > 0 ? { ttlMs: ttlHours * 60 * 60 * 1000 } : {}),
+    });
+  }
+  return defaultClient;
+}
+
+module.exports = {
+  createDecodeClient,
+  createMemoryCache,
+  createFileCache,
+  createBlobCache,
+  getDecodeClient,
+};
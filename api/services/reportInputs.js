@@ -0,0 +1,167 @@
+// api/services/reportInputs.js
+/**
+ * Report Input Builder (NIC_v2)
+ * ---------------------------------------
+ * Purpose:
+ * - Turn flat Stripe payment metadata back into a buildMvpAnalysis input
+ * - Resolve the vehicle (VIN or dropdown) and any trade-in VIN
+ * - Shared by the webhook and the support explain view so both rebuild
+ *   an order's analysis the same way
+ */
+
+const { getAllVehicleData } = require("./vehicleData");
+
+function financingFromMetadata(metadata) {
+  if (!(metadata.preApprovedApr || metadata.dealerApr || metadata.quotedPayment)) return null;
+  return {
+    preApprovedApr: metadata.preApprovedApr || null,
+    dealerApr: metadata.dealerApr || null,
+    termMonths: metadata.loanTermMonths || null,
+    downPayment: metadata.downPayment || null,
+    quotedPayment: metadata.quotedPayment || null,
+  };
+}
+
+function leaseFromMetadata(metadata, analysisMode) {
+  if (analysisMode !== "lease_buyout") return null;
+  return {
+    residualValue: metadata.leaseResidual || null,
+    payoffQuote: metadata.leasePayoffQuote || null,
+    purchaseOptionFee: metadata.leaseOptionFee || null,
+    mileageAllowance: metadata.leaseMileageAllowance || null,
+    currentMileage: metadata.leaseCurrentMileage || null,
+    excessMileRate: metadata.leaseExcessMileRate || null,
+  };
+}
+
+// An order is analysed as of the day it was paid, so a redelivered webhook
+// or a later support / follow-up rebuild reproduces its timing guidance
+function orderAnalysisDate(intent) {
+  if (intent?.metadata?.analysisDate) return intent.metadata.analysisDate;
+  return intent?.created ? new Date(intent.created * 1000).toISOString().slice(0, 10) : null;
+}
+
+// VIN fills missing trade-in Y/M/M
+async function tradeInFromMetadata(metadata) {
+  const hasTradeIn = Object.keys(metadata).some(
+    (k) => k.startsWith("tradeIn") && metadata[k]
+  );
+  if (!hasTradeIn) return null;
+
+  const tradeIn = {
+    year: metadata.tradeInYear || null,
+    make: metadata.tradeInMake || null,
+    model: metadata.tradeInModel || null,
+    mileage: metadata.tradeInMileage || null,
+    condition: metadata.tradeInCondition || null,
+    payoff: metadata.tradeInPayoff || null,
+  };
+
+  if (metadata.tradeInVin && !(tradeIn.year && tradeIn.make && tradeIn.model)) {
+    try {
+      const tradeData = await getAllVehicleData(metadata.tradeInVin);
+      const tp = tradeData?.vehicleProfile;
+      if (tp) {
+        tradeIn.year = tradeIn.year || tp.year;
+        tradeIn.make = tradeIn.make || tp.make;
+        tradeIn.model = tradeIn.model || tp.model;
+      }
+    } catch (err) {
+      console.warn("⚠️ Trade-in VIN resolution failed:", err);
+    }
+  }
+
+  return tradeIn;
+}
+
+async function buildReportInput(metadata = {}) {
+  const vin = metadata.vin || null;
+  const year = metadata.year || null;
+  const make = metadata.make || null;
+  // confirmedModel: buyer-supplied on the preview when the VIN decode had none
+  const model = metadata.model || metadata.confirmedModel || null;
+  const trim = metadata.trim || null;
+  const segment = metadata.segment || null;
+  const trimTier = metadata.trimTier || null;
+  const powertrain = metadata.powertrain || null;
+  const mileage = metadata.mileage || null;
+
+  // -----------------------------
+  // Resolve vehicle data (VIN or dropdown)
+  // -----------------------------
+  let vehicleData = null;
+
+  try {
+    vehicleData = await getAllVehicleData({
+      vin,
+      year,
+      make,
+      model,
+      trim,
+      segment,
+      trimTier,
+      powertrain,
+      mileage,
+    });
+  } catch (err) {
+    console.warn("⚠️ Vehicle resolution failed:", err);
+  }
+
+  if (!vin && !(year && make && model)) {
+    throw new Error("Insufficient vehicle data to generate report");
+  }
+
+  const vp = vehicleData?.vehicleProfile;
+  const vehicleProfile = {
+    year: vp?.year || year,
+    make: vp?.make || make,
+    // A resolved profile decides the model (a VIN decode may leave it unknown)
+    model: vp ? vp.model || null : model,
+    segment: vp?.segment || segment || "general",
+    trimTier: vp?.trimTier || trimTier || "mid",
+    trim: vp?.trim || null,
+    engine: vp?.engine || null,
+    powertrain: vp?.powertrain || powertrain,
+    bodyClass: vp?.bodyClass || null,
+    driveType: vp?.driveType || null,
+    mileage: vp?.mileage || mileage || null,
+    vin,
+    decodeSource: vp?.decodeSource || null,
+    assumed: vp?.assumed || [segment ? null : "segment", trimTier ? null : "trimTier"].filter(Boolean),
+  };
+
+  const analysisMode = metadata.analysisMode || "retail";
+
+  return {
+    vin,
+    vehicleError: vehicleData?.vehicleProfile ? null : vehicleData?.error || "Vehicle resolution failed",
+    input: {
+      vehicleProfile,
+      askingPrice: metadata.askingPrice ? Number(metadata.askingPrice) : null,
+      sellerType: metadata.sellerType || null,
+      sellerName: metadata.sellerName || null,
+      listingUrl: metadata.listingUrl || null,
+      buyerState: metadata.buyerState || null,
+      buyerZip: metadata.buyerZip || null,
+      docFee: metadata.docFee || null,
+      addOns: metadata.addOns || null,
+      history: metadata.history || null,
+      tradeIn: await tradeInFromMetadata(metadata),
+      financing: financingFromMetadata(metadata),
+      analysisMode,
+      lease: leaseFromMetadata(metadata, analysisMode),
+      purchasePurpose: metadata.purchasePurpose || null,
+      // Listing details entered alongside a VIN, cross-checked against the decode
+      claimedVehicle:
+        vin && (metadata.year || metadata.make || metadata.model || trim)
+          ? { year: metadata.year || null, make: metadata.make || null, model: metadata.model || null, trim }
+          : null,
+      analysisDate: metadata.analysisDate || null,
+    },
+  };
+}
+
+module.exports = {
+  buildReportInput,
+  orderAnalysisDate,
+};
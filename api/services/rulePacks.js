@@ -0,0 +1,357 @@
+// api/services/rulePacks.js
+/**
+ * Negotiation Rule Packs (NIC_v2)
+ * ---------------------------------------
+ * Purpose:
+ * - Load declarative rule packs from api/rules
+ * - Validate every pack at startup (bad packs fail the deploy, not a report)
+ * - Evaluate a pack against a set of analysis facts
+ *
+ * Pack shape:
+ *   { id, version, description,
+ *     defaults: { stance, moves: { openingMove, pressureResponse, walkAwayLine } },
+ *     stance:   [ { id, when, emit: { stance } } ],       // first match wins
+ *     rules:    [ { id, when, emit: { ...outputs } } ] }  // every match applies
+ *
+ * Conditions (all keys must match):
+ *   "value"              → fact equals value
+ *   ["a", "b"]           → fact is one of the values
+ *   { not: ["a"] }       → fact is none of the values
+ *   { min: 1, max: 5 }   → numeric fact within range (either bound optional)
+ *   { exists: true }     → fact is present (not null/undefined/"")
+ *
+ * Outputs: list outputs concatenate in pack order; `moves` keys are
+ * overridden by later rules. Strings may reference facts as {{factName}}.
+ * pushbackResponses items are { dealerSays, buyerResponse } or, for
+ * private-party sellers, { sellerSays, buyerResponse }.
+ */
+
+const PACKS = [require("../rules/nic-core.json")];
+
+const DEFAULT_PACK_ID = "nic-core";
+
+const FACT_KEYS = [
+  "segment",
+  "segmentCategory",
+  "dealerNarrative",
+  "ageTier",
+  "ageYears",
+  "mileageTier",
+  "trimTier",
+  "negotiability",
+  "hasAskingPrice",
+  "askingPrice",
+  "dealerType",
+  "sellerType",
+  "purpose",
+  "purposeDiscretionary",
+  "purposeUrgency",
+  "leaseBuyout",
+  "leaseRecommendation",
+  "titleBrand",
+  "titleBranded",
+  "accidentCount",
+  "accidentSeverity",
+  "ownerCount",
+  "usage",
+  "stance",
+];
+
+const LIST_OUTPUTS = ["scripts", "contextScripts", "pushbackResponses", "escalateWhen", "exitWhen"];
+const MOVE_KEYS = ["openingMove", "pressureResponse", "walkAwayLine"];
+const PUSHBACK_SPEAKERS = ["dealerSays", "sellerSays"];
+const TEMPLATE_RE = /\{\{(\w+)\}\}/g;
+
+// ----------------------------
+// Validation
+// ----------------------------
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isScalar(v) {
+  return ["string", "number", "boolean"].includes(typeof v);
+}
+
+function validateTemplate(text, where, errors) {
+  if (typeof text !== "string" || !text.trim()) {
+    errors.push(`${where}: expected a non-empty string`);
+    return;
+  }
+  for (const [, fact] of text.matchAll(TEMPLATE_RE)) {
+    if (!FACT_KEYS.includes(fact)) errors.push(`${where}: unknown template fact "${fact}"`);
+  }
+}
+
+function validateCondition(fact, cond, where, errors) {
+  if (!FACT_KEYS.includes(fact)) {
+    errors.push(`${where}: unknown fact "${fact}"`);
+    return;
+  }
+  if (isScalar(cond)) return;
+  if (Array.isArray(cond)) {
+    if (!cond.length || !cond.every(isScalar)) errors.push(`${where}.${fact}: list must hold scalar values`);
+    return;
+  }
+  if (!isPlainObject(cond)) {
+    errors.push(`${where}.${fact}: unsupported condition`);
+    return;
+  }
+
+  const ops = Object.keys(cond);
+  const known = ["not", "min", "max", "exists"];
+  const unknown = ops.filter((op) => !known.includes(op));
+  if (!ops.length || unknown.length) {
+    errors.push(`${where}.${fact}: unsupported operator(s) ${unknown.join(", ") || "(none)"}`);
+    return;
+  }
+  if ("not" in cond && (!Array.isArray(cond.not) || !cond.not.every(isScalar))) {
+    errors.push(`${where}.${fact}: "not" must be a list of scalar values`);
+  }
+  for (const op of ["min", "max"]) {
+    if (op in cond && typeof cond[op] !== "number") errors.push(`${where}.${fact}: "${op}" must be a number`);
+  }
+  if ("exists" in cond && typeof cond.exists !== "boolean") {
+    errors.push(`${where}.${fact}: "exists" must be true or false`);
+  }
+}
+
+function validateEmit(emit, where, errors) {
+  for (const [key, value] of Object.entries(emit)) {
+    if (key === "moves") {
+      if (!isPlainObject(value) || !Object.keys(value).length) {
+        errors.push(`${where}.moves: expected an object`);
+        continue;
+      }
+      for (const [move, text] of Object.entries(value)) {
+        if (!MOVE_KEYS.includes(move)) errors.push(`${where}.moves: unknown move "${move}"`);
+        else validateTemplate(text, `${where}.moves.${move}`, errors);
+      }
+    } else if (LIST_OUTPUTS.includes(key)) {
+      if (!Array.isArray(value) || !value.length) {
+        errors.push(`${where}.${key}: expected a non-empty list`);
+        continue;
+      }
+      value.forEach((item, i) => {
+        const at = `${where}.${key}[${i}]`;
+        if (key === "pushbackResponses") {
+          if (!isPlainObject(item)) return errors.push(`${at}: expected { dealerSays | sellerSays, buyerResponse }`);
+          const says = PUSHBACK_SPEAKERS.filter((k) => k in item);
+          if (says.length !== 1) return errors.push(`${at}: expected exactly one of dealerSays / sellerSays`);
+          validateTemplate(item[says[0]], `${at}.${says[0]}`, errors);
+          validateTemplate(item.buyerResponse, `${at}.buyerResponse`, errors);
+        } else {
+          validateTemplate(item, at, errors);
+        }
+      });
+    } else {
+      errors.push(`${where}: unknown output "${key}"`);
+    }
+  }
+}
+
+function validateRule(rule, where, ids, errors, { stanceOnly }) {
+  if (!isPlainObject(rule)) return errors.push(`${where}: expected an object`);
+  if (typeof rule.id !== "string" || !rule.id) errors.push(`${where}: missing id`);
+  else if (ids.has(rule.id)) errors.push(`${where}: duplicate id "${rule.id}"`);
+  else ids.add(rule.id);
+
+  const at = rule.id ? `${where} (${rule.id})` : where;
+
+  if (!isPlainObject(rule.when)) errors.push(`${at}: "when" must be an object`);
+  else for (const [fact, cond] of Object.entries(rule.when)) validateCondition(fact, cond, `${at}.when`, errors);
+
+  if (!isPlainObject(rule.emit) || !Object.keys(rule.emit).length) {
+    errors.push(`${at}: "emit" must be a non-empty object`);
+  } else if (stanceOnly) {
+    const keys = Object.keys(rule.emit);
+    if (keys.length !== 1 || typeof rule.emit.stance !== "string" || !rule.emit.stance) {
+      errors.push(`${at}: stance rules may only emit a stance string`);
+    }
+  } else {
+    if ("stance" in rule.emit) errors.push(`${at}: stance must be set in the "stance" section`);
+    else validateEmit(rule.emit, `${at}.emit`, errors);
+  }
+}
+
+function validateRulePack(pack) {
+  const errors = [];
+  if (!isPlainObject(pack)) return ["pack: expected an object"];
+
+  if (typeof pack.id !== "string" || !pack.id) errors.push("pack: missing id");
+  if (typeof pack.version !== "string" || !pack.version) errors.push("pack: missing version");
+
+  const defaults = pack.defaults;
+  if (!isPlainObject(defaults)) {
+    errors.push("defaults: expected an object");
+  } else {
+    if (typeof defaults.stance !== "string" || !defaults.stance) errors.push("defaults.stance: expected a string");
+    if (!isPlainObject(defaults.moves)) errors.push("defaults.moves: expected an object");
+    else for (const move of MOVE_KEYS) validateTemplate(defaults.moves[move], `defaults.moves.${move}`, errors);
+  }
+
+  const ids = new Set();
+  for (const section of ["stance", "rules"]) {
+    if (!Array.isArray(pack[section])) {
+      errors.push(`${section}: expected a list`);
+      continue;
+    }
+    pack[section].forEach((rule, i) =>
+      validateRule(rule, `${section}[${i}]`, ids, errors, { stanceOnly: section === "stance" })
+    );
+  }
+
+  return errors;
+}
+
+// ----------------------------
+// Load (runs once per cold start)
+// ----------------------------
+function loadRulePacks(packs) {
+  const byId = {};
+  for (const pack of packs) {
+    const errors = validateRulePack(pack);
+    if (errors.length) {
+      throw new Error(`Invalid rule pack "${pack?.id || "unknown"}":\n  - ${errors.join("\n  - ")}`);
+    }
+    if (byId[pack.id]) throw new Error(`Duplicate rule pack id "${pack.id}"`);
+    byId[pack.id] = Object.freeze(pack);
+  }
+  return byId;
+}
+
+const RULE_PACKS = loadRulePacks(PACKS);
+
+function getRulePack(id) {
+  const key = id || process.env.NIC_RULE_PACK || DEFAULT_PACK_ID;
+  const pack = RULE_PACKS[key];
+  if (!pack) throw new Error(`Unknown rule pack "${key}"`);
+  return pack;
+}
+
+// ----------------------------
+// Evaluation
+// ----------------------------
+function isPresent(v) {
+  return v !== null && v !== undefined && v !== "";
+}
+
+function matchesCondition(value, cond) {
+  if (Array.isArray(cond)) return cond.includes(value);
+  if (!isPlainObject(cond)) return value === cond;
+
+  if ("exists" in cond && isPresent(value) !== cond.exists) return false;
+  if ("not" in cond && cond.not.includes(value)) return false;
+  if ("min" in cond || "max" in cond) {
+    if (typeof value !== "number") return false;
+    if ("min" in cond && value < cond.min) return false;
+    if ("max" in cond && value > cond.max) return false;
+  }
+  return true;
+}
+
+function ruleMatches(rule, facts) {
+  return Object.entries(rule.when).every(([fact, cond]) => matchesCondition(facts[fact], cond));
+}
+
+function fillTemplate(text, facts) {
+  return text.replace(TEMPLATE_RE, (_, fact) => (isPresent(facts[fact]) ? String(facts[fact]) : ""));
+}
+
+// Keeps whichever speaker key the pack used
+function fillPushback(item, facts) {
+  const says = PUSHBACK_SPEAKERS.find((k) => k in item);
+  return { [says]: fillTemplate(item[says], facts), buyerResponse: fillTemplate(item.buyerResponse, facts) };
+}
+
+// `sources` mirrors the outputs and records which rule produced each item
+// (null = pack default), so reports can explain every talking point.
+function evaluateRulePack(pack, facts) {
+  const firedRules = [];
+
+  const stanceRule = pack.stance.find((rule) => ruleMatches(rule, facts));
+  const stance = stanceRule ? stanceRule.emit.stance : pack.defaults.stance;
+  if (stanceRule) firedRules.push(stanceRule.id);
+
+  const scoped = { ...facts, stance };
+  const output = { moves: {} };
+  const sources = { stance: stanceRule ? stanceRule.id : null, moves: {} };
+  for (const [move, text] of Object.entries(pack.defaults.moves)) {
+    output.moves[move] = fillTemplate(text, scoped);
+    sources.moves[move] = null;
+  }
+  for (const key of LIST_OUTPUTS) {
+    output[key] = [];
+    sources[key] = [];
+  }
+
+  for (const rule of pack.rules) {
+    if (!ruleMatches(rule, scoped)) continue;
+    firedRules.push(rule.id);
+
+    for (const [key, value] of Object.entries(rule.emit)) {
+      if (key === "moves") {
+        for (const [move, text] of Object.entries(value)) {
+          output.moves[move] = fillTemplate(text, scoped);
+          sources.moves[move] = rule.id;
+        }
+        continue;
+      }
+
+      for (const item of value) {
+        output[key].push(
+          key === "pushbackResponses"
+            ? fillPushback(item, scoped)
+            : fillTemplate(item, scoped)
+        );
+        sources[key].push(rule.id);
+      }
+    }
+  }
+
+  return { stance, ...output, firedRules, sources };
+}
+
+// ----------------------------
+// Explanations
+// ----------------------------
+function formatFactValue(v) {
+  if (v === null || v === undefined || v === "") return "none";
+  return String(v);
+}
+
+// Reason codes for a rule: one "fact=value" entry per condition, with an
+// optional detail from the caller (e.g. "mileageTier=high (ratio 1.31)").
+function describeRule(pack, ruleId, facts, details = {}) {
+  const rule = [...pack.stance, ...pack.rules].find((r) => r.id === ruleId);
+  if (!rule) return [];
+
+  const conditions = Object.keys(rule.when);
+  if (!conditions.length) return ["baseline (applies to every report)"];
+
+  return conditions.map((fact) => {
+    const cond = rule.when[fact];
+    // Exclusions explain themselves better than the value that slipped past them
+    if (isPlainObject(cond) && "not" in cond && !("exists" in cond) && !("min" in cond) && !("max" in cond)) {
+      return `${fact}≠${cond.not.join("/")}`;
+    }
+    if (isPlainObject(cond) && cond.exists === false) return `${fact} not provided`;
+
+    const code = `${fact}=${formatFactValue(facts[fact])}`;
+    return details[fact] ? `${code} (${details[fact]})` : code;
+  });
+}
+
+// Reason codes for an engine check ({ code, facts } from an mvpEngine helper)
+function describeFacts(facts = {}) {
+  return Object.entries(facts).map(([fact, value]) => `${fact}=${formatFactValue(value)}`);
+}
+
+module.exports = {
+  getRulePack,
+  evaluateRulePack,
+  describeRule,
+  describeFacts,
+  validateRulePack,
+  loadRulePacks,
+};
@@ -0,0 +1,111 @@
+// api/services/segments.js
+/**
+ * Segment Vocabulary + Inference (NIC_v2)
+ * ---------------------------------------
+ * Purpose:
+ * - One segment vocabulary (staticData SegmentProfiles) for the VIN decode,
+ *   the dropdown flow and the engine
+ * - Map legacy / form values ("sedan", "crossover", "offroad") onto it
+ * - Infer a segment from the NHTSA decode (BodyClass, GVWR, DriveType, make)
+ * - ModelSegmentMap is a per-model override and always wins
+ */
+
+const {
+  ModelSegmentMap = {},
+  SegmentProfiles = {},
+  SegmentAliases = {},
+} = require("../staticData");
+
+const DEFAULT_SEGMENT = "general";
+
+// ----------------------------
+// Vocabulary
+// ----------------------------
+function normalizeSegment(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s) return null;
+  if (SegmentProfiles[s]) return s;
+  return SegmentAliases[s] || null;
+}
+
+// Does a map key cover "MAKE MODEL"? Keys match whole words ("FORD MUSTANG"
+// covers "FORD MUSTANG GT", "BMW M3" does not cover "BMW M340I"); a key ending
+// in "*" is a model family and matches any continuation ("AUDI RS*" → RS5)
+function keyCovers(k, key) {
+  if (k.endsWith("*")) return key.startsWith(k.slice(0, -1));
+  return key === k || key.startsWith(`${k} `);
+}
+
+// Exact "MAKE MODEL" first, then the longest key that covers the model
+function lookupModelSegment(make, model) {
+  if (!make || !model) return null;
+  const key = `${String(make).trim()} ${String(model).trim()}`.toUpperCase().replace(/\s+/g, " ");
+  if (ModelSegmentMap[key]) return normalizeSegment(ModelSegmentMap[key]);
+
+  const prefix = Object.keys(ModelSegmentMap)
+    .filter((k) => keyCovers(k, key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? normalizeSegment(ModelSegmentMap[prefix]) : null;
+}
+
+// ----------------------------
+// Decode-based inference
+// ----------------------------
+// "Class 2E: 6,001 - 7,000 lb (2,722 - 3,175 kg)" → 2
+function gvwrClass(gvwr) {
+  const m = String(gvwr || "").match(/Class\s*(\d)/i);
+  return m ? Number(m[1]) : null;
+}
+
+function isFourWheelDrive(driveType) {
+  return /(4WD|4X4|4-WHEEL|AWD|ALL-WHEEL)/i.test(String(driveType || ""));
+}
+
+// Body shape only: "truck" | "van" | "suv" | "car" | null
+function bodyTypeFromDecode({ bodyClass, gvwr, driveType }) {
+  const body = String(bodyClass || "").toUpperCase();
+  const weightClass = gvwrClass(gvwr);
+
+  if (/PICKUP/.test(body)) return "truck";
+  if (/VAN/.test(body)) return "van";
+  if (/(SPORT UTILITY|CROSSOVER|SUV|CUV)/.test(body)) return "suv";
+  if (/(SEDAN|SALOON|HATCHBACK|LIFTBACK|COUPE|CONVERTIBLE|CABRIOLET|ROADSTER|WAGON)/.test(body)) return "car";
+
+  // Incomplete / chassis-cab decodes: fall back to weight and drivetrain
+  if (weightClass !== null && weightClass >= 3) return "truck";
+  if (/INCOMPLETE|CHASSIS|CAB/.test(body) && (weightClass >= 2 || isFourWheelDrive(driveType))) return "truck";
+  return null;
+}
+
+function inferSegment({ make, model, vehicleClass, bodyClass, gvwr, driveType } = {}) {
+  const fromModel = lookupModelSegment(make, model);
+  if (fromModel) return { segment: fromModel, source: "model" };
+
+  const body = bodyTypeFromDecode({ bodyClass, gvwr, driveType });
+
+  // Exotics keep their own profile whatever the body
+  if (vehicleClass === "exotic") return { segment: "exotic", source: "decoded" };
+
+  let segment = null;
+  if (body === "truck" || body === "van") {
+    // Heavy-duty vans (Class 3+) negotiate like work trucks
+    segment = body === "van" && gvwrClass(gvwr) >= 3 ? "truck" : body;
+  } else if (body === "suv") {
+    segment = vehicleClass === "luxury" || vehicleClass === "performance" ? "luxury" : "suv";
+  } else if (vehicleClass === "performance" || vehicleClass === "luxury") {
+    segment = vehicleClass;
+  } else if (body === "car") {
+    segment = "economy";
+  }
+
+  return segment
+    ? { segment, source: "decoded" }
+    : { segment: DEFAULT_SEGMENT, source: "default" };
+}
+
+module.exports = {
+  DEFAULT_SEGMENT,
+  normalizeSegment,
+  lookupModelSegment,
+  inferSegment,
+};
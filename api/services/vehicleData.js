@@ -5,30 +5,28 @@
  * Purpose:
  * - Resolve vehicleProfile from VIN OR dropdown metadata
  * - VIN is optional enrichment, not required
+ * - VINs are checked locally (check digit) before NHTSA; if NHTSA is down
+ *   the offline make / year decode still yields a profile
  * - No pricing
  * - No scraping
  */
 
-const axios = require("axios");
-
-// ----------------------------
-// VIN validation
-// ----------------------------
-function isValidVinFormat(vin) {
-  if (!vin || typeof vin !== "string") return false;
-  const v = vin.trim().toUpperCase();
-  if (v.length !== 17) return false;
-  if (/[IOQ]/.test(v)) return false;
-  return /^[A-HJ-NPR-Z0-9]{17}$/.test(v);
-}
+const { normalizeSegment, inferSegment } = require("./segments");
+const { validateVin, decodeVinLocally } = require("./vinDecoder");
+const { getDecodeClient } = require("./nhtsaClient");
 
 // ----------------------------
 // NHTSA decode
 // ----------------------------
+// Cached, retried and circuit-broken (services/nhtsaClient.js)
 async function decodeVin(vin) {
-  const url = `https://vpic.nhtsa.dot.gov/api/vehicles/decodevinvaluesextended/${vin}?format=json`;
-  const res = await axios.get(url, { timeout: 8000 });
-  return res.data && res.data.Results && res.data.Results[0];
+  return getDecodeClient().decode(vin);
+}
+
+function invalidVinError(check) {
+  return check.reason === "check-digit"
+    ? "Invalid VIN (check digit mismatch — likely a typo)"
+    : "Invalid VIN format";
 }
 
 // ----------------------------
@@ -87,6 +85,27 @@ function resolveVehicleClass(make, model, trimRaw) {
   return "standard";
 }
 
+// ----------------------------
+// Powertrain resolution
+// ----------------------------
+// NHTSA reports ElectrificationLevel as e.g. "BEV (Battery Electric Vehicle)",
+// "PHEV (Plug-in Hybrid Electric Vehicle)", "HEV (Strong Hybrid)".
+function resolvePowertrain(decoded = {}) {
+  const level = (decoded.ElectrificationLevel || "").toUpperCase();
+  const fuel = [decoded.FuelTypePrimary, decoded.FuelTypeSecondary]
+    .filter(Boolean)
+    .join(" ")
+    .toUpperCase();
+
+  if (level.startsWith("BEV") || fuel === "ELECTRIC") return "ev";
+  if (level.startsWith("PHEV")) return "phev";
+  if (level.includes("HEV") || (fuel.includes("ELECTRIC") && fuel.includes("GASOLINE"))) {
+    return "hybrid";
+  }
+  if (level.startsWith("FCEV") || fuel.includes("HYDROGEN")) return "fcev";
+  return fuel ? "ice" : null;
+}
+
 // ----------------------------
 // Trim tier normalization
 // ----------------------------
@@ -120,6 +139,14 @@ async function getAllVehicleData(input = {}) {
   function profileFromDecoded(decoded, vin) {
     const trimTier = normalizeTrimTier(decoded.Trim);
     const vehicleClass = resolveVehicleClass(decoded.Make, decoded.Model, decoded.Trim);
+    const { segment, source: segmentSource } = inferSegment({
+      make: decoded.Make,
+      model: decoded.Model,
+      vehicleClass,
+      bodyClass: decoded.BodyClass,
+      gvwr: decoded.GVWR,
+      driveType: decoded.DriveType,
+    });
 
     return {
       year: Number(decoded.ModelYear),
@@ -133,44 +160,93 @@ async function getAllVehicleData(input = {}) {
         ? decoded.Model.charAt(0).toUpperCase() + decoded.Model.slice(1).toLowerCase()
         : null,
 
-      // Safe segment inference
-      segment:
-        vehicleClass === "performance"
-          ? "performance"
-          : vehicleClass === "luxury"
-          ? "luxury"
-          : "general",
+      // Body class / GVWR / drive type, with ModelSegmentMap as override
+      segment,
+      segmentSource,
+      bodyClass: decoded.BodyClass || null,
+      driveType: decoded.DriveType || null,
 
       trimTier,
+      trim: decoded.Trim || null,
+      powertrain: resolvePowertrain(decoded),
+      engine: decoded.DisplacementL
+        ? `${Number(decoded.DisplacementL).toFixed(1)}L`
+        : null,
       vehicleClass,
       vin,
+      // Fields filled with defaults rather than decoded (confidence scoring)
+      assumed: [
+        segmentSource === "default" ? "segment" : null,
+        decoded.Trim ? null : "trimTier",
+      ].filter(Boolean),
     };
   }
 
   // ----------------------------
-  // Case 1: input is VIN string
+  // Helper: build profile from the offline decode (NHTSA unavailable)
   // ----------------------------
-  if (typeof input === "string") {
-    const vin = input.trim().toUpperCase();
+  function profileFromLocal(local, vin) {
+    if (!local?.make || !local.modelYear) return null;
 
-    if (!isValidVinFormat(vin)) {
-      return { error: "Invalid VIN format", vehicleProfile: null };
-    }
+    const vehicleClass = resolveVehicleClass(local.make);
+    const { segment, source: segmentSource } = inferSegment({ make: local.make, vehicleClass });
+
+    return {
+      year: local.modelYear,
+      make: local.make,
+      model: null,
+      segment,
+      segmentSource,
+      bodyClass: null,
+      driveType: null,
+      trimTier: "mid",
+      trim: null,
+      powertrain: null,
+      engine: null,
+      vehicleClass,
+      vin,
+      decodeSource: "local",
+      manufacturer: local.manufacturer,
+      country: local.country,
+      assumed: [segmentSource === "default" ? "segment" : null, "trimTier"].filter(Boolean),
+    };
+  }
 
+  // NHTSA first; the offline decode only when it's unreachable or can't
+  // resolve the VIN. Returns { vehicleProfile } or { error }.
+  async function resolveVin(vin) {
+    let decoded = null;
+    let failure = "Unable to resolve vehicle from VIN";
     try {
       console.log("🔍 Decoding VIN (NHTSA):", vin);
-      const decoded = await decodeVin(vin);
-
-      if (!decoded || !decoded.Make || !decoded.Model || !decoded.ModelYear) {
-        return { error: "Unable to resolve vehicle from VIN", vehicleProfile: null };
-      }
-      
-
-      return { vehicleProfile: profileFromDecoded(decoded, vin) };
+      decoded = await decodeVin(vin);
     } catch (err) {
       console.error("❌ VIN decode failed:", err);
-      return { error: "VIN decoding service unavailable", vehicleProfile: null };
+      failure = "VIN decoding service unavailable";
     }
+
+    if (decoded && decoded.Make && decoded.Model && decoded.ModelYear) {
+      return { vehicleProfile: { ...profileFromDecoded(decoded, vin), decodeSource: "nhtsa" } };
+    }
+
+    const local = profileFromLocal(decodeVinLocally(vin), vin);
+    if (local) {
+      console.warn("⚠️ Using offline VIN decode:", vin, local.make, local.year);
+      return { vehicleProfile: local };
+    }
+    return { error: failure, vehicleProfile: null };
+  }
+
+  // ----------------------------
+  // Case 1: input is VIN string
+  // ----------------------------
+  if (typeof input === "string") {
+    const check = validateVin(input);
+    if (!check.valid) {
+      return { error: invalidVinError(check), vehicleProfile: null };
+    }
+
+    return resolveVin(check.vin);
   }
 
   // ----------------------------
@@ -184,55 +260,80 @@ async function getAllVehicleData(input = {}) {
   const model = asObj?.model ? String(asObj.model).trim() : "";
 
   const hasYMM = !!(year && make && model);
-  const hasVin = !!(vin && isValidVinFormat(vin));
-
-  // If we have a VIN and Y/M/M is missing, decode VIN and use it as the base profile
-  if (hasVin && !hasYMM) {
-    try {
-      console.log("🔍 Decoding VIN (NHTSA):", vin);
-      const decoded = await decodeVin(vin);
-
-      if (!decoded || !decoded.Make || !decoded.Model || !decoded.ModelYear) {
-        return { error: "Unable to resolve vehicle from VIN", vehicleProfile: null };
-      }
-
-      // Merge: decoded base + allow metadata overrides if present later
-      const base = profileFromDecoded(decoded, vin);
-
-      // If dropdown fields were provided, allow them to override (but only if non-empty)
-      const merged = {
-        ...base,
-        segment: asObj?.segment ? String(asObj.segment).trim() : base.segment,
-        trimTier: asObj?.trimTier ? normalizeTrimTier(asObj.trimTier) : base.trimTier,
-        // mileage is optional and only present from form
-        mileage: asObj?.mileage ? Number(String(asObj.mileage).replace(/[$,]/g, "")) : null,
-      };
+  const hasVin = !!(vin && validateVin(vin).valid);
+
+  // A VIN is always decoded and used as the base profile. Y/M/M given with it
+  // (copied from a listing) is cross-checked by the engine, not trusted; if
+  // the VIN can't be resolved at all, the Y/M/M profile below is used instead.
+  const resolved = hasVin ? await resolveVin(vin) : null;
+  if (resolved && !resolved.vehicleProfile && !hasYMM) return resolved;
+
+  if (resolved?.vehicleProfile) {
+    const base = resolved.vehicleProfile;
+
+    // If dropdown fields were provided, allow them to override (but only if non-empty)
+    const formSegment = normalizeSegment(asObj?.segment);
+    // Form make / model fill gaps the offline decode leaves (and can then place
+    // the segment) — a model only when the form's make agrees with the VIN's
+    const key = (v) => String(v || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    const makeAgrees = !make || !base.make || key(make) === key(base.make);
+    const filled = {
+      make: base.make || make || null,
+      model: base.model || (makeAgrees ? model : "") || null,
+    };
+    const refined =
+      !formSegment && base.segmentSource === "default" && filled.model
+        ? inferSegment({ ...filled, vehicleClass: base.vehicleClass })
+        : null;
+    const merged = {
+      ...base,
+      ...filled,
+      segment: formSegment || refined?.segment || base.segment,
+      segmentSource: formSegment ? "form" : refined?.source || base.segmentSource,
+      trimTier: asObj?.trimTier ? normalizeTrimTier(asObj.trimTier) : base.trimTier,
+      // mileage is optional and only present from form
+      mileage: asObj?.mileage ? Number(String(asObj.mileage).replace(/[$,]/g, "")) : null,
+      assumed: base.assumed.filter(
+        (field) => !(field === "segment" ? formSegment || refined?.source === "model" : asObj?.trimTier)
+      ),
+    };
 
-      return { vehicleProfile: merged };
-    } catch (err) {
-      console.error("❌ VIN decode failed:", err);
-      return { error: "VIN decoding service unavailable", vehicleProfile: null };
-    }
+    return { vehicleProfile: merged };
   }
 
   // Pure dropdown flow requires Y/M/M
   if (!hasYMM) {
+    if (vin) return { error: invalidVinError(validateVin(vin)), vehicleProfile: null };
     return { error: "Insufficient vehicle data", vehicleProfile: null };
   }
 
   const normalizedTrim = normalizeTrimTier(asObj?.trimTier);
   const vehicleClass = resolveVehicleClass(make, model, asObj?.trimTier);
+  const formSegment = normalizeSegment(asObj?.segment);
+  const inferred = formSegment ? null : inferSegment({ make, model, vehicleClass });
 
   return {
     vehicleProfile: {
       year: Number(year),
       make,
       model,
-      segment: asObj?.segment ? String(asObj.segment).trim() : "general",
+      segment: formSegment || inferred.segment,
+      segmentSource: formSegment ? "form" : inferred.source,
       trimTier: normalizedTrim,
+      trim: asObj?.trim ? String(asObj.trim).trim() : null,
+      // Orders placed with the old "Hybrid / EV" segment option
+      powertrain: asObj?.powertrain
+        ? String(asObj.powertrain).trim().toLowerCase()
+        : String(asObj?.segment || "").trim().toLowerCase() === "hybrid"
+        ? "electrified"
+        : null,
       vehicleClass,
       vin: hasVin ? vin : null,
       mileage: asObj?.mileage ? Number(String(asObj.mileage).replace(/[$,]/g, "")) : null,
+      assumed: [
+        formSegment || inferred.source !== "default" ? null : "segment",
+        asObj?.trimTier || asObj?.trim ? null : "trimTier",
+      ].filter(Boolean),
     },
   };
 }
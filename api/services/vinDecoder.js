@@ -0,0 +1,120 @@
+// api/services/vinDecoder.js
+/**
+ * Offline VIN Decoder (NIC_v2)
+ * ---------------------------------------
+ * Purpose:
+ * - Validate a VIN locally (format + position-9 check digit) before any
+ *   NHTSA call, so a mistyped VIN is rejected instead of decoding to the
+ *   wrong vehicle
+ * - Decode the WMI (manufacturer, country) and the position-10 model year
+ * - Fallback make / year when the NHTSA service is unavailable
+ */
+
+const { VinDecodeTables = {} } = require("../staticData");
+
+// ----------------------------
+// Check digit (49 CFR 565)
+// ----------------------------
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 codes in order; the cycle repeats every 30 years from 1980
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+function normalizeVin(raw) {
+  return String(raw ?? "").trim().toUpperCase();
+}
+
+function isValidVinFormat(vin) {
+  return /^[A-HJ-NPR-Z0-9]{17}$/.test(normalizeVin(vin));
+}
+
+function expectedCheckDigit(vin) {
+  const v = normalizeVin(vin);
+  const sum = [...v].reduce((acc, ch, i) => {
+    const value = /\d/.test(ch) ? Number(ch) : TRANSLITERATION[ch] || 0;
+    return acc + value * POSITION_WEIGHTS[i];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+}
+
+// { valid, vin, reason: null | "format" | "check-digit", expectedCheckDigit }
+function validateVin(raw) {
+  const vin = normalizeVin(raw);
+  if (!isValidVinFormat(vin)) {
+    return { valid: false, vin, reason: "format", expectedCheckDigit: null };
+  }
+
+  const expected = expectedCheckDigit(vin);
+  return {
+    valid: vin[8] === expected,
+    vin,
+    reason: vin[8] === expected ? null : "check-digit",
+    expectedCheckDigit: expected,
+  };
+}
+
+// ----------------------------
+// WMI + model year
+// ----------------------------
+function countryFromVin(vin) {
+  const prefix = vin.slice(0, 2);
+  const range = (VinDecodeTables.countryRanges || []).find(
+    ([from, to]) => prefix >= from && prefix <= to
+  );
+  if (range) return range[2];
+  return (VinDecodeTables.countries || {})[vin[0]] || null;
+}
+
+// North American light vehicles from 2010 on use a letter in position 7 to
+// mark the second 30-year cycle; otherwise take the latest year that isn't
+// more than a model year ahead of the reference date
+function decodeModelYear(vin, now = new Date()) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const first = 1980 + index;
+  const second = first + 30;
+  const maxYear = now.getUTCFullYear() + 1;
+
+  if (/[A-Z]/.test(vin[6]) && second <= maxYear) return second;
+  if (/\d/.test(vin[6]) && /^[1-5]/.test(vin[0])) return first;
+  return second <= maxYear ? second : first;
+}
+
+/**
+ * decodeVinLocally("1HGCM82633A004352")
+ * → { vin, valid, reason, wmi, make, manufacturer, country, modelYear }
+ * Returns null when the VIN isn't even 17 valid characters.
+ */
+function decodeVinLocally(raw, now = new Date()) {
+  const check = validateVin(raw);
+  if (check.reason === "format") return null;
+
+  const vin = check.vin;
+  const wmi = vin.slice(0, 3);
+  const entry = (VinDecodeTables.wmi || {})[wmi] || null;
+
+  return {
+    vin,
+    valid: check.valid,
+    reason: check.reason,
+    wmi,
+    make: entry?.make || null,
+    manufacturer: entry?.manufacturer || null,
+    country: countryFromVin(vin),
+    modelYear: decodeModelYear(vin, now),
+  };
+}
+
+module.exports = {
+  normalizeVin,
+  isValidVinFormat,
+  validateVin,
+  decodeVinLocally,
+};
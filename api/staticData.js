@@ -5,7 +5,6 @@
  * The following exports are intentionally inactive in MVP:
  * - DefaultExpectedFeatures
  * - BodyStyleNegotiationProfiles
- * - DealerProfiles
  *
  * They are preserved for future versions and must not be referenced
  * by PIC_v1 logic or report generation.
@@ -14,8 +13,8 @@
 
 /**
  * Static reference data for CarSaavy (NIC_v2).
-    Numeric valuation tables are legacy and not used in MVP.
-
+ * Numeric valuation tables (DepreciationCurves, MileageAdjustment,
+ * trimAdjustment) feed the fair-value band in mvpEngine.js.
  *
  * This is intentionally small and focused on popular models.
  * You can expand this file over time without changing any logic.
@@ -24,8 +23,9 @@
 // ----------------------------------------
 // 1) BaseVehicleSpecs
 //    - Trim adjustment multipliers
-//    - Expected features (for future use)
+//    - Expected features (trim verification checklist in the report)
 //    - Body style + segment
+//    - msrp: approximate new price (trade-in estimates)
 // ----------------------------------------
 const DefaultExpectedFeatures = [
     "Backup Camera",
@@ -40,6 +40,7 @@ const BaseVehicleSpecs = {
     "Toyota Camry": {
       bodyStyle: "sedan",
       segment: "economy",
+      msrp: 27000,
       trims: {
         LE: {
           expectedFeatures: ["Backup Camera", "Bluetooth"],
@@ -63,6 +64,7 @@ const BaseVehicleSpecs = {
     "Honda Accord": {
       bodyStyle: "sedan",
       segment: "economy",
+      msrp: 28000,
       trims: {
         LX: {
           expectedFeatures: ["Backup Camera", "Bluetooth"],
@@ -82,6 +84,7 @@ const BaseVehicleSpecs = {
     "Honda Civic": {
       bodyStyle: "sedan",
       segment: "economy",
+      msrp: 24000,
       trims: {
         LX: {
           expectedFeatures: ["Backup Camera", "Bluetooth"],
@@ -101,6 +104,7 @@ const BaseVehicleSpecs = {
     "Toyota RAV4": {
       bodyStyle: "suv",
       segment: "economy",
+      msrp: 30000,
       trims: {
         LE: {
           expectedFeatures: ["Backup Camera", "AWD (optional)"],
@@ -116,6 +120,7 @@ const BaseVehicleSpecs = {
     "Honda CR-V": {
       bodyStyle: "suv",
       segment: "economy",
+      msrp: 31000,
       trims: {
         LX: {
           expectedFeatures: ["Backup Camera"],
@@ -131,6 +136,7 @@ const BaseVehicleSpecs = {
     "Ford F-150": {
       bodyStyle: "truck",
       segment: "truck",
+      msrp: 45000,
       trims: {
         XL: {
           expectedFeatures: ["Basic Work Truck Features"],
@@ -150,6 +156,7 @@ const BaseVehicleSpecs = {
     "Jeep Wrangler": {
       bodyStyle: "suv",
       segment: "offroad",
+      msrp: 36000,
       trims: {
         Sport: {
           expectedFeatures: ["4x4", "Removable Top"],
@@ -169,6 +176,7 @@ const BaseVehicleSpecs = {
     "BMW 3 Series": {
       bodyStyle: "sedan",
       segment: "luxury",
+      msrp: 44000,
       trims: {
         "330i": {
           expectedFeatures: ["Leather", "Premium Audio"],
@@ -182,6 +190,11 @@ const BaseVehicleSpecs = {
     },
   };
   
+  // Per-model segment overrides ("MAKE MODEL" → segment from SegmentProfiles).
+  // Wins over segment inference from the VIN decode. A key also covers longer
+  // model names that start with it as whole words ("FORD MUSTANG GT"); a
+  // trailing "*" marks a model family matched on any continuation ("AUDI RS*"
+  // covers RS5, RS 7, ...).
   const ModelSegmentMap = {
     // PERFORMANCE
     "PORSCHE 718 BOXSTER": "performance",
@@ -190,7 +203,7 @@ const BaseVehicleSpecs = {
     "CHEVROLET CORVETTE": "performance",
     "BMW M3": "performance",
     "BMW M4": "performance",
-    "AUDI RS": "performance",
+    "AUDI RS*": "performance",
     "DODGE CHALLENGER": "performance",
     // ECONOMY
     "TOYOTA CAMRY": "economy",
@@ -203,6 +216,13 @@ const BaseVehicleSpecs = {
     "TOYOTA RAV4": "suv",
     "NISSAN ROGUE": "suv",
     "FORD EXPLORER": "suv",
+    "JEEP WRANGLER": "suv",
+    "FORD BRONCO": "suv",
+    "FORD MUSTANG MACH-E": "suv",
+    // VAN
+    "HONDA ODYSSEY": "van",
+    "TOYOTA SIENNA": "van",
+    "CHRYSLER PACIFICA": "van",
     // TRUCK
     "FORD F-150": "truck",
     "CHEVROLET SILVERADO": "truck",
@@ -210,6 +230,7 @@ const BaseVehicleSpecs = {
 
     // LUXURY
     "BMW 3 SERIES": "luxury",
+    "BMW M340I": "luxury",
     "BMW X5": "luxury",
     "MERCEDES-BENZ C-CLASS": "luxury",
     "AUDI A4": "luxury",
@@ -288,21 +309,54 @@ const BaseVehicleSpecs = {
   
   // ----------------------------------------
   // 5) KnownIssueFlags
+  //    - One record per issue; years are inclusive
+  //    - filter.engine / filter.trims narrow the match when known
+  //    - severity: "high" | "moderate" | "low"
   // ----------------------------------------
-  const KnownIssueFlags = {
-    "Honda Accord": [
-      "Some turbocharged 1.5L engines (2018–2020) have reported fuel dilution concerns; regular oil changes and monitoring are important.",
-    ],
-    "Ford Focus": [
-      "Earlier model years with Powershift automatic transmissions have widely reported reliability issues and may require costly repairs.",
-    ],
-    "Jeep Wrangler": [
-      "Historically, Wranglers can have higher-than-average wind noise, ride firmness, and potential for rust on underbody components if used off-road.",
-    ],
-    "BMW 3 Series": [
-      "Some turbocharged engines are known for carbon buildup on intake valves and higher-than-average maintenance costs.",
-    ],
-  };
+  const KnownIssueFlags = [
+    {
+      make: "Honda",
+      model: "Accord",
+      years: { from: 2018, to: 2020 },
+      filter: { engine: "1.5L" },
+      severity: "moderate",
+      summary:
+        "Some turbocharged 1.5L engines have reported fuel dilution concerns; regular oil changes and monitoring are important.",
+      inspectionHint:
+        "Check the oil level and smell for fuel; ask for oil-change records at or under 5,000-mile intervals.",
+    },
+    {
+      make: "Ford",
+      model: "Focus",
+      years: { from: 2012, to: 2016 },
+      severity: "high",
+      summary:
+        "Powershift automatic transmissions have widely reported reliability issues and may require costly repairs.",
+      inspectionHint:
+        "Test-drive for shudder or hesitation from a stop; ask whether the transmission clutch or control module has been replaced.",
+    },
+    {
+      make: "Jeep",
+      model: "Wrangler",
+      years: { from: 2007, to: 2018 },
+      severity: "low",
+      summary:
+        "Wranglers can have higher-than-average wind noise, ride firmness, and potential for rust on underbody components if used off-road.",
+      inspectionHint:
+        "Inspect the frame, skid plates and underbody for rust or off-road damage.",
+    },
+    {
+      make: "BMW",
+      model: "3 Series",
+      years: { from: 2012, to: 2018 },
+      filter: { trims: ["328i", "335i", "330i", "340i"] },
+      severity: "moderate",
+      summary:
+        "Some turbocharged engines are known for carbon buildup on intake valves and higher-than-average maintenance costs.",
+      inspectionHint:
+        "Ask whether intake valves have been cleaned; check for rough idle, misfire codes and oil leaks at the valve cover and oil filter housing.",
+    },
+  ];
   
   // ----------------------------------------
   // 6) BodyStyleNegotiationProfiles
@@ -369,6 +423,995 @@ const BaseVehicleSpecs = {
     "auto sales": { type: "independent", notes: ["Independent dealership; good negotiation leverage."], leverageFactor: 1.2 },
   };
   
+  // ----------------------------------------
+  // 7) StateFeeRules
+  //    - salesTaxRate: state base rate (local add-ons not included)
+  //    - registration: rough first-year title + registration estimate
+  //    - docFeeCap: statutory cap where one exists, else null
+  //    Caps and rates change yearly; treat as estimates.
+  // ----------------------------------------
+  const StateFeeRules = {
+    default: { salesTaxRate: 0.06, registration: 250, docFeeCap: null, docFeeTypical: 400 },
+    AZ: { salesTaxRate: 0.056, registration: 300, docFeeCap: null, docFeeTypical: 500 },
+    CA: { salesTaxRate: 0.0725, registration: 450, docFeeCap: 85, docFeeTypical: 85 },
+    CO: { salesTaxRate: 0.029, registration: 400, docFeeCap: null, docFeeTypical: 600 },
+    FL: { salesTaxRate: 0.06, registration: 400, docFeeCap: null, docFeeTypical: 900 },
+    GA: { salesTaxRate: 0.07, registration: 50, docFeeCap: null, docFeeTypical: 700 },
+    IL: { salesTaxRate: 0.0625, registration: 300, docFeeCap: 358, docFeeTypical: 358 },
+    MA: { salesTaxRate: 0.0625, registration: 210, docFeeCap: null, docFeeTypical: 450 },
+    MI: { salesTaxRate: 0.06, registration: 250, docFeeCap: 280, docFeeTypical: 280 },
+    MN: { salesTaxRate: 0.065, registration: 300, docFeeCap: 200, docFeeTypical: 200 },
+    NC: { salesTaxRate: 0.03, registration: 150, docFeeCap: null, docFeeTypical: 650 },
+    NJ: { salesTaxRate: 0.06625, registration: 200, docFeeCap: null, docFeeTypical: 600 },
+    NY: { salesTaxRate: 0.04, registration: 250, docFeeCap: 175, docFeeTypical: 175 },
+    OH: { salesTaxRate: 0.0575, registration: 100, docFeeCap: 387, docFeeTypical: 387 },
+    PA: { salesTaxRate: 0.06, registration: 200, docFeeCap: 477, docFeeTypical: 477 },
+    TX: { salesTaxRate: 0.0625, registration: 150, docFeeCap: null, docFeeTypical: 225 },
+    VA: { salesTaxRate: 0.0415, registration: 100, docFeeCap: null, docFeeTypical: 900 },
+    WA: { salesTaxRate: 0.068, registration: 400, docFeeCap: 200, docFeeTypical: 200 },
+  };
+
+  // ----------------------------------------
+  // 8) DealerAddOnNorms
+  //    - typicalMax: the most a buyer should reasonably pay (0 = decline)
+  // ----------------------------------------
+  const DealerAddOnNorms = {
+    etching: {
+      label: "VIN etching",
+      typicalMax: 50,
+      script:
+        "VIN etching is a $20 DIY kit and rarely lowers insurance meaningfully — please remove it or bring it down to cost.",
+    },
+    nitrogen: {
+      label: "Nitrogen tire fill",
+      typicalMax: 0,
+      script:
+        "Air is already 78% nitrogen and I didn’t request this — I’m not paying for it, so please take it off the order.",
+    },
+    paint_protection: {
+      label: "Paint / fabric protection",
+      typicalMax: 300,
+      script:
+        "I can have a professional ceramic or sealant applied for far less — remove the protection package or reduce it to what it actually cost you.",
+    },
+    market_adjustment: {
+      label: "Market adjustment",
+      typicalMax: 0,
+      reason: "Pure dealer markup above the advertised price.",
+      script:
+        "A market adjustment is just added profit on top of the listed price. I’m negotiating from the advertised price, not above it.",
+    },
+  };
+
+  // ----------------------------------------
+  // 9) TradeInBaselines
+  //    - Approximate new price by segment; used with DepreciationCurves
+  //      when a model-specific msrp isn't known
+  //    - conditionFactor scales the estimate by reported condition
+  // ----------------------------------------
+  const TradeInBaselines = {
+    newPriceBySegment: {
+      economy: 26000,
+      suv: 34000,
+      truck: 48000,
+      van: 42000,
+      luxury: 52000,
+      performance: 45000,
+      exotic: 250000,
+      general: 32000,
+    },
+    conditionFactor: {
+      excellent: 1.05,
+      good: 1.0,
+      fair: 0.9,
+      poor: 0.75,
+    },
+    // Dealers pay wholesale: roughly this share of retail value
+    wholesaleRange: { low: 0.78, high: 0.9 },
+  };
+
+  // ----------------------------------------
+  // 10) LeaseDefaults
+  //    - Typical contract terms when the buyer doesn't have them handy
+  // ----------------------------------------
+  const LeaseDefaults = {
+    excessMileRate: 0.25, // $ per mile over allowance
+    dispositionFee: 395, // charged when the car is returned
+    purchaseOptionFee: 350,
+    // Payoff quotes this far above residual + option fee suggest added fees
+    markupTolerance: 300,
+  };
+
+  // ----------------------------------------
+  // 11) BatteryWarranties
+  //    - High-voltage battery coverage from original in-service date
+  //    - hybridYears/hybridMiles when hybrid coverage differs from EV
+  // ----------------------------------------
+  const BatteryWarranties = {
+    default: { years: 8, miles: 100000 },
+    HYUNDAI: { years: 10, miles: 100000, note: "10-year term applies to the original owner; later owners may get less." },
+    KIA: { years: 10, miles: 100000, note: "10-year term applies to the original owner; later owners may get less." },
+    TESLA: { years: 8, miles: 120000, note: "Mileage cap varies by model (100k–150k)." },
+    TOYOTA: { years: 8, miles: 100000, hybridYears: 10, hybridMiles: 150000, hybridFromYear: 2020 },
+    LEXUS: { years: 8, miles: 100000, hybridYears: 10, hybridMiles: 150000, hybridFromYear: 2020 },
+    CHEVROLET: { years: 8, miles: 100000 },
+    FORD: { years: 8, miles: 100000 },
+    NISSAN: { years: 8, miles: 100000 },
+  };
+
+  // ----------------------------------------
+  // 12) UsedEvTaxCredit (IRC 25E)
+  //    - Applies to BEVs and qualifying PHEVs bought from a dealer
+  //    - Income limits also apply; see irs.gov
+  // ----------------------------------------
+  const UsedEvTaxCredit = {
+    maxCredit: 4000,
+    creditRate: 0.3,
+    priceCap: 25000,
+    minAgeYears: 2,
+    eligiblePowertrains: ["ev", "phev"],
+    // Credit is not available for vehicles acquired after this date
+    availableThrough: "2025-09-30",
+  };
+
+  // ----------------------------------------
+  // 13) PurchasePurposeProfiles
+  //    - Keys match the purchasePurpose values used by both intake forms
+  //    - urgency: "high" adds timeline-pressure defenses
+  //    - discretionary: enables the "not a necessity" walk-away
+  //    - Purpose-specific stance, scripts, and pushback live in the
+  //      negotiation rule pack (api/rules)
+  // ----------------------------------------
+  const PurchasePurposeProfiles = {
+    commuter: { label: "Daily commute", urgency: "normal", discretionary: false },
+    replacement: { label: "Replacement vehicle", urgency: "high", discretionary: false },
+    first_time: { label: "First-time buyer", urgency: "normal", discretionary: false },
+    family_utility: { label: "Family / utility", urgency: "normal", discretionary: false },
+    fun_weekend: { label: "Fun / weekend", urgency: "low", discretionary: true },
+    performance: { label: "Performance", urgency: "low", discretionary: true },
+    ev_transition: { label: "EV transition", urgency: "normal", discretionary: false },
+    business: { label: "Business use", urgency: "normal", discretionary: false },
+    lease_buyout: { label: "Lease buyout", urgency: "normal", discretionary: false },
+  };
+
+  // ----------------------------------------
+  // 14) AnalysisInputWeights
+  //    - points: share of the confidence score (weights sum to 100)
+  //    - sharpens: what the input unlocks, shown as coaching when missing
+  // ----------------------------------------
+  const AnalysisInputWeights = {
+    vehicle: {
+      label: "Year, make, and model",
+      points: 10,
+      sharpens:
+        "Anchors depreciation, reliability, and known-issue lookups to the right vehicle.",
+    },
+    askingPrice: {
+      label: "Seller's asking price",
+      points: 25,
+      sharpens:
+        "Unlocks the offer band (opening, target, walk-away), anchored negotiation zones, and the out-the-door estimate.",
+    },
+    mileage: {
+      label: "Odometer mileage",
+      points: 20,
+      sharpens:
+        "Sets the mileage tier, adjusts the offer band for wear, and tailors inspection and high-mileage scripts.",
+    },
+    segment: {
+      label: "Vehicle segment",
+      points: 10,
+      sharpens:
+        "Replaces generic guidance with segment-specific depreciation leverage, dealer narratives, and pushback responses.",
+    },
+    vin: {
+      label: "VIN",
+      points: 10,
+      sharpens:
+        "Confirms the exact vehicle and decodes trim, engine, and powertrain for known-issue and EV checks.",
+    },
+    trim: {
+      label: "Trim level",
+      points: 10,
+      sharpens:
+        "Sets trim negotiability and the trim adjustment in the offer band instead of assuming a mid-tier trim.",
+    },
+    seller: {
+      label: "Seller type, name, or listing link",
+      points: 5,
+      sharpens:
+        "Identifies the seller type (private party, franchise, independent, no-haggle) and adjusts stance and pushback responses.",
+    },
+    buyerState: {
+      label: "Your state or ZIP code",
+      points: 5,
+      sharpens:
+        "Uses your state's sales tax, registration, and doc-fee rules instead of national averages, and applies regional market factors (rust, seasonal demand).",
+    },
+    purchasePurpose: {
+      label: "Purpose of purchase",
+      points: 5,
+      sharpens:
+        "Personalizes stance and scripts to your timeline and whether the purchase is a need or a want.",
+    },
+  };
+  // ----------------------------------------
+  // 15) VehicleHistoryRules
+  //    - titleBrands: valueImpactPct = typical discount vs a clean title;
+  //      also raises the offer band's ceiling for branded vehicles
+  //    - accidentSeverity / usage: concessionPct added to the target discount
+  //    - extraAccidentPct: added per reported accident beyond the first
+  //    - owners: concessionPct per owner beyond `above`, capped at `maxPct`
+  // ----------------------------------------
+  const VehicleHistoryRules = {
+    titleBrands: {
+      salvage: {
+        label: "Salvage",
+        valueImpactPct: 0.35,
+        warning:
+          "A salvage title means an insurer declared this vehicle a total loss. Many lenders will not finance it and many insurers limit coverage to liability only.",
+        inspectionHint: "Frame / unibody measurement and structural repair quality",
+      },
+      rebuilt: {
+        label: "Rebuilt / Reconstructed",
+        valueImpactPct: 0.25,
+        warning:
+          "A rebuilt title means this vehicle was totaled and repaired. Resale value is permanently reduced, and some lenders and insurers will decline it.",
+        inspectionHint: "Airbag system, frame alignment, and the state rebuild inspection certificate",
+      },
+      flood: {
+        label: "Flood",
+        valueImpactPct: 0.4,
+        warning:
+          "Flood damage causes electrical and corrosion failures that can surface months after purchase. Most buyers should walk away.",
+        inspectionHint: "Corrosion under carpets and seat rails, wiring connectors, and musty odors",
+      },
+      lemon: {
+        label: "Lemon / Manufacturer buyback",
+        valueImpactPct: 0.2,
+        warning:
+          "A buyback title means the manufacturer repurchased this vehicle for a recurring defect. Confirm exactly what the defect was and that it was fixed.",
+        inspectionHint: "Documentation of the buyback defect and the final repair",
+      },
+    },
+    accidentSeverity: {
+      minor: { label: "Minor", concessionPct: 0.03 },
+      moderate: { label: "Moderate", concessionPct: 0.06 },
+      severe: { label: "Severe / structural", concessionPct: 0.1 },
+    },
+    extraAccidentPct: 0.02,
+    usage: {
+      rental: {
+        label: "Rental",
+        concessionPct: 0.04,
+        inspectionHint: "Interior wear, curb damage, and brake/tire condition typical of rental use",
+      },
+      fleet: {
+        label: "Fleet / corporate",
+        concessionPct: 0.03,
+        inspectionHint: "Fleet maintenance records and high-idle wear",
+      },
+      commercial: {
+        label: "Commercial / rideshare",
+        concessionPct: 0.06,
+        inspectionHint: "Seat and steering wear, suspension, and drivetrain wear from high daily use",
+      },
+    },
+    owners: { above: 2, concessionPct: 0.01, maxPct: 0.03 },
+  };
+  // ----------------------------------------
+  // 16) InspectionFindingRules
+  //    - severity.quoteShare: share of the repair quote to ask for
+  //      (sellers repair below retail, so smaller items ask for less)
+  //    - severity.defaultEstimate: used when no repair quote was given
+  //    - severity.walkAway: finding alone justifies walking away if refused
+  //    - walkAwayAdjustmentPct: total adjustment (share of asking price)
+  //      above which the car is no longer a good buy at any discount
+  // ----------------------------------------
+  const InspectionFindingRules = {
+    severity: {
+      safety: {
+        label: "Safety",
+        quoteShare: 1,
+        defaultEstimate: 800,
+        walkAway: true,
+        ask: "the repair done before purchase, or the full repair cost off the price",
+      },
+      major: {
+        label: "Major",
+        quoteShare: 1,
+        defaultEstimate: 1500,
+        walkAway: false,
+        ask: "the full repair cost off the price",
+      },
+      moderate: {
+        label: "Moderate",
+        quoteShare: 0.85,
+        defaultEstimate: 500,
+        walkAway: false,
+        ask: "most of the repair cost off the price",
+      },
+      minor: {
+        label: "Minor",
+        quoteShare: 0.6,
+        defaultEstimate: 200,
+        walkAway: false,
+        ask: "a partial credit toward the repair",
+      },
+      cosmetic: {
+        label: "Cosmetic",
+        quoteShare: 0.4,
+        defaultEstimate: 250,
+        walkAway: false,
+        ask: "a small credit, or use it as a closing concession",
+      },
+    },
+    maxFindings: 12,
+    walkAwayAdjustmentPct: 0.25,
+  };
+
+  // ----------------------------------------
+  // 17) SegmentProfiles
+  //    - The segment vocabulary: every path (VIN decode, dropdown,
+  //      ModelSegmentMap, BaseVehicleSpecs) resolves to one of these keys
+  //    - dealerNarrative is also a rule-pack fact (api/rules)
+  //    - SegmentAliases maps legacy / form values onto the vocabulary
+  // ----------------------------------------
+  const SegmentProfiles = {
+    economy: {
+      label: "Economy / Sedan",
+      category: "practical",
+      demandVolatility: "low",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "high-competition pricing",
+      leverageAngles: ["cross-shopping", "timing", "fees"],
+    },
+    suv: {
+      label: "SUV / Crossover",
+      category: "practical",
+      demandVolatility: "low",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "family-demand pricing",
+      leverageAngles: ["condition", "mileage", "cross-shopping"],
+    },
+    truck: {
+      label: "Pickup Truck",
+      category: "practical",
+      demandVolatility: "medium",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "utility-demand pricing",
+      leverageAngles: ["usage history", "inspection risk", "cross-shopping"],
+    },
+    van: {
+      label: "Minivan / Van",
+      category: "practical",
+      demandVolatility: "low",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "family-demand pricing",
+      leverageAngles: ["condition", "mileage", "timing"],
+    },
+    performance: {
+      label: "Performance / Sports",
+      category: "discretionary",
+      demandVolatility: "high",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "emotion-driven pricing",
+      leverageAngles: ["timing", "inspection risk", "cross-shopping"],
+    },
+    luxury: {
+      label: "Luxury",
+      category: "discretionary",
+      demandVolatility: "medium",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "condition-sensitive pricing",
+      leverageAngles: ["inspection risk", "ownership cost framing", "timing"],
+    },
+    exotic: {
+      label: "Exotic / Supercar",
+      category: "discretionary",
+      demandVolatility: "high",
+      sellerFlexibility: "low",
+      dealerNarrative: "scarcity-driven pricing",
+      leverageAngles: ["inspection risk", "service records", "timing"],
+    },
+    general: {
+      label: "General",
+      category: "general",
+      demandVolatility: "medium",
+      sellerFlexibility: "moderate",
+      dealerNarrative: "standard retail pricing",
+      leverageAngles: ["inspection risk", "cross-shopping", "timing"],
+    },
+  };
+
+  const SegmentAliases = {
+    sedan: "economy",
+    compact: "economy",
+    car: "economy",
+    crossover: "suv",
+    offroad: "suv",
+    pickup: "truck",
+    minivan: "van",
+    sports: "performance",
+    supercar: "exotic",
+    standard: "general",
+    // "Hybrid / EV" was a segment option before powertrain had its own field
+    hybrid: "general",
+  };
+
+  // ----------------------------------------
+  // 18) RegionalMarketRules
+  //    - Evaluated against the buyer's state (from buyerState, or from the
+  //      ZIP via ZipPrefixStates); every matching rule applies
+  //    - appliesTo: segments / awd (AWD or 4x4 by decode, or suv/truck) /
+  //      convertible; omitted = every vehicle
+  //    - months: 1–12, omitted = year-round
+  //    - demandVolatility overrides segmentProfile.demandVolatility (the
+  //      last matching rule wins, so seasonal rules are listed last)
+  //    - ZipPrefixStates: [low, high, state] by 3-digit ZIP prefix
+  //      (approximate; a handful of prefixes straddle state lines)
+  // ----------------------------------------
+  const SALT_BELT_STATES = [
+    "CT", "DC", "DE", "IA", "IL", "IN", "KY", "MA", "MD", "ME", "MI", "MN",
+    "MO", "NH", "NJ", "NY", "OH", "PA", "RI", "VT", "WI", "WV",
+  ];
+  const SNOW_STATES = [...SALT_BELT_STATES, "AK", "CO", "ID", "MT", "ND", "NE", "SD", "UT", "WY"];
+
+  const RegionalMarketRules = [
+    {
+      id: "region.salt-belt",
+      label: "Salt-belt corrosion risk",
+      states: SALT_BELT_STATES,
+      inspectionFocus: [
+        "Underbody corrosion: frame rails, subframe mounts, rocker panels",
+        "Brake and fuel lines, exhaust hangers, and suspension bolts",
+      ],
+      note: "Road salt accelerates rust; corrosion found on inspection is a concrete, priceable concession.",
+    },
+    {
+      id: "region.rural-truck-market",
+      label: "Strong rural truck market",
+      states: ["AK", "AL", "AR", "IA", "ID", "KS", "KY", "MS", "MT", "ND", "NE", "OK", "SD", "TX", "WV", "WY"],
+      appliesTo: { segments: ["truck"] },
+      demandVolatility: "low",
+      note: "Trucks hold value in this market and sell quickly. Cross-shop dealers in nearby metro areas or neighboring states to widen your options.",
+    },
+    {
+      id: "region.awd-winter-demand",
+      label: "AWD / 4x4 in-season demand",
+      states: SNOW_STATES,
+      appliesTo: { awd: true },
+      months: [10, 11, 12, 1, 2],
+      demandVolatility: "high",
+      timingNote:
+        "AWD and 4x4 demand peaks ahead of and during winter here, so sellers hold firm. If you can wait until spring, leverage improves.",
+    },
+    {
+      id: "region.awd-off-season",
+      label: "AWD / 4x4 off-season",
+      states: SNOW_STATES,
+      appliesTo: { awd: true },
+      months: [4, 5, 6, 7, 8],
+      demandVolatility: "low",
+      timingNote:
+        "Off-season for AWD and 4x4 vehicles here — sellers have no winter demand to lean on, which favors the buyer.",
+    },
+    {
+      id: "region.convertible-off-season",
+      label: "Convertible out of season",
+      states: SNOW_STATES,
+      appliesTo: { convertible: true },
+      months: [11, 12, 1, 2, 3],
+      demandVolatility: "high",
+      timingNote:
+        "Convertibles sit on lots through the cold months here. Out-of-season inventory is one of the easiest timing arguments to make.",
+    },
+    {
+      id: "region.sun-belt",
+      label: "Sun and heat exposure",
+      states: ["AZ", "CA", "FL", "NM", "NV", "TX"],
+      inspectionFocus: [
+        "Heat wear: dashboard cracking, rubber seals, and faded paint or clear coat",
+        "A/C performance and battery health",
+      ],
+    },
+    {
+      id: "region.flood-exposure",
+      label: "Hurricane / flood exposure",
+      states: ["FL", "LA", "TX", "MS", "AL", "SC", "NC"],
+      inspectionFocus: ["Flood signs: silt under carpets, corrosion on seat rails, musty odors"],
+      note: "Flood-damaged vehicles from coastal storms often resurface for sale without a flood title — inspection matters even on a clean history report.",
+    },
+  ];
+
+  const ZipPrefixStates = [
+    [5, 5, "NY"], [10, 27, "MA"], [28, 29, "RI"], [30, 38, "NH"], [39, 49, "ME"],
+    [50, 59, "VT"], [60, 69, "CT"], [70, 89, "NJ"], [100, 149, "NY"], [150, 196, "PA"],
+    [197, 199, "DE"], [200, 200, "DC"], [201, 201, "VA"], [202, 205, "DC"], [206, 219, "MD"],
+    [220, 246, "VA"], [247, 268, "WV"], [270, 289, "NC"], [290, 299, "SC"], [300, 319, "GA"],
+    [320, 349, "FL"], [350, 369, "AL"], [370, 385, "TN"], [386, 397, "MS"], [398, 399, "GA"],
+    [400, 427, "KY"], [430, 459, "OH"], [460, 479, "IN"], [480, 499, "MI"], [500, 528, "IA"],
+    [530, 549, "WI"], [550, 567, "MN"], [569, 569, "DC"], [570, 577, "SD"], [580, 588, "ND"],
+    [590, 599, "MT"], [600, 629, "IL"], [630, 658, "MO"], [660, 679, "KS"], [680, 693, "NE"],
+    [700, 714, "LA"], [716, 729, "AR"], [730, 749, "OK"], [750, 799, "TX"], [800, 816, "CO"],
+    [820, 831, "WY"], [832, 838, "ID"], [840, 847, "UT"], [850, 865, "AZ"], [870, 884, "NM"],
+    [885, 885, "TX"], [889, 898, "NV"], [900, 961, "CA"], [967, 968, "HI"], [970, 979, "OR"],
+    [980, 994, "WA"], [995, 999, "AK"],
+  ];
+
+  // ----------------------------------------
+  // 19) CalendarTimingRules
+  //    - Evaluated against the analysis reference date (input.analysisDate;
+  //      the order date for paid reports), never the wall clock
+  //    - quotaWindows: first match wins, so year-end is listed first;
+  //      lastDays = the final N days of the month
+  //    - modelYear: minAge / maxAge = reference year − model year
+  //    - holidays: fixed { month, day } or { month, weekday (0 = Sunday),
+  //      nth (-1 = last) } plus offsetDays; the window runs daysBefore →
+  //      daysAfter around that date and shares holidayEvent's copy
+  //    - seasonal: appliesTo as in RegionalMarketRules; supersededBy skips a
+  //      window when a regional rule already covers it for the buyer's state
+  //    - skipDealerTypes: seller types whose pricing the window doesn't move
+  //      ("private" = private-party seller)
+  // ----------------------------------------
+  const CalendarTimingRules = {
+    quotaWindows: [
+      {
+        id: "calendar.year-end",
+        label: "Year-end quota close",
+        months: [12],
+        lastDays: 14,
+        skipDealerTypes: ["no-haggle", "private"],
+        favors: "buyer",
+        detail:
+          "Dealers are closing annual sales targets and manufacturer bonuses in the last weeks of December — the strongest quota pressure of the year.",
+        script: "I can sign before the end of the year if we can agree on the number today.",
+      },
+      {
+        id: "calendar.quarter-end",
+        label: "Quarter-end quota close",
+        months: [3, 6, 9],
+        lastDays: 7,
+        skipDealerTypes: ["no-haggle", "private"],
+        favors: "buyer",
+        detail:
+          "Franchise stores chase quarterly manufacturer targets, and one more unit can unlock a bonus worth more than the gross on this car.",
+        script: "I know the quarter closes this week. If the price works, I can finalize before it does.",
+      },
+      {
+        id: "calendar.month-end",
+        label: "Month-end quota close",
+        lastDays: 5,
+        skipDealerTypes: ["no-haggle", "private"],
+        favors: "buyer",
+        detail:
+          "Sales staff and managers are measured on monthly units, so numbers that were off the table mid-month often get approved now.",
+        script: "I’m ready to buy before the end of the month if we can get to my number.",
+      },
+    ],
+
+    modelYear: [
+      {
+        id: "calendar.model-year-changeover",
+        label: "Model-year changeover",
+        months: [8, 9, 10, 11, 12],
+        minAge: 0,
+        maxAge: 0,
+        skipDealerTypes: ["private"],
+        favors: "buyer",
+        detail:
+          "Next year’s models are arriving on lots. This model year is about to become last year’s, and dealers discount to clear it.",
+        script: "With the new model year arriving, I’d expect this one to be priced as outgoing inventory.",
+      },
+      {
+        id: "calendar.new-calendar-year",
+        label: "A model year older since January",
+        months: [1, 2],
+        minAge: 1,
+        maxAge: 3,
+        favors: "buyer",
+        detail:
+          "The calendar year just turned, so this vehicle is a full year older in every pricing guide. Listings priced before January often haven’t caught up.",
+        script: "It’s a year older on paper than when this price was set, and the price should reflect that.",
+      },
+    ],
+
+    holidayEvent: {
+      skipDealerTypes: ["no-haggle", "private"],
+      favors: "buyer",
+      detail:
+        "Holiday sales events bring advertised incentives and extra floor traffic. Treat the advertised promotion as a starting point, not the deal, and get event pricing itemized in writing.",
+      script: "I saw the {event} pricing — please show it itemized on the buyer’s order, before fees.",
+    },
+    holidays: [
+      { id: "holiday.presidents-day", label: "Presidents Day sales event", month: 2, weekday: 1, nth: 3, daysBefore: 4, daysAfter: 1 },
+      { id: "holiday.memorial-day", label: "Memorial Day sales event", month: 5, weekday: 1, nth: -1, daysBefore: 5, daysAfter: 1 },
+      { id: "holiday.july-4", label: "Fourth of July sales event", month: 7, day: 4, daysBefore: 4, daysAfter: 2 },
+      { id: "holiday.labor-day", label: "Labor Day sales event", month: 9, weekday: 1, nth: 1, daysBefore: 4, daysAfter: 1 },
+      { id: "holiday.black-friday", label: "Black Friday sales event", month: 11, weekday: 4, nth: 4, offsetDays: 1, daysBefore: 1, daysAfter: 3 },
+    ],
+
+    seasonal: [
+      {
+        id: "season.convertible-off-season",
+        label: "Convertible off-season",
+        appliesTo: { convertible: true },
+        months: [10, 11, 12, 1, 2],
+        supersededBy: ["region.convertible-off-season"],
+        favors: "buyer",
+        detail: "Convertible shoppers thin out in the colder months, and top-down inventory sits longer.",
+        script: "This isn’t convertible season, and I’d expect the price to reflect how long these sit right now.",
+      },
+      {
+        id: "season.convertible-spring",
+        label: "Convertible peak season",
+        appliesTo: { convertible: true },
+        months: [3, 4, 5, 6],
+        favors: "seller",
+        detail:
+          "Convertible demand peaks in spring and early summer. Expect firmer pricing, and lean on condition and comparable listings rather than timing.",
+        script: null,
+      },
+      {
+        id: "season.tax-refund",
+        label: "Tax-refund season",
+        appliesTo: { segments: ["economy", "general"] },
+        months: [2, 3, 4],
+        favors: "seller",
+        detail:
+          "Tax-refund season is the busiest stretch for affordable used cars. Expect less flexibility, and move quickly when a well-priced car checks out.",
+        script: null,
+      },
+      {
+        id: "season.summer-family",
+        label: "Summer family-vehicle demand",
+        appliesTo: { segments: ["suv", "van"] },
+        months: [6, 7, 8],
+        favors: "seller",
+        detail:
+          "Summer travel and back-to-school shopping lift demand for SUVs and minivans. Sellers know it, so lean on condition and cross-shopping rather than timing.",
+        script: null,
+      },
+    ],
+  };
+
+  // ----------------------------------------
+  // 20) PrivatePartyRules
+  //    - Used when the seller type is "private" (marketplace / classified
+  //      sales): no dealer fees, quotas, or F&I office
+  //    - titleChecklist / brandedTitleChecks: verify before any money moves
+  //    - underMarketRedFlagPct: an asking price this far below the engine's
+  //      market estimate is flagged as a likely scam
+  // ----------------------------------------
+  const PrivatePartyRules = {
+    titleChecklist: [
+      "The title is in the seller’s name and matches their photo ID",
+      "The VIN on the title matches the dashboard plate and the driver’s door sticker",
+      "The title is the original (not a copy) with no alterations or whited-out fields",
+      "No lienholder is listed — or the seller has a lien release letter from the lender",
+      "If a loan is still open, close the sale at the lender’s branch so the payoff and title release happen together",
+      "The odometer reading on the title is consistent with the dashboard and service records",
+      "Check your state DMV for what it needs: signed title, bill of sale, smog or safety certificate",
+    ],
+    brandedTitleChecks: [
+      "Confirm the brand on the title matches what the seller told you",
+      "Ask for the rebuild or repair documentation and the state re-inspection certificate",
+    ],
+    redFlags: [
+      "The seller is “out of town” or deployed and wants the car shipped after payment",
+      "Payment must go through a third-party escrow, shipping, or “buyer protection” service the seller picks",
+      "Requests for a wire transfer, gift cards, crypto, or a deposit before you see the car",
+      "The seller won’t meet in person, won’t allow an inspection, or won’t share the VIN",
+      "The name on the title doesn’t match the seller, or the title is “in the mail”",
+      "Listing photos don’t match the car, or the same car appears in other cities",
+    ],
+    paymentSafety: [
+      "Pay with a cashier’s check from your bank, or meet at your bank and pay there",
+      "Get a signed bill of sale with the price, date, VIN, and both parties’ names",
+      "Don’t hand over payment until you’re holding the signed title",
+    ],
+    meetingLogistics: [
+      "Meet in daylight at a public place — many police stations have a marked safe-exchange zone",
+      "Bring someone with you and confirm the meeting with the seller the same day",
+      "Do the test drive with a valid license and insurance, and arrange the inspection at a shop you choose",
+    ],
+    notes: [
+      "Private sellers have no dealer fees, quotas, or add-ons, and usually more flexibility than a dealer — but no warranty, return policy, or lemon-law backstop.",
+      "You pay tax and registration when you title the car at your DMV.",
+    ],
+    underMarketRedFlagPct: 0.3,
+  };
+
+  // ----------------------------------------
+  // 21) VinDecodeTables
+  //    - Offline VIN decoding (services/vinDecoder.js), run before any
+  //      NHTSA call and used as the fallback when NHTSA is unavailable
+  //    - wmi: first three VIN characters → make; make is null where one
+  //      WMI covers several brands (the manufacturer is still named)
+  //    - countryRanges: [from, to, country] over the first two characters,
+  //      first match wins; countries: first-character fallback
+  // ----------------------------------------
+  const VinDecodeTables = {
+    wmi: {
+      "1C3": { make: null, manufacturer: "FCA US (Chrysler / Dodge)" },
+      "1C4": { make: null, manufacturer: "FCA US (Chrysler / Dodge / Jeep)" },
+      "1C6": { make: "Ram", manufacturer: "FCA US" },
+      "1D7": { make: "Dodge", manufacturer: "Chrysler" },
+      "1FA": { make: "Ford", manufacturer: "Ford Motor Company" },
+      "1FM": { make: "Ford", manufacturer: "Ford Motor Company" },
+      "1FT": { make: "Ford", manufacturer: "Ford Motor Company" },
+      "1FD": { make: "Ford", manufacturer: "Ford Motor Company" },
+      "1G1": { make: "Chevrolet", manufacturer: "General Motors" },
+      "1GC": { make: "Chevrolet", manufacturer: "General Motors" },
+      "1GN": { make: "Chevrolet", manufacturer: "General Motors" },
+      "1G4": { make: "Buick", manufacturer: "General Motors" },
+      "1G6": { make: "Cadillac", manufacturer: "General Motors" },
+      "1GY": { make: "Cadillac", manufacturer: "General Motors" },
+      "1GT": { make: "GMC", manufacturer: "General Motors" },
+      "1GK": { make: "GMC", manufacturer: "General Motors" },
+      "1HG": { make: "Honda", manufacturer: "Honda of America" },
+      "1J4": { make: "Jeep", manufacturer: "Chrysler" },
+      "1J8": { make: "Jeep", manufacturer: "Chrysler" },
+      "1LN": { make: "Lincoln", manufacturer: "Ford Motor Company" },
+      "1N4": { make: "Nissan", manufacturer: "Nissan North America" },
+      "1N6": { make: "Nissan", manufacturer: "Nissan North America" },
+      "1NX": { make: "Toyota", manufacturer: "NUMMI" },
+      "1VW": { make: "Volkswagen", manufacturer: "Volkswagen of America" },
+      "19U": { make: "Acura", manufacturer: "Honda of America" },
+      "19X": { make: "Honda", manufacturer: "Honda of America" },
+      "2C3": { make: null, manufacturer: "FCA Canada (Chrysler / Dodge)" },
+      "2C4": { make: null, manufacturer: "FCA Canada (Chrysler / Dodge)" },
+      "2FA": { make: "Ford", manufacturer: "Ford Motor Company of Canada" },
+      "2FM": { make: "Ford", manufacturer: "Ford Motor Company of Canada" },
+      "2G1": { make: "Chevrolet", manufacturer: "General Motors of Canada" },
+      "2GN": { make: "Chevrolet", manufacturer: "General Motors of Canada" },
+      "2G4": { make: "Buick", manufacturer: "General Motors of Canada" },
+      "2HG": { make: "Honda", manufacturer: "Honda of Canada" },
+      "2HK": { make: "Honda", manufacturer: "Honda of Canada" },
+      "2HJ": { make: "Honda", manufacturer: "Honda of Canada" },
+      "2T1": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Canada" },
+      "2T2": { make: "Lexus", manufacturer: "Toyota Motor Manufacturing Canada" },
+      "2T3": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Canada" },
+      "3C4": { make: null, manufacturer: "FCA Mexico (Chrysler / Dodge / Jeep)" },
+      "3C6": { make: "Ram", manufacturer: "FCA Mexico" },
+      "3FA": { make: "Ford", manufacturer: "Ford Motor Company of Mexico" },
+      "3FM": { make: "Ford", manufacturer: "Ford Motor Company of Mexico" },
+      "3G1": { make: "Chevrolet", manufacturer: "General Motors de Mexico" },
+      "3GN": { make: "Chevrolet", manufacturer: "General Motors de Mexico" },
+      "3GC": { make: "Chevrolet", manufacturer: "General Motors de Mexico" },
+      "3GT": { make: "GMC", manufacturer: "General Motors de Mexico" },
+      "3HG": { make: "Honda", manufacturer: "Honda de Mexico" },
+      "3KP": { make: "Kia", manufacturer: "Kia Mexico" },
+      "3MZ": { make: "Mazda", manufacturer: "Mazda de Mexico" },
+      "3MV": { make: "Mazda", manufacturer: "Mazda de Mexico" },
+      "3N1": { make: "Nissan", manufacturer: "Nissan Mexicana" },
+      "3N6": { make: "Nissan", manufacturer: "Nissan Mexicana" },
+      "3TM": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing de Baja California" },
+      "3VW": { make: "Volkswagen", manufacturer: "Volkswagen de Mexico" },
+      "4JG": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz U.S. International" },
+      "4S3": { make: "Subaru", manufacturer: "Subaru of Indiana" },
+      "4S4": { make: "Subaru", manufacturer: "Subaru of Indiana" },
+      "4T1": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Kentucky" },
+      "4T3": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Kentucky" },
+      "4T4": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Kentucky" },
+      "4US": { make: "BMW", manufacturer: "BMW Manufacturing" },
+      "5FN": { make: "Honda", manufacturer: "Honda Manufacturing of Alabama" },
+      "5J6": { make: "Honda", manufacturer: "Honda of America" },
+      "5J8": { make: "Acura", manufacturer: "Honda of America" },
+      "5LM": { make: "Lincoln", manufacturer: "Ford Motor Company" },
+      "5N1": { make: "Nissan", manufacturer: "Nissan North America" },
+      "5NM": { make: "Hyundai", manufacturer: "Hyundai Motor Manufacturing Alabama" },
+      "5NP": { make: "Hyundai", manufacturer: "Hyundai Motor Manufacturing Alabama" },
+      "5TD": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Indiana" },
+      "5TF": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Texas" },
+      "5UX": { make: "BMW", manufacturer: "BMW Manufacturing" },
+      "5XX": { make: "Kia", manufacturer: "Kia Georgia" },
+      "5XY": { make: "Kia", manufacturer: "Kia Georgia" },
+      "5YF": { make: "Toyota", manufacturer: "Toyota Motor Manufacturing Mississippi" },
+      "5YJ": { make: "Tesla", manufacturer: "Tesla" },
+      "55S": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz U.S. International" },
+      "7SA": { make: "Tesla", manufacturer: "Tesla" },
+      "7FA": { make: "Honda", manufacturer: "Honda of America" },
+      "JA3": { make: "Mitsubishi", manufacturer: "Mitsubishi Motors" },
+      "JA4": { make: "Mitsubishi", manufacturer: "Mitsubishi Motors" },
+      "JF1": { make: "Subaru", manufacturer: "Subaru Corporation" },
+      "JF2": { make: "Subaru", manufacturer: "Subaru Corporation" },
+      "JH4": { make: "Acura", manufacturer: "Honda Motor Co." },
+      "JHM": { make: "Honda", manufacturer: "Honda Motor Co." },
+      "JM1": { make: "Mazda", manufacturer: "Mazda Motor Corporation" },
+      "JM3": { make: "Mazda", manufacturer: "Mazda Motor Corporation" },
+      "JN1": { make: "Nissan", manufacturer: "Nissan Motor Co." },
+      "JN8": { make: "Nissan", manufacturer: "Nissan Motor Co." },
+      "JNK": { make: "Infiniti", manufacturer: "Nissan Motor Co." },
+      "JTD": { make: "Toyota", manufacturer: "Toyota Motor Corporation" },
+      "JTE": { make: "Toyota", manufacturer: "Toyota Motor Corporation" },
+      "JTM": { make: "Toyota", manufacturer: "Toyota Motor Corporation" },
+      "JTN": { make: "Toyota", manufacturer: "Toyota Motor Corporation" },
+      "JTH": { make: "Lexus", manufacturer: "Toyota Motor Corporation" },
+      "JTJ": { make: "Lexus", manufacturer: "Toyota Motor Corporation" },
+      "KL4": { make: "Buick", manufacturer: "GM Korea" },
+      "KL7": { make: "Chevrolet", manufacturer: "GM Korea" },
+      "KM8": { make: "Hyundai", manufacturer: "Hyundai Motor Company" },
+      "KMH": { make: "Hyundai", manufacturer: "Hyundai Motor Company" },
+      "KMT": { make: "Genesis", manufacturer: "Hyundai Motor Company" },
+      "KNA": { make: "Kia", manufacturer: "Kia Corporation" },
+      "KND": { make: "Kia", manufacturer: "Kia Corporation" },
+      "LRW": { make: "Tesla", manufacturer: "Tesla Shanghai" },
+      "LYV": { make: "Volvo", manufacturer: "Volvo Car Asia" },
+      "SAJ": { make: "Jaguar", manufacturer: "Jaguar Land Rover" },
+      "SAL": { make: "Land Rover", manufacturer: "Jaguar Land Rover" },
+      "SBM": { make: "McLaren", manufacturer: "McLaren Automotive" },
+      "SCA": { make: "Rolls-Royce", manufacturer: "Rolls-Royce Motor Cars" },
+      "SCB": { make: "Bentley", manufacturer: "Bentley Motors" },
+      "SCF": { make: "Aston Martin", manufacturer: "Aston Martin Lagonda" },
+      "WA1": { make: "Audi", manufacturer: "Audi AG" },
+      "WAU": { make: "Audi", manufacturer: "Audi AG" },
+      "WBA": { make: "BMW", manufacturer: "BMW AG" },
+      "WBS": { make: "BMW", manufacturer: "BMW M GmbH" },
+      "WBY": { make: "BMW", manufacturer: "BMW AG" },
+      "WDB": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz AG" },
+      "WDC": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz AG" },
+      "WDD": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz AG" },
+      "W1K": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz AG" },
+      "W1N": { make: "Mercedes-Benz", manufacturer: "Mercedes-Benz AG" },
+      "WMW": { make: "MINI", manufacturer: "BMW AG" },
+      "WP0": { make: "Porsche", manufacturer: "Porsche AG" },
+      "WP1": { make: "Porsche", manufacturer: "Porsche AG" },
+      "WVG": { make: "Volkswagen", manufacturer: "Volkswagen AG" },
+      "WVW": { make: "Volkswagen", manufacturer: "Volkswagen AG" },
+      "YV1": { make: "Volvo", manufacturer: "Volvo Cars" },
+      "YV4": { make: "Volvo", manufacturer: "Volvo Cars" },
+      "ZAC": { make: "Jeep", manufacturer: "FCA Italy" },
+      "ZAM": { make: "Maserati", manufacturer: "Maserati" },
+      "ZAR": { make: "Alfa Romeo", manufacturer: "FCA Italy" },
+      "ZFA": { make: "Fiat", manufacturer: "FCA Italy" },
+      "ZFF": { make: "Ferrari", manufacturer: "Ferrari" },
+      "ZHW": { make: "Lamborghini", manufacturer: "Automobili Lamborghini" },
+    },
+    countryRanges: [
+      ["KL", "KR", "South Korea"], ["ML", "MR", "Thailand"], ["SA", "SM", "United Kingdom"],
+      ["SN", "ST", "Germany"], ["VF", "VR", "France"], ["VS", "VW", "Spain"],
+      ["YS", "YW", "Sweden"], ["ZA", "ZR", "Italy"],
+    ],
+    countries: {
+      1: "United States", 4: "United States", 5: "United States", 7: "United States",
+      2: "Canada", 3: "Mexico", 6: "Australia", 9: "Brazil",
+      J: "Japan", L: "China", M: "India", W: "Germany",
+    },
+  };
+
+  // ----------------------------------------
+  // 22) VinMismatchRules
+  //    - Cross-check of the year / make / model / trim the buyer entered
+  //      (usually copied from the listing) against the VIN decode
+  //    - makeAliases: normalized (A–Z / 0–9 only) listing spellings → make
+  //    - fields: per-field severity and copy; {claimed} / {decoded} are
+  //      filled in. Severity order: critical > high > moderate
+  //    - The report is always priced on the VIN decode
+  // ----------------------------------------
+  const VinMismatchRules = {
+    makeAliases: {
+      CHEVY: "CHEVROLET",
+      VW: "VOLKSWAGEN",
+      MERCEDES: "MERCEDESBENZ",
+      BENZ: "MERCEDESBENZ",
+      MB: "MERCEDESBENZ",
+      RANGEROVER: "LANDROVER",
+      MINICOOPER: "MINI",
+    },
+    fields: {
+      make: {
+        label: "Make",
+        severity: "critical",
+        detail: "The listing says {claimed}, but the VIN belongs to a {decoded}. Either the VIN is for a different car or the listing is wrong — both are serious.",
+        script: "The VIN on this car decodes to a {decoded}, not a {claimed}. Before we go any further, can you show me the title and the VIN plate on the dash?",
+      },
+      model: {
+        label: "Model",
+        severity: "critical",
+        detail: "The listing says {claimed}, but the VIN decodes to a {decoded}. Different models have different values, known issues and parts costs.",
+        script: "Your listing says {claimed}, but the VIN comes back as a {decoded}. Which is it? I’ll be pricing it as the {decoded} the VIN says it is.",
+      },
+      year: {
+        label: "Model year",
+        severity: "high",
+        detail: "The listing says {claimed}, but the VIN encodes model year {decoded}. A single model year moves the price, warranty status and recall coverage.",
+        script: "The VIN shows this is a {decoded}, not a {claimed}. I’m basing my offer on the {decoded} model year.",
+      },
+      trim: {
+        label: "Trim",
+        severity: "moderate",
+        detail: "The listing says {claimed}, but the VIN decodes to the {decoded} trim. Trim is one of the most common listing inflations.",
+        script: "The VIN decodes to the {decoded} trim, not the {claimed}. Let’s price it as the {decoded}.",
+      },
+    },
+    walkAway:
+      "A make or model that doesn’t match the VIN can mean a swapped VIN plate, a cloned VIN, or the wrong car in the listing. Walk away unless the title, the dashboard VIN plate and the door-jamb sticker all match each other.",
+    verifySteps: [
+      "Compare the VIN on the dashboard plate, the driver’s door-jamb sticker and the title — all three must match",
+      "Ask the seller which details in the listing are wrong, and get the correction in writing",
+      "Run a vehicle history report on the VIN, not on the listing description",
+    ],
+    unverifiedNote:
+      "We couldn’t decode the VIN, so the listing’s year, make and model are unconfirmed. Check the VIN plate against the title before you negotiate.",
+  };
+
+  // ----------------------------------------
+  // 23) ListingImportRules
+  //    - Pasted listing text / saved listing HTML → prefilled intake
+  //      (services/listingImporter.js); nothing is fetched from the sites
+  //    - sources: matched on the listing URL host or on markers in the page;
+  //      sellerType is a hint for sites that are mostly private sellers
+  //    - confidence: per extraction method (0–1); fields below
+  //      prefillThreshold are returned but not prefilled
+  //    - makes / makeAliases / multiWordModels: used to split a listing
+  //      title into year / make / model / trim; modelMakes are models that
+  //      listings often give without their make
+  // ----------------------------------------
+  const ListingImportRules = {
+    sources: [
+      { id: "cars_com", label: "Cars.com", hosts: ["cars.com"], markers: ["cars.com"] },
+      { id: "autotrader", label: "Autotrader", hosts: ["autotrader.com"], markers: ["autotrader"] },
+      { id: "cargurus", label: "CarGurus", hosts: ["cargurus.com"], markers: ["cargurus"] },
+      { id: "carfax", label: "CARFAX Used Car Listings", hosts: ["carfax.com"], markers: ["carfax.com/vehicle"] },
+      { id: "carmax", label: "CarMax", hosts: ["carmax.com"], markers: ["carmax"] },
+      { id: "carvana", label: "Carvana", hosts: ["carvana.com"], markers: ["carvana"] },
+      { id: "truecar", label: "TrueCar", hosts: ["truecar.com"], markers: ["truecar"] },
+      { id: "edmunds", label: "Edmunds", hosts: ["edmunds.com"], markers: ["edmunds.com/"] },
+      {
+        id: "facebook_marketplace",
+        label: "Facebook Marketplace",
+        hosts: ["facebook.com"],
+        markers: ["marketplace/item", "facebook marketplace"],
+        sellerType: "private",
+      },
+      {
+        id: "craigslist",
+        label: "Craigslist",
+        hosts: ["craigslist.org"],
+        markers: ["craigslist", "cars & trucks - by"],
+        sellerType: "private",
+      },
+    ],
+    confidence: {
+      structured: 0.95, // schema.org JSON-LD
+      embedded: 0.85, // the site's own page-state JSON
+      meta: 0.8, // og: / product: meta tags
+      labelled: 0.8, // "Mileage: 45,000"
+      title: 0.7, // "2019 Honda Accord EX-L" headline
+      relative: 0.6, // "Listed 3 weeks ago"
+      vinDecode: 0.6, // year / make read from the VIN itself
+      sourceHint: 0.55, // seller type implied by the site
+      pattern: 0.5, // a loose "$21,500" or "45k miles" anywhere in the text
+      failedCheckDigit: 0.3,
+    },
+    // Independent methods agreeing on a value raise its confidence;
+    // disagreeing lowers the winner's
+    agreementBonus: 0.05,
+    conflictPenalty: 0.15,
+    prefillThreshold: 0.5,
+    plausible: {
+      askingPrice: [500, 500000],
+      mileage: [0, 999999],
+      daysOnMarket: [0, 730],
+    },
+    makes: [
+      "Acura", "Alfa Romeo", "Aston Martin", "Audi", "Bentley", "BMW", "Buick", "Cadillac",
+      "Chevrolet", "Chrysler", "Dodge", "Ferrari", "Fiat", "Ford", "Genesis", "GMC", "Honda",
+      "Hyundai", "Infiniti", "Jaguar", "Jeep", "Kia", "Lamborghini", "Land Rover", "Lexus",
+      "Lincoln", "Lucid", "Maserati", "Mazda", "McLaren", "Mercedes-Benz", "MINI", "Mitsubishi",
+      "Nissan", "Polestar", "Porsche", "Ram", "Rivian", "Rolls-Royce", "Subaru", "Tesla",
+      "Toyota", "Volkswagen", "Volvo",
+    ],
+    makeAliases: { Chevy: "Chevrolet", VW: "Volkswagen", Mercedes: "Mercedes-Benz", Benz: "Mercedes-Benz" },
+    modelMakes: { "Range Rover": "Land Rover" },
+    multiWordModels: [
+      "Grand Cherokee", "Grand Caravan", "Grand Wagoneer", "Range Rover Sport", "Range Rover Evoque",
+      "Range Rover Velar", "Range Rover", "Model 3", "Model S", "Model X", "Model Y",
+      "Mustang Mach-E", "Land Cruiser", "Santa Fe", "Santa Cruz", "Town & Country",
+      "2 Series", "3 Series", "4 Series", "5 Series", "7 Series", "718 Boxster", "718 Cayman",
+    ],
+  };
 
 
   module.exports = {
@@ -376,7 +1419,28 @@ const BaseVehicleSpecs = {
     DepreciationCurves,
     MileageAdjustment,
     ModelReliabilityScores,
-    KnownIssueFlags
+    KnownIssueFlags,
+    DealerProfiles,
+    StateFeeRules,
+    DealerAddOnNorms,
+    TradeInBaselines,
+    LeaseDefaults,
+    BatteryWarranties,
+    UsedEvTaxCredit,
+    PurchasePurposeProfiles,
+    AnalysisInputWeights,
+    VehicleHistoryRules,
+    InspectionFindingRules,
+    ModelSegmentMap,
+    SegmentProfiles,
+    SegmentAliases,
+    RegionalMarketRules,
+    ZipPrefixStates,
+    CalendarTimingRules,
+    PrivatePartyRules,
+    VinDecodeTables,
+    VinMismatchRules,
+    ListingImportRules,
   };
   
   
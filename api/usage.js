@@ -0,0 +1,73 @@
+// api/usage.js
+/**
+ * Admin usage card: VIN decode client counts
+ * ------------------------------------------------------------
+ * GET /api/usage            → counts since the last reset
+ * GET /api/usage?reset=true → reset the counts
+ * Header: x-admin-key must match ADMIN_KEY (never a query param).
+ *
+ * Counts and breaker state come from the shared NHTSA decode client's
+ * memory, so on serverless they cover only the warm instance answering the
+ * request, since `vinDecode.since` (cold start or last reset). The admin
+ * card labels them that way.
+ */
+
+const { getDecodeClient } = require("./services/nhtsaClient");
+
+// NHTSA has no hard quota; the admin card's progress bar is scaled to this
+const CALL_BUDGET = 500;
+
+function normalizeStr(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function statusLine(stats) {
+  if (stats.circuit.state === "open") {
+    return `NHTSA circuit OPEN since ${stats.circuit.openedAt} — VINs decode offline (make / year only) until it recovers.`;
+  }
+  if (stats.circuit.state === "half-open") return "NHTSA circuit half-open — testing the service.";
+  if (stats.circuit.consecutiveFailures) {
+    return `NHTSA degraded — ${stats.circuit.consecutiveFailures} failed decode(s) in a row.`;
+  }
+
+  const hitRate = stats.cacheHitRate === null ? "no lookups yet" : `${stats.cacheHitRate}% cache hit rate`;
+  return `NHTSA healthy · ${hitRate} (${stats.cache} cache)`;
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const key = normalizeStr(req.headers["x-admin-key"]);
+  if (!process.env.ADMIN_KEY || key !== process.env.ADMIN_KEY) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+
+  try {
+    const client = getDecodeClient();
+    if (normalizeStr(req.query.reset) === "true") client.resetStats();
+
+    const stats = client.getStats();
+    const percentage = `${Math.min(100, Math.round((stats.nhtsaCalls / CALL_BUDGET) * 100))}%`;
+
+    return res.status(200).json({
+      success: true,
+      count: stats.nhtsaCalls,
+      budget: CALL_BUDGET,
+      percentage,
+      status: statusLine(stats),
+      vinDecode: stats,
+    });
+  } catch (err) {
+    console.error("[Usage] Error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load usage",
+      details:
+        process.env.NODE_ENV === "development"
+          ? String(err && err.message)
+          : undefined,
+    });
+  }
+};
@@ -1,9 +1,10 @@
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const { buffer } = require("micro");
 
-const { generateVehicleReport } = require("./reportGenerator");
-const { buildMvpAnalysis } = require("./mvpEngine");
+const { generateVehicleReport, generateComparisonReport } = require("./reportGenerator");
+const { buildMvpAnalysis, buildComparisonAnalysis, summarizeFairValueBand } = require("./mvpEngine");
 const { getAllVehicleData } = require("./services/vehicleData");
+const { buildReportInput, orderAnalysisDate } = require("./services/reportInputs");
 
 const { Resend } = require("resend");
 const resend = new Resend(process.env.RESEND_API_KEY);
@@ -42,7 +43,16 @@ async function assignSku(tier, sla, metadata) {
 // -----------------------------
 // Email helper
 // -----------------------------
-async function sendReportEmail(toEmail, reportUrl, vin) {
+// Site root for links in customer emails (matches create-payment.js)
+const SITE_URL =
+  process.env.NODE_ENV === "production"
+    ? "https://www.carsaavy.com"
+    : process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}`
+    : "http://localhost:3000";
+
+// `orderId` adds the post-inspection follow-up link (automated reports only)
+async function sendReportEmail(toEmail, reportUrl, vin, orderId = null) {
   try {
     await resend.emails.send({
       from: "CarSaavy Reports <reports@carsaavy.com>",
@@ -57,6 +67,16 @@ async function sendReportEmail(toEmail, reportUrl, vin) {
               Download your report
             </a>
           </p>
+          ${
+            orderId
+              ? `<p>
+            Had the car inspected? Enter the findings to get a free follow-up report
+            that turns them into a price adjustment:
+            <a href="${SITE_URL}/inspection?order=${orderId}">${SITE_URL}/inspection</a>
+            <br /><small>Order reference: ${orderId}</small>
+          </p>`
+              : ""
+          }
           <p>Thanks for using CarSaavy.</p>
         </div>
       `,
@@ -87,6 +107,7 @@ VEHICLE
 --------
 VIN: ${md.vin || "N/A"}
 Listing: ${md.listingUrl || "N/A"}
+History: ${md.history || "N/A"}
 
 PURPOSE CONTEXT
 ----------------
@@ -186,6 +207,50 @@ Thank you for trusting CarSaavy — you're in good hands.
 }
 
 
+// -----------------------------
+// Comparison report (2–4 vehicles)
+// -----------------------------
+async function handleComparisonReport(metadata) {
+  const count = Math.min(Number(metadata.vehicleCount) || 0, 4);
+  const inputs = [];
+
+  for (let i = 1; i <= count; i++) {
+    const raw = metadata[`vehicle${i}`];
+    if (!raw) continue;
+
+    const v = JSON.parse(raw);
+    let vehicleData = null;
+
+    try {
+      vehicleData = await getAllVehicleData({
+        vin: v.vin || null,
+        year: v.y || null,
+        make: v.mk || null,
+        model: v.md || null,
+        trimTier: v.tt || null,
+        mileage: v.mi || null,
+      });
+    } catch (err) {
+      console.warn(`⚠️ Comparison vehicle ${i} resolution failed:`, err);
+    }
+
+    const vp = vehicleData?.vehicleProfile;
+    if (!vp) {
+      throw new Error(`Comparison vehicle ${i} could not be resolved`);
+    }
+
+    inputs.push({
+      vehicleProfile: { ...vp, mileage: vp.mileage || v.mi || null },
+      askingPrice: v.p ? Number(v.p) : null,
+      sellerName: v.s || null,
+      analysisDate: metadata.analysisDate,
+    });
+  }
+
+  const comparison = buildComparisonAnalysis(inputs);
+  return generateComparisonReport({ comparison });
+}
+
 // -----------------------------
 // MAIN WEBHOOK HANDLER
 // -----------------------------
@@ -217,6 +282,7 @@ module.exports = async function handler(req, res) {
 
   const intent = event.data.object;
   const metadata = intent.metadata || {};
+  metadata.analysisDate = orderAnalysisDate(intent);
 
   const mode = metadata.mode || "auto-report";
 
@@ -266,105 +332,48 @@ module.exports = async function handler(req, res) {
   }
 
 
-  const hasVin = !!metadata.vin;
-  const hasYMM = !!(metadata.year && metadata.make && metadata.model);
-  
-  if (hasVin && hasYMM) {
-    return {
-      error: "Conflicting vehicle identifiers. Please provide either VIN or Year/Make/Model, not both."
-    };
+  if (mode === "comparison-report") {
+    if (!metadata.email) {
+      console.error("❌ Missing required email metadata");
+      return res.status(400).send("Missing required metadata");
+    }
+
+    try {
+      const reportUrl = await handleComparisonReport(metadata);
+      await sendReportEmail(metadata.email, reportUrl, null);
+      return res.status(200).send("Comparison report processed");
+    } catch (err) {
+      console.error("❌ Comparison processing error:", err);
+      try {
+        await refundPaymentIfNeeded(intent.id);
+      } catch (_) {}
+      return res.status(500).send("Webhook processing failed");
+    }
   }
 
-  // -----------------------------
-  // Extract metadata (THIS WAS MISSING)
-  // -----------------------------
-  const vin = metadata.vin || null;
   const email = metadata.email || null;
-  
-  const year = metadata.year || null;
-  const make = metadata.make || null;
-  const model = metadata.model || null;
-  const segment = metadata.segment || null;
-  const trimTier = metadata.trimTier || null;
-  const mileage = metadata.mileage || null;
-
-  const askingPrice = metadata.askingPrice
-    ? Number(metadata.askingPrice)
-    : null;
 
   if (!email) {
     console.error("❌ Missing required email metadata");
     return res.status(400).send("Missing required metadata");
   }
 
+  // No contact, vehicle or money details in the logs
   console.log("📌 Payment metadata:", {
-    vin,
-    email,
-    year,
-    make,
-    model,
-    segment,
-    trimTier,
-    mileage,
-    askingPrice,
+    hasVin: !!metadata.vin,
+    mode,
+    hasListing: !!metadata.listingUrl,
+    explain: metadata.explain === "true",
   });
 
   try {
     // -----------------------------
-    // Resolve vehicle data (VIN or dropdown)
+    // Resolve vehicle + build NIC_v2 analysis
     // -----------------------------
-    let vehicleData = null;
-
-    try {
-      vehicleData = await getAllVehicleData({
-        vin,
-        year,
-        make,
-        model,
-        segment,
-        trimTier,
-        mileage,
-      });
-    } catch (err) {
-      console.warn("⚠️ Vehicle resolution failed:", err);
-    }
+    const { vin, input } = await buildReportInput(metadata);
 
-    
-
-
-    if (!hasVin && !hasYMM) {
-      throw new Error("Insufficient vehicle data to generate report");
-    }
-
-    // -----------------------------
-    // Build NIC_v2 analysis
-    // -----------------------------
-    const resolvedProfile = {
-      year: vehicleData?.vehicleProfile?.year || year,
-      make: vehicleData?.vehicleProfile?.make || make,
-      model: vehicleData?.vehicleProfile?.model || model,
-      segment: vehicleData?.vehicleProfile?.segment || segment || "general",
-      trimTier: vehicleData?.vehicleProfile?.trimTier || trimTier || "mid",
-      mileage: vehicleData?.vehicleProfile?.mileage || mileage || null,
-      vin,
-    };
-    
-    
-    // ------------------------------------
-// Identity validation (VIN vs Y/M/M)
-// ------------------------------------
-// ⚠️ If no VIN, we are in Y/M/M mode — do NOT apply VIN guards
-
-
-    
-    const hasResolvedYMM =
-    resolvedProfile.year &&
-    resolvedProfile.make &&
-    resolvedProfile.model;
-
-    const analysis = buildMvpAnalysis({
-      vehicleProfile: resolvedProfile,
-      askingPrice,
+    const analysis = buildMvpAnalysis(input, {
+      trace: metadata.explain === "true",
     });
 
     // -----------------------------
@@ -372,10 +381,25 @@ module.exports = async function handler(req, res) {
     // -----------------------------
     const reportUrl = await generateVehicleReport({ analysis }, vin);
 
+    // Record which rule pack and reference date produced the report (support
+    // explain view), and the band the PDF quotes (inspection follow-up)
+    const band = summarizeFairValueBand(analysis.fairValueBand);
+    try {
+      await stripe.paymentIntents.update(intent.id, {
+        metadata: {
+          modelVersion: analysis.modelVersion,
+          analysisDate: analysis.analysisDate,
+          fairValueBand: band ? JSON.stringify(band) : "",
+        },
+      });
+    } catch (err) {
+      console.warn("⚠️ Could not record modelVersion:", err.message);
+    }
+
     // -----------------------------
     // Email report
     // -----------------------------
-    await sendReportEmail(email, reportUrl, vin);
+    await sendReportEmail(email, reportUrl, vin, intent.id);
 
     return res.status(200).send("Webhook processed successfully");
   } catch (err) {
@@ -0,0 +1,137 @@
+// test/listingImporter.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { importListing, parseListingTitle } = require("../api/services/listingImporter");
+
+const now = new Date("2026-10-19T12:00:00Z");
+const VIN = "1HGCM82633A004352"; // 2003 Honda
+
+const jsonLdPage = `<html><head>
+<title>Used 2003 Honda Accord EX for sale | Cars.com</title>
+<script type="application/ld+json">${JSON.stringify({
+  "@context": "https://schema.org",
+  "@type": "Car",
+  name: "2003 Honda Accord EX",
+  vehicleIdentificationNumber: VIN,
+  brand: { "@type": "Brand", name: "Honda" },
+  model: "Accord",
+  vehicleModelDate: "2003",
+  mileageFromOdometer: { value: "148,200", unitCode: "SMI" },
+  offers: { price: "4995", priceCurrency: "USD", seller: { name: "Smith Honda" } },
+})}</script>
+</head><body><h1>2003 Honda Accord EX</h1><div>Price: $4,995</div></body></html>`;
+
+test("JSON-LD is read first and prefills the intake", () => {
+  const r = importListing({ html: jsonLdPage, url: "https://www.cars.com/vehicledetail/123/", now });
+
+  assert.equal(r.source.id, "cars_com");
+  assert.equal(r.fields.vin.value, VIN);
+  assert.equal(r.fields.vin.from, "listing data (JSON-LD)");
+  assert.ok(r.fields.vin.confidence >= 0.95);
+  assert.equal(r.fields.askingPrice.value, 4995);
+  assert.equal(r.fields.mileage.value, 148200);
+  assert.equal(r.fields.sellerName.value, "Smith Honda");
+
+  assert.equal(r.intake.vin, VIN);
+  assert.equal(r.intake.year, 2003);
+  assert.equal(r.intake.make, "Honda");
+  assert.equal(r.intake.model, "Accord");
+  assert.equal(r.intake.listingUrl, "https://www.cars.com/vehicledetail/123/");
+  assert.deepEqual(r.warnings, []);
+});
+
+test("meta tags and the page title fill in without JSON-LD", () => {
+  const html = `<html><head>
+<meta property="og:title" content="2019 Toyota Camry SE for sale">
+<meta property="product:price:amount" content="21,900">
+<meta property="product:price:currency" content="USD">
+</head><body><p>Call today</p></body></html>`;
+  const r = importListing({ html, now });
+
+  assert.equal(r.fields.askingPrice.value, 21900);
+  assert.equal(r.fields.askingPrice.from, "meta tags");
+  assert.equal(r.fields.year.value, 2019);
+  assert.equal(r.fields.make.value, "Toyota");
+  assert.equal(r.fields.model.value, "Camry");
+  assert.equal(r.fields.model.from, "page title");
+  assert.equal(r.intake.askingPrice, 21900);
+});
+
+test("a non-USD price is left for the buyer", () => {
+  const html = `<meta property="product:price:amount" content="18000"><meta property="product:price:currency" content="EUR">`;
+  const r = importListing({ html, now });
+  assert.equal(r.fields.askingPrice, null);
+  assert.ok(r.warnings.some((w) => w.includes("EUR")));
+});
+
+test("pasted text falls back to the title line and labelled values", () => {
+  const text = `2012 Honda Civic LX - $6,500 (austin)
+condition: good
+odometer: 142000
+cars & trucks - by owner
+posted: 2026-10-05 09:12`;
+  const r = importListing({ text, now });
+
+  assert.equal(r.fields.year.value, 2012);
+  assert.equal(r.fields.make.value, "Honda");
+  assert.equal(r.fields.model.value, "Civic");
+  assert.equal(r.fields.askingPrice.value, 6500);
+  assert.equal(r.fields.mileage.value, 142000);
+  assert.equal(r.fields.daysOnMarket.value, 14);
+  assert.equal(r.fields.year.from, "listing text");
+});
+
+test("fields below the prefill threshold are reported but not prefilled", () => {
+  const r = importListing({ text: `2012 Honda Civic LX\nVIN: 1HGCM82633A004353`, now });
+
+  // Fails its check digit: found, flagged, never prefilled
+  assert.equal(r.fields.vin.value, "1HGCM82633A004353");
+  assert.ok(r.fields.vin.confidence < 0.5);
+  assert.equal(r.intake.vin, null);
+  assert.ok(r.warnings.some((w) => w.includes("check digit")));
+});
+
+test("an unclosed script or comment drops the rest of the page", () => {
+  const html = `<html><head><title>2018 Ford F-150 XLT</title></head><body><div>Mileage: 61,000</div><script>var x = "<div>Price: $99,999</div>`;
+  const r = importListing({ html, now });
+  assert.equal(r.fields.model.value, "F-150");
+  assert.equal(r.fields.mileage.value, 61000);
+  assert.equal(r.fields.askingPrice, null);
+
+  const commented = importListing({ html: `<div>Mileage: 61,000</div><!-- <div>Price: $99,999</div>`, now });
+  assert.equal(commented.fields.askingPrice, null);
+});
+
+test("hostile markup parses in linear time", () => {
+  for (const unit of ["<script>", "<!--", "<", "<title>", `<script type="application/ld+json">`]) {
+    const html = `<html>${unit.repeat(Math.floor(300000 / unit.length))}`;
+    const started = Date.now();
+    importListing({ html, now });
+    assert.ok(Date.now() - started < 2000, `${unit} took ${Date.now() - started} ms`);
+  }
+});
+
+test("hostile whitespace in pasted text parses in linear time", () => {
+  for (const label of ["VIN", "VIN #", "mileage", "1", "price", "posted"]) {
+    for (const gap of [" ", " \n", "\t"]) {
+      const text = `${label}${gap.repeat(Math.floor(300000 / gap.length))}x`;
+      const started = Date.now();
+      importListing({ text, now });
+      assert.ok(Date.now() - started < 2000, `${label} took ${Date.now() - started} ms`);
+    }
+  }
+  // Collapsed whitespace still reads labelled values
+  assert.equal(importListing({ text: `VIN  #  :   ${VIN}`, now }).fields.vin.value, VIN);
+});
+
+test("parseListingTitle splits make, model and trim", () => {
+  assert.deepEqual(parseListingTitle("2021 Jeep Grand Cherokee Limited 4x4 - $28,900"), {
+    year: 2021,
+    make: "Jeep",
+    model: "Grand Cherokee",
+    trim: "Limited 4x4",
+  });
+  assert.equal(parseListingTitle("2020 Range Rover Sport HSE").make, "Land Rover");
+  assert.equal(parseListingTitle("hello 2019 world"), null);
+});
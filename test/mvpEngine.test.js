@@ -0,0 +1,25 @@
+// test/mvpEngine.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { matchDealerProfile } = require("../api/mvpEngine");
+
+test("dealer profiles match whole words of the seller name", () => {
+  assert.equal(matchDealerProfile({ sellerName: "Smith Ford" }).key, "ford");
+  assert.equal(matchDealerProfile({ sellerName: "Ford of Austin" }).type, "franchise");
+  // "ford" inside another word is not a Ford store
+  assert.equal(matchDealerProfile({ sellerName: "Crawford Auto Sales" }).key, "auto sales");
+  assert.equal(matchDealerProfile({ sellerName: "Bradford Motors" }).type, "independent");
+  assert.equal(matchDealerProfile({ sellerName: "Hondasmith Imports" }), null);
+  // The more specific seller type still wins
+  assert.equal(matchDealerProfile({ sellerName: "CarMax Toyota" }).type, "no-haggle");
+});
+
+test("dealer profiles match whole labels of the listing host", () => {
+  const carmax = matchDealerProfile({ listingUrl: "https://www.carmax.com/car/123" });
+  assert.equal(carmax.key, "carmax");
+  assert.equal(carmax.matchedOn, "listingUrl");
+  assert.equal(matchDealerProfile({ listingUrl: "smith-ford.com/inventory" }).key, "ford");
+  assert.equal(matchDealerProfile({ listingUrl: "https://www.bradfordcars.com/" }), null);
+  assert.equal(matchDealerProfile({ sellerName: "", listingUrl: "" }), null);
+});
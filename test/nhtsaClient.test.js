@@ -0,0 +1,189 @@
+// test/nhtsaClient.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDecodeClient, createMemoryCache } = require("../api/services/nhtsaClient");
+
+const VIN = "1HGCM82633A004352";
+const ROW = { Make: "HONDA", Model: "Accord", ModelYear: "2003" };
+
+function httpError(status) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status };
+  return err;
+}
+
+// fetchDecode that plays back a script of results: an Error is thrown,
+// anything else is returned
+function scripted(results) {
+  const calls = [];
+  const fetchDecode = async (vin) => {
+    calls.push(vin);
+    const next = results.length > 1 ? results.shift() : results[0];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { fetchDecode, calls };
+}
+
+function fakeClock(start = Date.parse("2026-10-19T12:00:00Z")) {
+  let now = start;
+  const clock = () => now;
+  clock.advance = (ms) => {
+    now += ms;
+  };
+  return clock;
+}
+
+function client(results, overrides = {}) {
+  const fake = scripted(results);
+  const clock = fakeClock();
+  const decodeClient = createDecodeClient({
+    cache: null,
+    fetchDecode: fake.fetchDecode,
+    clock,
+    backoffMs: 0,
+    retries: 2,
+    failureThreshold: 2,
+    cooldownMs: 60000,
+    ...overrides,
+  });
+  return { ...decodeClient, calls: fake.calls, clock };
+}
+
+test("retries transient failures, then succeeds", async () => {
+  const c = client([httpError(503), new Error("socket hang up"), ROW]);
+  assert.deepEqual(await c.decode(VIN), ROW);
+
+  const stats = c.getStats();
+  assert.equal(stats.nhtsaCalls, 3);
+  assert.equal(stats.retries, 2);
+  assert.equal(stats.failures, 0);
+  assert.equal(stats.circuit.state, "closed");
+});
+
+test("gives up after the configured retries", async () => {
+  const c = client([httpError(500)]);
+  await assert.rejects(c.decode(VIN), /status code 500/);
+
+  const stats = c.getStats();
+  assert.equal(stats.nhtsaCalls, 3);
+  assert.equal(stats.retries, 2);
+  assert.equal(stats.failures, 1);
+  assert.equal(stats.circuit.consecutiveFailures, 1);
+});
+
+test("a 4xx is not retried and doesn't trip the breaker", async () => {
+  const c = client([httpError(400)], { failureThreshold: 1 });
+  await assert.rejects(c.decode(VIN), /status code 400/);
+  await assert.rejects(c.decode(VIN), /status code 400/);
+
+  const stats = c.getStats();
+  assert.equal(stats.nhtsaCalls, 2);
+  assert.equal(stats.retries, 0);
+  assert.equal(stats.failures, 2);
+  assert.equal(stats.circuit.state, "closed");
+  assert.equal(stats.circuit.consecutiveFailures, 0);
+});
+
+test("opens after repeated failures, half-opens after the cooldown, then closes", async () => {
+  const c = client([httpError(503), httpError(503), httpError(503), httpError(503), httpError(503), httpError(503), ROW]);
+
+  await assert.rejects(c.decode(VIN));
+  await assert.rejects(c.decode(VIN));
+  assert.equal(c.getStats().circuit.state, "open");
+  assert.equal(c.getStats().circuit.openedAt, "2026-10-19T12:00:00.000Z");
+
+  // Open: fail fast without calling NHTSA
+  const callsWhenOpened = c.calls.length;
+  await assert.rejects(c.decode(VIN), (err) => err.code === "CIRCUIT_OPEN");
+  assert.equal(c.calls.length, callsWhenOpened);
+  assert.equal(c.getStats().circuitRejections, 1);
+
+  // Cooldown over: one trial request goes through and closes the circuit
+  c.clock.advance(60000);
+  assert.deepEqual(await c.decode(VIN), ROW);
+  assert.equal(c.calls.length, callsWhenOpened + 1);
+
+  const stats = c.getStats();
+  assert.equal(stats.circuit.state, "closed");
+  assert.equal(stats.circuit.consecutiveFailures, 0);
+  assert.equal(stats.circuit.openedAt, null);
+});
+
+test("a failed half-open trial reopens the circuit without retrying", async () => {
+  const c = client([httpError(503)]);
+  await assert.rejects(c.decode(VIN));
+  await assert.rejects(c.decode(VIN));
+
+  c.clock.advance(60000);
+  const callsBeforeTrial = c.calls.length;
+  await assert.rejects(c.decode(VIN), /status code 503/);
+  assert.equal(c.calls.length, callsBeforeTrial + 1);
+  assert.equal(c.getStats().circuit.state, "open");
+  assert.equal(c.getStats().circuit.openedAt, "2026-10-19T12:01:00.000Z");
+
+  await assert.rejects(c.decode(VIN), (err) => err.code === "CIRCUIT_OPEN");
+});
+
+test("only one caller gets the half-open trial", async () => {
+  const c = client([httpError(503), httpError(503), httpError(503), httpError(503), httpError(503), httpError(503), ROW]);
+  await assert.rejects(c.decode(VIN));
+  await assert.rejects(c.decode(VIN));
+
+  c.clock.advance(60000);
+  const callsBeforeTrial = c.calls.length;
+  const results = await Promise.allSettled([c.decode(VIN), c.decode(VIN), c.decode(VIN)]);
+  assert.equal(c.calls.length, callsBeforeTrial + 1);
+  assert.deepEqual(results[0], { status: "fulfilled", value: ROW });
+  assert.ok(results.slice(1).every((r) => r.status === "rejected" && r.reason.code === "CIRCUIT_OPEN"));
+  assert.equal(c.getStats().circuit.state, "closed");
+
+  // Settled: the next caller goes straight through
+  assert.deepEqual(await c.decode(VIN), ROW);
+});
+
+test("the memory cache keeps only the most recently used decodes", async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  await cache.set("A", { value: 1, storedAt: 0 });
+  await cache.set("B", { value: 2, storedAt: 0 });
+  await cache.get("A");
+  await cache.set("C", { value: 3, storedAt: 0 });
+
+  assert.equal(await cache.get("B"), null);
+  assert.equal((await cache.get("A")).value, 1);
+  assert.equal((await cache.get("C")).value, 3);
+});
+
+test("caches complete decodes only, until the TTL runs out", async () => {
+  const partial = { Make: "", ModelYear: "2003" };
+  const c = client([partial, ROW], { cache: createMemoryCache(), ttlMs: 1000 });
+
+  assert.deepEqual(await c.decode(VIN), partial);
+  assert.deepEqual(await c.decode(VIN), ROW);
+  assert.deepEqual(await c.decode(VIN), ROW);
+  assert.equal(c.calls.length, 2);
+
+  c.clock.advance(1000);
+  await c.decode(VIN);
+  assert.equal(c.calls.length, 3);
+
+  const stats = c.getStats();
+  assert.equal(stats.cacheHits, 1);
+  assert.equal(stats.cacheMisses, 3);
+  assert.equal(stats.cacheHitRate, 25);
+  assert.equal(stats.cache, "memory");
+});
+
+test("resetStats clears the counts but not the breaker", async () => {
+  const c = client([httpError(503)]);
+  await assert.rejects(c.decode(VIN));
+  await assert.rejects(c.decode(VIN));
+
+  c.clock.advance(5000);
+  c.resetStats();
+  const stats = c.getStats();
+  assert.equal(stats.nhtsaCalls, 0);
+  assert.equal(stats.since, "2026-10-19T12:00:05.000Z");
+  assert.equal(stats.circuit.state, "open");
+});
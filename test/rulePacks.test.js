@@ -0,0 +1,123 @@
+// test/rulePacks.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  validateRulePack,
+  loadRulePacks,
+  evaluateRulePack,
+  describeRule,
+  describeFacts,
+  getRulePack,
+} = require("../api/services/rulePacks");
+
+function pack(overrides = {}) {
+  return {
+    id: "test-pack",
+    version: "1",
+    defaults: {
+      stance: "balanced",
+      moves: { openingMove: "Open.", pressureResponse: "Hold.", walkAwayLine: "Leave." },
+    },
+    stance: [{ id: "stance.economy", when: { segment: "economy" }, emit: { stance: "patient-and-comparative" } }],
+    rules: [
+      { id: "rule.high-miles", when: { mileageTier: "high" }, emit: { scripts: ["High mileage on a {{segment}}."] } },
+      { id: "rule.older", when: { ageYears: { min: 8 } }, emit: { moves: { walkAwayLine: "Too old." } } },
+    ],
+    ...overrides,
+  };
+}
+
+test("the shipped packs validate", () => {
+  assert.deepEqual(validateRulePack(require("../api/rules/nic-core.json")), []);
+  assert.equal(getRulePack().id, "nic-core");
+});
+
+test("a well-formed pack has no errors", () => {
+  assert.deepEqual(validateRulePack(pack()), []);
+});
+
+test("rejects packs missing id, version or defaults", () => {
+  const errors = validateRulePack(pack({ id: "", version: undefined, defaults: null }));
+  assert.ok(errors.includes("pack: missing id"));
+  assert.ok(errors.includes("pack: missing version"));
+  assert.ok(errors.includes("defaults: expected an object"));
+  assert.deepEqual(validateRulePack("nope"), ["pack: expected an object"]);
+});
+
+test("rejects unknown facts, operators and template facts", () => {
+  const errors = validateRulePack(
+    pack({
+      rules: [
+        { id: "a", when: { colour: "red" }, emit: { scripts: ["x"] } },
+        { id: "b", when: { ageYears: { between: [1, 2] } }, emit: { scripts: ["x"] } },
+        { id: "c", when: { ageYears: { min: "8" } }, emit: { scripts: ["x"] } },
+        { id: "d", when: {}, emit: { scripts: ["Hello {{buyerName}}"] } },
+      ],
+    })
+  );
+  assert.ok(errors.some((e) => e.includes('unknown fact "colour"')));
+  assert.ok(errors.some((e) => e.includes("unsupported operator(s) between")));
+  assert.ok(errors.some((e) => e.includes('"min" must be a number')));
+  assert.ok(errors.some((e) => e.includes('unknown template fact "buyerName"')));
+});
+
+test("rejects duplicate ids, bad outputs and stance emitted outside the stance section", () => {
+  const errors = validateRulePack(
+    pack({
+      stance: [{ id: "dup", when: {}, emit: { stance: "balanced", scripts: ["x"] } }],
+      rules: [
+        { id: "dup", when: {}, emit: { scripts: ["x"] } },
+        { id: "e", when: {}, emit: { stance: "pressure-ready" } },
+        { id: "f", when: {}, emit: { scripts: [] } },
+        { id: "g", when: {}, emit: { pushbackResponses: [{ dealerSays: "a", sellerSays: "b", buyerResponse: "c" }] } },
+        { id: "h", when: {}, emit: { moves: { closingMove: "x" } } },
+        { id: "i", when: {}, emit: { jokes: ["x"] } },
+      ],
+    })
+  );
+  assert.ok(errors.some((e) => e.includes('duplicate id "dup"')));
+  assert.ok(errors.some((e) => e.includes("stance rules may only emit a stance string")));
+  assert.ok(errors.some((e) => e.includes('stance must be set in the "stance" section')));
+  assert.ok(errors.some((e) => e.includes("scripts: expected a non-empty list")));
+  assert.ok(errors.some((e) => e.includes("expected exactly one of dealerSays / sellerSays")));
+  assert.ok(errors.some((e) => e.includes('unknown move "closingMove"')));
+  assert.ok(errors.some((e) => e.includes('unknown output "jokes"')));
+});
+
+test("loadRulePacks throws on an invalid or duplicate pack", () => {
+  assert.throws(() => loadRulePacks([pack({ version: "" })]), /Invalid rule pack "test-pack"/);
+  assert.throws(() => loadRulePacks([pack(), pack()]), /Duplicate rule pack id "test-pack"/);
+  assert.ok(loadRulePacks([pack()])["test-pack"]);
+});
+
+test("evaluates stance, rules, templates and sources", () => {
+  const result = evaluateRulePack(pack(), { segment: "economy", mileageTier: "high", ageYears: 10 });
+  assert.equal(result.stance, "patient-and-comparative");
+  assert.deepEqual(result.scripts, ["High mileage on a economy."]);
+  assert.equal(result.moves.walkAwayLine, "Too old.");
+  assert.equal(result.moves.openingMove, "Open.");
+  assert.deepEqual(result.firedRules, ["stance.economy", "rule.high-miles", "rule.older"]);
+  assert.deepEqual(result.sources.scripts, ["rule.high-miles"]);
+  assert.equal(result.sources.moves.openingMove, null);
+
+  const fallback = evaluateRulePack(pack(), { segment: "suv", ageYears: 3 });
+  assert.equal(fallback.stance, "balanced");
+  assert.deepEqual(fallback.scripts, []);
+});
+
+test("describeRule turns conditions into reason codes", () => {
+  const p = pack();
+  assert.deepEqual(describeRule(p, "rule.high-miles", { mileageTier: "high" }, { mileageTier: "ratio 1.31" }), [
+    "mileageTier=high (ratio 1.31)",
+  ]);
+  assert.deepEqual(describeRule(p, "missing", {}), []);
+});
+
+test("describeFacts lists an engine check's inputs", () => {
+  assert.deepEqual(describeFacts({ buyerState: "CA", docFee: 599, docFeeCap: null }), [
+    "buyerState=CA",
+    "docFee=599",
+    "docFeeCap=none",
+  ]);
+});
@@ -0,0 +1,31 @@
+// test/segments.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { lookupModelSegment, inferSegment } = require("../api/services/segments");
+
+test("model keys cover longer names on whole words only", () => {
+  assert.equal(lookupModelSegment("Ford", "Mustang"), "performance");
+  assert.equal(lookupModelSegment("Ford", "Mustang GT"), "performance");
+  assert.equal(lookupModelSegment("Ford", "Mustang Mach-E"), "suv");
+  assert.equal(lookupModelSegment("BMW", "M340i"), "luxury");
+  assert.equal(lookupModelSegment("BMW", "M3 Competition"), "performance");
+  assert.equal(lookupModelSegment("Toyota", "Camryx"), null);
+});
+
+test("a starred key covers the whole model family", () => {
+  assert.equal(lookupModelSegment("Audi", "RS5"), "performance");
+  assert.equal(lookupModelSegment("Audi", "RS 7 Sportback"), "performance");
+  assert.equal(lookupModelSegment("Audi", "R8"), null);
+});
+
+test("an unmapped model falls back to the decoded body", () => {
+  assert.deepEqual(inferSegment({ make: "Ford", model: "Maverick", bodyClass: "Pickup" }), {
+    segment: "truck",
+    source: "decoded",
+  });
+  assert.deepEqual(inferSegment({ make: "Ford", model: "Mustang Mach-E", bodyClass: "Sport Utility Vehicle (SUV)" }), {
+    segment: "suv",
+    source: "model",
+  });
+});
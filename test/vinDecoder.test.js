@@ -0,0 +1,76 @@
+// test/vinDecoder.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeVin, isValidVinFormat, validateVin, decodeVinLocally } = require("../api/services/vinDecoder");
+
+const MID_2025 = new Date("2025-06-01T00:00:00Z");
+const MID_2024 = new Date("2024-06-01T00:00:00Z");
+
+test("normalizes and checks the 17-character format", () => {
+  assert.equal(normalizeVin("  1hgcm82633a004352 "), "1HGCM82633A004352");
+  assert.ok(isValidVinFormat("1hgcm82633a004352"));
+  assert.ok(!isValidVinFormat("1HGCM82633A00435"));
+  // I, O and Q are never used in a VIN
+  assert.ok(!isValidVinFormat("1HGCM82633A00435O"));
+  assert.ok(!isValidVinFormat("IHGCM82633A004352"));
+  assert.ok(!isValidVinFormat("1HGCM82633Q004352"));
+});
+
+test("validates the position-9 check digit", () => {
+  assert.deepEqual(validateVin("1HGCM82633A004352"), {
+    valid: true,
+    vin: "1HGCM82633A004352",
+    reason: null,
+    expectedCheckDigit: "3",
+  });
+  // Remainder 10 is written as X
+  assert.equal(validateVin("1M8GDM9AXKP042788").valid, true);
+
+  const typo = validateVin("1HGCM82633A004353");
+  assert.equal(typo.valid, false);
+  assert.equal(typo.reason, "check-digit");
+  assert.equal(typo.expectedCheckDigit, "5");
+
+  assert.deepEqual(validateVin("not a vin"), {
+    valid: false,
+    vin: "NOT A VIN",
+    reason: "format",
+    expectedCheckDigit: null,
+  });
+});
+
+test("decodes the WMI make and country", () => {
+  const honda = decodeVinLocally("1HGCM82633A004352", MID_2025);
+  assert.equal(honda.wmi, "1HG");
+  assert.equal(honda.make, "Honda");
+  assert.equal(honda.country, "United States");
+
+  const vw = decodeVinLocally("WVWZZZ1K0AW000001", MID_2025);
+  assert.equal(vw.make, "Volkswagen");
+  assert.equal(vw.country, "Germany");
+
+  const unknown = decodeVinLocally("1M8GDM9AXKP042788", MID_2025);
+  assert.equal(unknown.make, null);
+  assert.equal(unknown.country, "United States");
+});
+
+test("places the model year in the right 30-year cycle", () => {
+  // North American, digit in position 7: first cycle
+  assert.equal(decodeVinLocally("1HGCM82633A004352", MID_2025).modelYear, 2003);
+  assert.equal(decodeVinLocally("1M8GDM9AXKP042788", MID_2025).modelYear, 1989);
+  // North American, letter in position 7: second cycle
+  assert.equal(decodeVinLocally("1HGCV1F33LA000001", MID_2025).modelYear, 2020);
+  // Elsewhere: the later year unless it's more than a model year ahead
+  assert.equal(decodeVinLocally("WVWZZZ1K0AW000001", MID_2025).modelYear, 2010);
+  assert.equal(decodeVinLocally("JHMGE8H53TS000001", MID_2025).modelYear, 2026);
+  assert.equal(decodeVinLocally("JHMGE8H53TS000001", MID_2024).modelYear, 1996);
+});
+
+test("a failed check digit still decodes but is flagged", () => {
+  const decoded = decodeVinLocally("1HGCM82633A004353", MID_2025);
+  assert.equal(decoded.valid, false);
+  assert.equal(decoded.reason, "check-digit");
+  assert.equal(decoded.make, "Honda");
+  assert.equal(decodeVinLocally("1HGCM8263", MID_2025), null);
+});